@@ -2,7 +2,7 @@
 /**
  * build.mjs — Generate standalone single-file deployment scripts.
  *
- * Reads agent.sh and agent.ps1 as templates, embeds all src/*.mjs files
+ * Reads agent.sh and agent.ps1 as templates, embeds all src/*.mjs files (except tests)
  * and package.json inline, and writes the result to dist/.
  *
  * Usage: node build.mjs
@@ -26,7 +26,8 @@ const srcDir = join(__dirname, "src");
 const pkgJsonContent = readNormalized(join(srcDir, "package.json"));
 const PKG_VERSION = JSON.parse(pkgJsonContent).version || "0.0.0";
 console.log(`Version: ${PKG_VERSION}`);
-const srcFiles = readdirSync(srcDir).filter((f) => f.endsWith(".mjs")).sort();
+// Tests stay in the repo; the deployed bot does not need them
+const srcFiles = readdirSync(srcDir).filter((f) => f.endsWith(".mjs") && !f.endsWith(".test.mjs")).sort();
 
 const sources = [
   { name: "package.json", subdir: false, content: pkgJsonContent },
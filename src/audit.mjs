@@ -0,0 +1,120 @@
+import { createHash } from "node:crypto";
+import { insertAuditEntry } from "./state.mjs";
+import { redactSecrets } from "./secret-scanner.mjs";
+import { createLogger } from "./logger.mjs";
+
+const log = createLogger("audit");
+
+// ── Audit Log ───────────────────────────────────────────────────────────────
+//
+// Every policy decision (event "policy": allow / deny / ask) and every
+// approval outcome (event "approval": approved / rejected / timeout) is stored
+// in SQLite. Tool arguments are only stored as a hash; reasons are redacted.
+
+export const AUDIT_COLUMNS = [
+  "id", "created_at", "channel_id", "task_id", "event", "tool",
+  "args_hash", "decision", "gate", "rule", "reason", "approver",
+];
+
+/** JSON with object keys sorted, so equal arguments hash equally. */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/** Short SHA-256 of tool arguments — identifies a call without storing its content. */
+export function hashArgs(toolArgs) {
+  return createHash("sha256").update(stableStringify(toolArgs ?? {})).digest("hex").slice(0, 16);
+}
+
+function write(entry) {
+  try {
+    insertAuditEntry({
+      taskId: null, tool: null, argsHash: null, gate: null, rule: null, reason: null, approver: null,
+      ...entry,
+      reason: entry.reason ? redactSecrets(entry.reason.slice(0, 1000)).clean : null,
+    });
+  } catch (err) {
+    // Auditing must never break a tool call
+    log.error("Audit entry could not be written", { error: err.message, event: entry.event });
+  }
+}
+
+/**
+ * Record a policy decision from evaluateToolUse.
+ * @param {string} channelId
+ * @param {number|null} taskId
+ * @param {string} toolName
+ * @param {object} toolArgs
+ * @param {{ decision: string, gate?: string, rule?: string, reason?: string }} result
+ */
+export function recordPolicyDecision(channelId, taskId, toolName, toolArgs, result) {
+  write({
+    channelId,
+    taskId: taskId ?? null,
+    event: "policy",
+    tool: toolName,
+    argsHash: hashArgs(toolArgs),
+    decision: result.decision,
+    gate: result.gate ?? null,
+    rule: result.rule ?? null,
+    reason: result.reason ?? null,
+  });
+}
+
+/**
+ * Record the outcome of a push or command approval request.
+ * @param {string} channelId
+ * @param {number|null} taskId
+ * @param {"push"|"ask"} gate
+ * @param {string} command - Command that was approved or rejected (stored as hash)
+ * @param {{ approved: boolean, user?: string }} outcome - Result of the approval flow
+ * @param {string|null} [reason] - Why approval was needed
+ */
+export function recordApproval(channelId, taskId, gate, command, outcome, reason = null) {
+  write({
+    channelId,
+    taskId: taskId ?? null,
+    event: "approval",
+    tool: "shell",
+    argsHash: hashArgs({ command }),
+    decision: outcome.approved ? "approved" : ["(timeout)", "(expired)"].includes(outcome.user) ? "timeout" : "rejected",
+    gate,
+    reason,
+    approver: outcome.user ?? null,
+  });
+}
+
+// ── Filters & Export ────────────────────────────────────────────────────────
+
+const UNIT_MS = { m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+/**
+ * Parse a time filter — relative (`30m`, `24h`, `7d`, meaning "that long ago")
+ * or an absolute date (`2026-01-31`, `2026-01-31T12:00`) — into an SQLite
+ * datetime string. Throws on invalid input.
+ */
+export function parseTimeFilter(value, now = Date.now()) {
+  const rel = /^(\d+)\s*([mhd])$/i.exec(value.trim());
+  const ms = rel ? now - Number(rel[1]) * UNIT_MS[rel[2].toLowerCase()] : Date.parse(value.trim());
+  if (!Number.isFinite(ms)) throw new Error(`Ungültige Zeitangabe: ${value}`);
+  return new Date(ms).toISOString().replace("T", " ").slice(0, 19);
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  let s = String(value);
+  // Keep spreadsheet apps from evaluating cells as formulas
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Audit rows as CSV with a header line. */
+export function auditToCsv(rows) {
+  const lines = [AUDIT_COLUMNS.join(",")];
+  for (const row of rows) lines.push(AUDIT_COLUMNS.map((c) => csvCell(row[c])).join(","));
+  return lines.join("\n") + "\n";
+}
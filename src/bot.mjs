@@ -1,6 +1,7 @@
 import {
   ActivityType,
   ActionRowBuilder,
+  AttachmentBuilder,
   ButtonBuilder,
   ButtonStyle,
   Client,
@@ -28,10 +29,14 @@ import {
   DEFAULT_GRANT_MODE,
   DEFAULT_GRANT_TTL_MIN,
   BASE_ROOT,
+  POLICY_FILE,
   WORKSPACES_ROOT,
   REPOS_ROOT,
   REPO_PATH,
   TASK_TIMEOUT_MS,
+  PUSH_APPROVAL_TIMEOUT_MS,
+  PUSH_APPROVAL_REMINDERS,
+  PUSH_APPROVAL_ON_TIMEOUT,
   RATE_LIMIT_WINDOW_MS,
   RATE_LIMIT_MAX,
   STARTUP_CHANNEL_ID,
@@ -42,6 +47,12 @@ import {
   UPDATE_CHECK_INTERVAL_MS,
   AUTO_RETRY_ON_CRASH,
   AUTO_UPDATE,
+  EGRESS_MODE,
+  EGRESS_ALLOWED_HOSTS,
+  PROTECTED_PATHS,
+  PROTECTED_PATHS_MODE,
+  TOOL_CATEGORIES,
+  UNKNOWN_TOOL_MODE,
 } from "./config.mjs";
 
 import {
@@ -68,7 +79,31 @@ import {
   setNotifyCallback,
 } from "./session-manager.mjs";
 
-import { addGrant, revokeGrant, startGrantCleanup, restoreGrants, cancelAllGrantTimers } from "./grants.mjs";
+import {
+  addGrant,
+  revokeGrant,
+  extendGrant,
+  getActiveGrants,
+  getGrantHistory,
+  startGrantCleanup,
+  restoreGrants,
+  cancelAllGrantTimers,
+  defineGrantTemplate,
+  deleteGrantTemplate,
+  applyGrantTemplate,
+  unapplyGrantTemplate,
+  listGrantTemplates,
+} from "./grants.mjs";
+import { explainToolUse, toolCategory } from "./policy-engine.mjs";
+import {
+  getChannelRules,
+  getFileRules,
+  getPolicyRules,
+  addChannelRule,
+  removeChannelRule,
+  clearChannelRules,
+  describeRule,
+} from "./policy-rules.mjs";
 import {
   closeDb,
   getAllSessions,
@@ -76,8 +111,14 @@ import {
   getStaleRunningTasks,
   markStaleTasksAborted,
   resetStaleSessions,
+  getSession,
+  queryAuditLog,
 } from "./state.mjs";
+import { AUDIT_COLUMNS, auditToCsv, parseTimeFilter } from "./audit.mjs";
+import { getVerifyConfig, setVerifyConfig, clearVerifyConfig } from "./push-verify.mjs";
+import { BUDGET_LABELS, getBudgetLimits, getBudgetOverride, setBudgetOverride, clearBudgetOverride, describeUsage } from "./task-budget.mjs";
 import { stopCopilotClient } from "./copilot-client.mjs";
+import { getPushRule, expirePendingPushApprovals, handleOrphanedApproval } from "./push-approval.mjs";
 import { redactSecrets } from "./secret-scanner.mjs";
 import { checkForUpdate, downloadAndApplyUpdate, restartBot } from "./updater.mjs";
 import { createLogger } from "./logger.mjs";
@@ -93,7 +134,7 @@ const commands = [
     .setName("grant")
     .setDescription("Zugriff auf Pfad außerhalb des Workspace gewähren")
     .addStringOption((opt) =>
-      opt.setName("path").setDescription("Absoluter Pfad").setRequired(true)
+      opt.setName("path").setDescription("Absoluter Pfad oder Glob (z.B. /srv/data/**/*.csv)").setRequired(true)
     )
     .addStringOption((opt) =>
       opt
@@ -111,13 +152,96 @@ const commands = [
         .setMinValue(1)
         .setMaxValue(1440)
     )
+    .addStringOption((opt) =>
+      opt.setName("exclude").setDescription("Ausnahmen als Globs, kommagetrennt (z.B. !**/*.pem, !**/.ssh/**)")
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("scope")
+        .setDescription("Geltungsbereich (Standard: bis zum Ablauf der TTL)")
+        .addChoices(
+          { name: "Bis zum Ablauf", value: "ttl" },
+          { name: "Einmalig (erster Zugriff)", value: "once" },
+          { name: "Nur dieser Task", value: "task" }
+        )
+    )
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
   new SlashCommandBuilder()
     .setName("revoke")
     .setDescription("Zugriff auf Pfad widerrufen")
     .addStringOption((opt) =>
-      opt.setName("path").setDescription("Absoluter Pfad").setRequired(true)
+      opt.setName("path").setDescription("Absoluter Pfad oder Glob wie beim Grant").setRequired(true)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder()
+    .setName("grants")
+    .setDescription("Aktive Grants dieses Channels verwalten")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("Aktion")
+        .setRequired(true)
+        .addChoices(
+          { name: "Aktive Grants", value: "list" },
+          { name: "Verlängern", value: "extend" },
+          { name: "Verlauf", value: "history" }
+        )
+    )
+    .addStringOption((opt) =>
+      opt.setName("path").setDescription("Pfad oder Glob des Grants (Verlauf: optionaler Filter)")
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("ttl")
+        .setDescription("Verlängerung in Minuten (Standard: 30)")
+        .setMinValue(1)
+        .setMaxValue(1440)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder()
+    .setName("templates")
+    .setDescription("Grant-Vorlagen für Channel, Server oder global verwalten")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("Aktion")
+        .setRequired(true)
+        .addChoices(
+          { name: "Vorlagen anzeigen", value: "list" },
+          { name: "Definieren", value: "define" },
+          { name: "Löschen", value: "delete" },
+          { name: "Anwenden", value: "apply" },
+          { name: "Entfernen", value: "remove" }
+        )
+    )
+    .addStringOption((opt) =>
+      opt.setName("name").setDescription("Name der Vorlage (z.B. node-toolchain)")
+    )
+    .addStringOption((opt) =>
+      opt.setName("paths").setDescription("Definieren: Pfade oder Globs, kommagetrennt, optional mit :ro/:rw (z.B. ~/.npm:rw,/usr/lib/node_modules)")
+    )
+    .addStringOption((opt) =>
+      opt.setName("exclude").setDescription("Definieren: Ausnahmen als Globs, kommagetrennt")
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("ttl")
+        .setDescription("Definieren: Wie lange eine Anwendung gilt, in Minuten (0 = bis zum Entfernen)")
+        .setMinValue(0)
+        .setMaxValue(10080)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("scope")
+        .setDescription("Anwenden/Entfernen: Geltungsbereich (Standard: dieser Channel)")
+        .addChoices(
+          { name: "Dieser Channel", value: "channel" },
+          { name: "Ganzer Server", value: "guild" },
+          { name: "Global", value: "global" }
+        )
     )
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
@@ -239,8 +363,160 @@ const commands = [
       opt.setName("name").setDescription("Branch-Name (z.B. develop, main)")
     )
     .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder()
+    .setName("policy")
+    .setDescription("Policy-Regeln für diesen Channel verwalten")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("Aktion")
+        .setRequired(true)
+        .addChoices(
+          { name: "Regeln anzeigen", value: "list" },
+          { name: "Regel hinzufügen", value: "add" },
+          { name: "Regel entfernen", value: "remove" },
+          { name: "Channel-Regeln löschen", value: "clear" },
+          { name: "Testlauf", value: "test" }
+        )
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("rule")
+        .setDescription("Entscheidung der neuen Regel")
+        .addChoices(
+          { name: "Erlauben", value: "allow" },
+          { name: "Verbieten", value: "deny" },
+          { name: "Nachfragen", value: "ask" }
+        )
+    )
+    .addStringOption((opt) =>
+      opt.setName("tools").setDescription("Tools oder Kategorien, kommagetrennt (z.B. shell, read, write, mcp_*)")
+    )
+    .addStringOption((opt) =>
+      opt.setName("command").setDescription("Regex für Shell-Befehle (z.B. ^npm publish)")
+    )
+    .addStringOption((opt) =>
+      opt.setName("paths").setDescription("Pfad-Globs, kommagetrennt (z.B. /srv/data/**, .env*)")
+    )
+    .addStringOption((opt) =>
+      opt.setName("reason").setDescription("Begründung, die der Agent sieht")
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("index").setDescription("Nummer der Channel-Regel zum Entfernen").setMinValue(1)
+    )
+    .addStringOption((opt) =>
+      opt.setName("tool").setDescription("Tool für den Testlauf (Standard: shell, z.B. read_file, write_file)")
+    )
+    .addStringOption((opt) =>
+      opt.setName("input").setDescription("Befehl oder Pfad für den Testlauf (oder Tool-Argumente als JSON)")
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder()
+    .setName("audit")
+    .setDescription("Audit-Log der Policy-Entscheidungen und Freigaben anzeigen oder exportieren")
+    .addStringOption((opt) =>
+      opt
+        .setName("format")
+        .setDescription("Ausgabe (Standard: Übersicht)")
+        .addChoices(
+          { name: "Übersicht", value: "overview" },
+          { name: "CSV-Export", value: "csv" },
+          { name: "JSON-Export", value: "json" }
+        )
+    )
+    .addChannelOption((opt) =>
+      opt.setName("channel").setDescription("Channel (Standard: dieser Channel)")
+    )
+    .addBooleanOption((opt) =>
+      opt.setName("all").setDescription("Alle Channels")
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("task").setDescription("Task-ID").setMinValue(1)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("decision")
+        .setDescription("Entscheidung")
+        .addChoices(
+          { name: "Erlaubt", value: "allow" },
+          { name: "Verboten", value: "deny" },
+          { name: "Nachfragen", value: "ask" },
+          { name: "Freigegeben", value: "approved" },
+          { name: "Abgelehnt", value: "rejected" },
+          { name: "Timeout", value: "timeout" }
+        )
+    )
+    .addStringOption((opt) =>
+      opt.setName("since").setDescription("Ab (z.B. 24h, 7d, 2026-01-31)")
+    )
+    .addStringOption((opt) =>
+      opt.setName("until").setDescription("Bis (z.B. 1h, 2026-02-01)")
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder()
+    .setName("budget")
+    .setDescription("Task-Budget (Limits pro Task) für diesen Channel")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("Aktion")
+        .setRequired(true)
+        .addChoices(
+          { name: "Budget anzeigen", value: "show" },
+          { name: "Limits setzen", value: "set" },
+          { name: "Zurück zum Standard", value: "reset" }
+        )
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("tool_calls").setDescription("Max. Tool-Aufrufe pro Task (0 = unbegrenzt)").setMinValue(0)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("shell").setDescription("Max. Shell-Befehle pro Task (0 = unbegrenzt)").setMinValue(0)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("files").setDescription("Max. geschriebene Dateien pro Task (0 = unbegrenzt)").setMinValue(0)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("write_mb").setDescription("Max. geschriebene MB pro Task (0 = unbegrenzt)").setMinValue(0)
+    )
+    .addIntegerOption((opt) =>
+      opt.setName("repeats").setDescription("Max. gleiche fehlschlagende Aufrufe in Folge (0 = unbegrenzt)").setMinValue(0)
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
+
+  new SlashCommandBuilder()
+    .setName("verify")
+    .setDescription("Pre-Push-Verifikation (Tests/Lint/Build) für das Repo dieses Channels")
+    .addStringOption((opt) =>
+      opt
+        .setName("action")
+        .setDescription("Aktion")
+        .setRequired(true)
+        .addChoices(
+          { name: "Verifikation anzeigen", value: "show" },
+          { name: "Befehl setzen", value: "set" },
+          { name: "Zurück zum Standard", value: "clear" }
+        )
+    )
+    .addStringOption((opt) =>
+      opt.setName("command").setDescription("Befehl im Worktree (z.B. npm test)").setMaxLength(500)
+    )
+    .addBooleanOption((opt) =>
+      opt.setName("auto_reject").setDescription("Push bei fehlgeschlagener Verifikation automatisch ablehnen")
+    )
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 ];
 
+/** Suffix describing a grant's scope in replies and listings. */
+const GRANT_SCOPE_LABELS = {
+  ttl: "",
+  once: " · **einmalig**",
+  task: " · **nur dieser Task**",
+};
+
 // ── Access Control ──────────────────────────────────────────────────────────
 
 function isAllowed(interaction) {
@@ -422,6 +698,9 @@ client.once(Events.ClientReady, async () => {
   // ── Environment Validation & Crash Recovery ─────────────────────────────
   const envIssues = await validateEnvironment();
   const recoveryInfo = await recoverFromPreviousErrors();
+  try { await expirePendingPushApprovals(client); } catch (err) {
+    log.warn("Expiring pending push approvals failed", { error: err.message });
+  }
 
   // Reconcile orphaned worktrees left by previous crashes
   try { await reconcileWorkspaces(); } catch (err) {
@@ -897,6 +1176,9 @@ client.on("interactionCreate", async (interaction) => {
     return;
   }
 
+  // Push approval buttons left over from before a restart have no collector
+  if ((interaction.isButton() || interaction.isStringSelectMenu()) && await handleOrphanedApproval(interaction)) return;
+
   if (!interaction.isChatInputCommand() && !interaction.isButton()) return;
 
   // Button interactions (push approve/reject) handled by collector in push-approval.mjs
@@ -925,7 +1207,7 @@ client.on("interactionCreate", async (interaction) => {
   const channel = isInThread ? (interaction.channel.parent ?? interaction.channel) : interaction.channel;
 
   // Admin-only commands require isAdmin() — setDefaultMemberPermissions is not enforced in DMs
-  const ADMIN_COMMANDS = new Set(["grant", "revoke", "stop", "reset", "model", "config", "pause", "resume", "responders", "update", "repo", "branch"]);
+  const ADMIN_COMMANDS = new Set(["grant", "revoke", "grants", "stop", "reset", "model", "config", "pause", "resume", "responders", "update", "repo", "branch", "policy", "audit", "budget", "templates", "verify"]);
   if (ADMIN_COMMANDS.has(commandName) && !isAdmin(interaction)) {
     await interaction.reply({
       content: "⛓️ Nur Admins dürfen diesen Command nutzen.",
@@ -941,20 +1223,25 @@ client.on("interactionCreate", async (interaction) => {
         const grantPath = interaction.options.getString("path");
         const mode = interaction.options.getString("mode") || DEFAULT_GRANT_MODE;
         const ttl = interaction.options.getInteger("ttl") || DEFAULT_GRANT_TTL_MIN;
+        const excludes = (interaction.options.getString("exclude") || "").split(",").map((e) => e.trim()).filter(Boolean);
+        const scope = interaction.options.getString("scope") || "ttl";
 
         // Basic sanity: must be absolute
         if (!grantPath.startsWith("/") && !grantPath.match(/^[A-Z]:\\/i)) {
           await interaction.reply({
-            content: "🥀 Pfad muss absolut sein (z.B. `/home/user/data` oder `C:\\Users\\...`)~",
+            content: "🥀 Pfad muss absolut sein (z.B. `/home/user/data`, `/srv/data/**/*.csv` oder `C:\\Users\\...`)~",
             flags: MessageFlags.Ephemeral,
           });
           break;
         }
 
-        addGrant(channelId, grantPath, mode, ttl);
+        const grant = addGrant(channelId, grantPath, mode, ttl, { excludes, grantedBy: interaction.user.tag, scope });
         const expiryEpoch = Math.floor(Date.now() / 1000) + ttl * 60;
+        const except = grant.excludes.length > 0
+          ? `\nAusgenommen: ${grant.excludes.map((e) => `\`${e}\``).join(", ")}`
+          : "";
         await interaction.reply(
-          `💜 **Granted** \`${mode}\` auf \`${grantPath}\` für **${ttl} min** (endet <t:${expiryEpoch}:R>)~`
+          `💜 **Granted** \`${mode}\` auf \`${grantPath}\` für **${ttl} min** (endet <t:${expiryEpoch}:R>)${GRANT_SCOPE_LABELS[scope]}~${except}`
         );
         break;
       }
@@ -962,11 +1249,177 @@ client.on("interactionCreate", async (interaction) => {
       // ── /revoke ───────────────────────────────────────────────────────
       case "revoke": {
         const revokePath = interaction.options.getString("path");
-        revokeGrant(channelId, revokePath);
+        revokeGrant(channelId, revokePath, interaction.user.tag);
         await interaction.reply(`⛓️ **Revoked** \`${revokePath}\`~`);
         break;
       }
 
+      // ── /grants ───────────────────────────────────────────────────────
+      case "grants": {
+        const action = interaction.options.getString("action");
+        const grantPath = interaction.options.getString("path");
+
+        if (action === "extend") {
+          if (!grantPath) {
+            await interaction.reply({
+              content: "🥀 `path` Option angeben — Pfad oder Glob aus `/grants list`~",
+              flags: MessageFlags.Ephemeral,
+            });
+            break;
+          }
+          const ttl = interaction.options.getInteger("ttl") || DEFAULT_GRANT_TTL_MIN;
+          const extended = extendGrant(channelId, grantPath, ttl, interaction.user.tag);
+          if (!extended) {
+            await interaction.reply({
+              content: `🥀 Kein aktiver Grant auf \`${grantPath}\`.`,
+              flags: MessageFlags.Ephemeral,
+            });
+            break;
+          }
+          await interaction.reply(
+            `💜 Grant \`${extended.mode}\` auf \`${extended.path}\` um **${ttl} min** verlängert (endet <t:${Math.floor(extended.expiry / 1000)}:R>)~`
+          );
+          break;
+        }
+
+        if (action === "history") {
+          const events = getGrantHistory(channelId, { path: grantPath });
+          if (events.length === 0) {
+            await interaction.reply({ content: "🥀 Kein Grant-Verlauf für diesen Channel.", flags: MessageFlags.Ephemeral });
+            break;
+          }
+          const icon = { created: "🔓", extended: "⏳", expired: "⌛", revoked: "⛓️", used: "🔑", consumed: "🎟️" };
+          const lines = events.map((e) => {
+            const who = e.actor ? ` — ${e.actor}` : "";
+            const tool = e.tool ? ` \`${e.tool}\`` : "";
+            const detail = e.detail ? ` (${e.detail})` : "";
+            return `${icon[e.event] || "•"} \`${e.created_at.slice(5, 16)}\` **${e.event}**${tool} \`${e.path}\`${e.mode ? ` ${e.mode}` : ""}${detail}${who}`;
+          });
+          const embed = new EmbedBuilder()
+            .setTitle("📜 Grant-Verlauf")
+            .setColor(0x71797e)
+            .setDescription(lines.join("\n").slice(0, 4096))
+            .setFooter({ text: `Neueste ${events.length} Einträge (UTC)` })
+            .setTimestamp();
+          await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+          break;
+        }
+
+        // list
+        const grants = [...getActiveGrants(channelId, interaction.guildId)];
+        if (grants.length === 0) {
+          await interaction.reply({ content: "🥀 Keine aktiven Grants in diesem Channel.", flags: MessageFlags.Ephemeral });
+          break;
+        }
+        const lines = grants.map(([p, g]) => {
+          const except = g.excludes?.length ? `\n  ohne ${g.excludes.map((e) => `\`${e}\``).join(", ")}` : "";
+          const until = g.expiry === Infinity ? "ohne Ablauf" : `endet <t:${Math.floor(g.expiry / 1000)}:R>`;
+          const source = g.template ? ` · Vorlage **${g.template}**` : "";
+          return `\`${g.mode}\` \`${p}\` — ${until}${GRANT_SCOPE_LABELS[g.scope] ?? ""}${source} — von ${g.grantedBy || "*(unbekannt)*"}${except}`;
+        });
+        const embed = new EmbedBuilder()
+          .setTitle("🔓 Aktive Grants")
+          .setColor(0x71797e)
+          .setDescription(lines.join("\n").slice(0, 4096))
+          .setTimestamp();
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+        break;
+      }
+
+      // ── /templates ────────────────────────────────────────────────────
+      case "templates": {
+        const action = interaction.options.getString("action");
+        const name = interaction.options.getString("name")?.trim();
+        const scope = interaction.options.getString("scope") || "channel";
+
+        if (action === "list") {
+          const templates = listGrantTemplates();
+          if (templates.length === 0) {
+            await interaction.reply({ content: "🥀 Keine Grant-Vorlagen definiert.", flags: MessageFlags.Ephemeral });
+            break;
+          }
+          const where = (b) =>
+            b.scope === "global" ? "global"
+            : b.scope === "guild" ? (b.targetId === interaction.guildId ? "dieser Server" : `Server \`${b.targetId}\``)
+            : `<#${b.targetId}>`;
+          const blocks = templates.map((t) => {
+            const paths = t.entries.map((e) => `\`${e.mode}\` \`${e.path}\``).join(", ");
+            const except = t.excludes.length ? `\n  ohne ${t.excludes.map((e) => `\`${e}\``).join(", ")}` : "";
+            const applied = t.bindings.length
+              ? t.bindings.map((b) => `${where(b)}${b.expiry === Infinity ? "" : ` bis <t:${Math.floor(b.expiry / 1000)}:R>`}`).join(", ")
+              : "*nirgends angewendet*";
+            return `**${t.name}** (${t.ttlMin > 0 ? `${t.ttlMin} min` : "ohne Ablauf"}) — ${paths}${except}\n  → ${applied}`;
+          });
+          const embed = new EmbedBuilder()
+            .setTitle("📋 Grant-Vorlagen")
+            .setColor(0x71797e)
+            .setDescription(blocks.join("\n").slice(0, 4096))
+            .setTimestamp();
+          await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+          break;
+        }
+
+        if (!name) {
+          await interaction.reply({ content: "🥀 Bitte `name` angeben~", flags: MessageFlags.Ephemeral });
+          break;
+        }
+
+        if (action === "define") {
+          const specs = (interaction.options.getString("paths") || "").split(",").map((e) => e.trim()).filter(Boolean);
+          const excludes = (interaction.options.getString("exclude") || "").split(",").map((e) => e.trim()).filter(Boolean);
+          const ttl = interaction.options.getInteger("ttl") ?? 0;
+          let template;
+          try {
+            template = defineGrantTemplate(name, specs, { excludes, ttlMin: ttl, createdBy: interaction.user.tag });
+          } catch (err) {
+            await interaction.reply({ content: `🥀 Ungültige Vorlage: ${err.message}`, flags: MessageFlags.Ephemeral });
+            break;
+          }
+          const paths = template.entries.map((e) => `\`${e.mode}\` \`${e.path}\``).join(", ");
+          await interaction.reply(
+            `💜 Vorlage **${template.name}** gespeichert: ${paths} (${ttl > 0 ? `${ttl} min pro Anwendung` : "ohne Ablauf"})~`
+          );
+          break;
+        }
+
+        if (action === "delete") {
+          const deleted = deleteGrantTemplate(name);
+          await interaction.reply(
+            deleted
+              ? `⛓️ Vorlage **${name}** gelöscht — alle Anwendungen sind entfernt.`
+              : { content: `🥀 Keine Vorlage **${name}**.`, flags: MessageFlags.Ephemeral }
+          );
+          break;
+        }
+
+        // apply / remove
+        if (scope === "guild" && !interaction.guildId) {
+          await interaction.reply({ content: "🥀 `scope: guild` geht nur auf einem Server~", flags: MessageFlags.Ephemeral });
+          break;
+        }
+        const targetId = scope === "guild" ? interaction.guildId : scope === "channel" ? channelId : "";
+        const target = scope === "global" ? "global" : scope === "guild" ? "für diesen Server" : "für diesen Channel";
+
+        if (action === "apply") {
+          const applied = applyGrantTemplate(name, scope, targetId, interaction.user.tag);
+          if (!applied) {
+            await interaction.reply({ content: `🥀 Keine Vorlage **${name}**.`, flags: MessageFlags.Ephemeral });
+            break;
+          }
+          const until = applied.expiry === Infinity ? "bis zum Entfernen" : `endet <t:${Math.floor(applied.expiry / 1000)}:R>`;
+          await interaction.reply(`💜 Vorlage **${name}** ${target} angewendet (${until})~`);
+          break;
+        }
+
+        const removed = unapplyGrantTemplate(name, scope, targetId);
+        await interaction.reply(
+          removed
+            ? `⛓️ Vorlage **${name}** ${target} entfernt.`
+            : { content: `🥀 Vorlage **${name}** ist ${target} nicht angewendet.`, flags: MessageFlags.Ephemeral }
+        );
+        break;
+      }
+
       // ── /reset ────────────────────────────────────────────────────────
       case "reset": {
         await interaction.deferReply();
@@ -1054,6 +1507,25 @@ client.on("interactionCreate", async (interaction) => {
             { name: "Edit Throttle", value: `${DISCORD_EDIT_THROTTLE_MS} ms`, inline: true },
             { name: "Standard Grant-Modus", value: DEFAULT_GRANT_MODE, inline: true },
             { name: "Default Grant TTL", value: `${DEFAULT_GRANT_TTL_MIN} min`, inline: true },
+            { name: "Policy-Datei", value: `\`${POLICY_FILE}\``, inline: false },
+            { name: "Egress-Modus", value: EGRESS_MODE, inline: true },
+            {
+              name: "Egress-Allowlist",
+              value: [...EGRESS_ALLOWED_HOSTS].join(", ").slice(0, 1024),
+              inline: false,
+            },
+            { name: "Schutz-Modus", value: PROTECTED_PATHS_MODE, inline: true },
+            {
+              name: "Geschützte Globs",
+              value: PROTECTED_PATHS.length ? PROTECTED_PATHS.map((g) => `\`${g}\``).join(", ").slice(0, 1024) : "*(keine)*",
+              inline: false,
+            },
+            { name: "Unbekannte Tools", value: UNKNOWN_TOOL_MODE, inline: true },
+            {
+              name: "Tool-Kategorien",
+              value: TOOL_CATEGORIES.length ? TOOL_CATEGORIES.map(([n, c]) => `\`${n}\` → ${c}`).join(", ").slice(0, 1024) : "*(nur eingebaute)*",
+              inline: false,
+            },
             {
               name: "Guild-Filter",
               value: ALLOWED_GUILDS ? [...ALLOWED_GUILDS].join(", ") : "*(alle)*",
@@ -1070,6 +1542,12 @@ client.on("interactionCreate", async (interaction) => {
               inline: false,
             },
             { name: "Task Timeout", value: `${Math.round(TASK_TIMEOUT_MS / 60_000)} min`, inline: true },
+            {
+              name: "Push-Freigabe",
+              value: `${Math.round(PUSH_APPROVAL_TIMEOUT_MS / 60_000)} min, dann ${PUSH_APPROVAL_ON_TIMEOUT === "park" ? "geparkt" : "abgelehnt"}` +
+                (PUSH_APPROVAL_REMINDERS ? " · Erinnerung & Eskalation" : ""),
+              inline: true,
+            },
             { name: "Rate Limit", value: `${RATE_LIMIT_MAX} / ${Math.round(RATE_LIMIT_WINDOW_MS / 1000)}s`, inline: true },
           )
           .setTimestamp();
@@ -1388,6 +1866,333 @@ client.on("interactionCreate", async (interaction) => {
           }
           break;
         }
+        break;
+      }
+
+      // ── /policy ────────────────────────────────────────────────────────
+      case "policy": {
+        const action = interaction.options.getString("action");
+
+        if (action === "list") {
+          const channelRules = getChannelRules(channelId);
+          const fileRules = getFileRules();
+          const format = (rules, numbered) => rules.length === 0
+            ? "*(keine)*"
+            : rules.map((r, i) => `${numbered ? `**${i + 1}.**` : "•"} \`${r.id}\` ${describeRule(r)}`).join("\n").slice(0, 1024);
+          const embed = new EmbedBuilder()
+            .setTitle("📜 Policy-Regeln")
+            .setColor(0x71797e)
+            .setDescription("Channel-Regeln werden vor der Policy-Datei geprüft — die erste passende Regel entscheidet.")
+            .addFields(
+              { name: "Channel-Regeln", value: format(channelRules, true), inline: false },
+              { name: `Policy-Datei (\`${POLICY_FILE}\`)`.slice(0, 256), value: format(fileRules, false), inline: false },
+            )
+            .setTimestamp();
+          await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+          break;
+        }
+
+        if (action === "add") {
+          const ruleAction = interaction.options.getString("rule");
+          if (!ruleAction) {
+            await interaction.reply({
+              content: "🥀 `rule` Option angeben — `allow`, `deny` oder `ask`~",
+              flags: MessageFlags.Ephemeral,
+            });
+            break;
+          }
+          const csv = (name) => {
+            const list = (interaction.options.getString(name) || "").split(",").map((v) => v.trim()).filter(Boolean);
+            return list.length > 0 ? list : undefined;
+          };
+          const spec = {
+            action: ruleAction,
+            tools: csv("tools"),
+            command: interaction.options.getString("command") || undefined,
+            paths: csv("paths"),
+            reason: interaction.options.getString("reason") || undefined,
+          };
+
+          let rule;
+          try {
+            rule = addChannelRule(channelId, spec);
+          } catch (err) {
+            await interaction.reply({
+              content: `🥀 Ungültige Regel: ${err.message}`,
+              flags: MessageFlags.Ephemeral,
+            });
+            break;
+          }
+          await interaction.reply(`💜 Policy-Regel \`${rule.id}\` hinzugefügt: ${describeRule(rule)}`);
+          break;
+        }
+
+        if (action === "remove") {
+          const index = interaction.options.getInteger("index");
+          if (!index) {
+            await interaction.reply({
+              content: "🥀 `index` Option angeben — Nummer aus `/policy list`~",
+              flags: MessageFlags.Ephemeral,
+            });
+            break;
+          }
+          const removed = removeChannelRule(channelId, index);
+          if (removed) {
+            await interaction.reply(`⛓️ Policy-Regel **${index}** entfernt: ${describeRule(removed)}`);
+          } else {
+            await interaction.reply({
+              content: `🥀 Keine Channel-Regel mit Nummer ${index}.`,
+              flags: MessageFlags.Ephemeral,
+            });
+          }
+          break;
+        }
+
+        if (action === "clear") {
+          const removed = clearChannelRules(channelId);
+          await interaction.reply(removed > 0
+            ? `⛓️ ${removed} Channel-Regel(n) gelöscht — es gilt nur noch die Policy-Datei~`
+            : "🥀 Keine Channel-Regeln aktiv.");
+          break;
+        }
+
+        if (action === "test") {
+          const tool = interaction.options.getString("tool")?.trim() || "shell";
+          const input = interaction.options.getString("input");
+          if (!input) {
+            await interaction.reply({
+              content: "🥀 `input` Option angeben — Befehl, Pfad oder JSON-Argumente~",
+              flags: MessageFlags.Ephemeral,
+            });
+            break;
+          }
+          const workspace = getSessionStatus(channelId)?.workspace ?? getSession(channelId)?.workspace_path;
+          if (!workspace) {
+            await interaction.reply({
+              content: "🥀 Kein Workspace für diesen Channel — er entsteht mit dem ersten Task~",
+              flags: MessageFlags.Ephemeral,
+            });
+            break;
+          }
+
+          let toolArgs;
+          if (input.trim().startsWith("{")) {
+            try {
+              toolArgs = JSON.parse(input);
+            } catch (err) {
+              await interaction.reply({ content: `🥀 Ungültiges JSON: ${err.message}`, flags: MessageFlags.Ephemeral });
+              break;
+            }
+          } else {
+            toolArgs = toolCategory(tool) === "shell" ? { command: input } : { path: input };
+          }
+
+          const { result, paths, dirs } = await explainToolUse(tool, toolArgs, workspace, getActiveGrants(channelId, interaction.guildId), getPolicyRules(channelId));
+          const verdict = { allow: "✅ Erlaubt", deny: "⛔ Verboten", ask: "❔ Braucht Freigabe" }[result.decision] || result.decision;
+          const pathList = paths.length === 0
+            ? "*(keine)*"
+            : paths.map((p) => `\`${p.path}\`${p.real !== p.path ? ` → \`${p.real}\`` : ""}`).join("\n");
+          const embed = new EmbedBuilder()
+            .setTitle("🧪 Policy-Testlauf")
+            .setColor(result.decision === "allow" ? 0x2d1b4e : result.decision === "ask" ? 0xFFAA00 : 0x8b0000)
+            .setDescription(redactSecrets(`\`${tool}\` (${toolCategory(tool)}) — \`${JSON.stringify(toolArgs)}\``).clean.slice(0, 4096))
+            .addFields(
+              { name: "Entscheidung", value: verdict, inline: true },
+              { name: "Gate", value: result.gate ? `\`${result.gate}\`` : "—", inline: true },
+              { name: "Regel", value: result.rule ? `\`${result.rule}\`` : "—", inline: true },
+            );
+          if (result.reason) embed.addFields({ name: "Grund", value: result.reason.slice(0, 1024), inline: false });
+          if (result.highRisk?.length) embed.addFields({ name: "Hohes Risiko", value: result.highRisk.join("\n").slice(0, 1024), inline: false });
+          if (result.destinations) {
+            const rule = getPushRule(getChannelRepo(channelId).projectName, result.destinations);
+            // High-risk pushes are never auto-approved
+            const effective = rule.action === "allow" && result.highRisk ? "ask" : rule.action;
+            const action = { allow: "automatisch freigegeben", ask: "braucht Freigabe", deny: "verboten" }[effective];
+            embed.addFields({
+              name: "Push-Ziele",
+              value: `${result.destinations.map((d) => `${d.remote ?? "—"} → ${d.branch ? `\`${d.branch}\`` : "*(unbekannt)*"}`).join("\n")}\n**PUSH_RULES:** ${action}`.slice(0, 1024),
+              inline: false,
+            });
+          }
+          if (dirs.length > 0) {
+            embed.addFields({
+              name: "Arbeitsverzeichnisse",
+              value: dirs.map((d) => (d ? `\`${d}\`` : "*(unbekannt)*")).join("\n").slice(0, 1024),
+              inline: false,
+            });
+          }
+          embed
+            .addFields({ name: "Aufgelöste Pfade", value: pathList.slice(0, 1024), inline: false })
+            .setFooter({ text: `Workspace: ${workspace}`.slice(0, 2048) })
+            .setTimestamp();
+          await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+          break;
+        }
+        break;
+      }
+
+      // ── /audit ─────────────────────────────────────────────────────────
+      case "audit": {
+        const format = interaction.options.getString("format") || "overview";
+        const target = interaction.options.getChannel("channel");
+        const filters = {
+          // Sessions (and their audit entries) are keyed by the parent channel of a thread
+          channelId: interaction.options.getBoolean("all")
+            ? null
+            : target ? (target.isThread?.() ? target.parentId ?? target.id : target.id) : channelId,
+          taskId: interaction.options.getInteger("task"),
+          decision: interaction.options.getString("decision"),
+          since: null,
+          until: null,
+          limit: format === "overview" ? 20 : 10_000,
+        };
+        try {
+          const since = interaction.options.getString("since");
+          const until = interaction.options.getString("until");
+          if (since) filters.since = parseTimeFilter(since);
+          if (until) filters.until = parseTimeFilter(until);
+        } catch (err) {
+          await interaction.reply({
+            content: `🥀 ${err.message} — z.B. \`30m\`, \`24h\`, \`7d\` oder \`2026-01-31\``,
+            flags: MessageFlags.Ephemeral,
+          });
+          break;
+        }
+
+        const rows = queryAuditLog(filters);
+        if (rows.length === 0) {
+          await interaction.reply({ content: "🥀 Keine Audit-Einträge für diese Filter.", flags: MessageFlags.Ephemeral });
+          break;
+        }
+
+        if (format !== "overview") {
+          const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+          const body = format === "csv"
+            ? auditToCsv(rows)
+            : JSON.stringify(rows.map((r) => Object.fromEntries(AUDIT_COLUMNS.map((c) => [c, r[c]]))), null, 2);
+          const file = new AttachmentBuilder(Buffer.from(body, "utf-8"), { name: `audit-${stamp}.${format}` });
+          await interaction.reply({
+            content: `📜 ${rows.length} Audit-Einträge${rows.length === filters.limit ? ` (auf ${filters.limit} begrenzt)` : ""}`,
+            files: [file],
+            flags: MessageFlags.Ephemeral,
+          });
+          break;
+        }
+
+        const icon = { allow: "✅", deny: "⛔", ask: "❔", approved: "💜", rejected: "🥀", timeout: "⌛" };
+        const lines = rows.map((r) => {
+          const who = r.approver ? ` — ${r.approver}` : "";
+          const where = filters.channelId ? "" : ` <#${r.channel_id}>`;
+          const task = r.task_id ? ` #${r.task_id}` : "";
+          const why = r.rule ? ` \`${r.rule}\`` : r.gate ? ` (${r.gate})` : "";
+          return `${icon[r.decision] || "•"} \`${r.created_at.slice(5, 16)}\`${where}${task} **${r.tool || r.event}** ${r.decision}${why}${who}`;
+        });
+        const embed = new EmbedBuilder()
+          .setTitle("📜 Audit-Log")
+          .setColor(0x71797e)
+          .setDescription(redactSecrets(lines.join("\n")).clean.slice(0, 4096))
+          .setFooter({ text: `Neueste ${rows.length} Einträge (UTC) — format:CSV/JSON für den vollständigen Export` })
+          .setTimestamp();
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+        break;
+      }
+
+      // ── /budget ───────────────────────────────────────────────────────
+      case "budget": {
+        const action = interaction.options.getString("action");
+
+        if (action === "set") {
+          const limits = {
+            toolCalls: interaction.options.getInteger("tool_calls"),
+            shellCommands: interaction.options.getInteger("shell"),
+            filesWritten: interaction.options.getInteger("files"),
+            writeMb: interaction.options.getInteger("write_mb"),
+            repeatedFailures: interaction.options.getInteger("repeats"),
+          };
+          if (Object.values(limits).every((v) => v === null)) {
+            await interaction.reply({
+              content: "🥀 Mindestens ein Limit angeben — `tool_calls`, `shell`, `files`, `write_mb` oder `repeats`~",
+              flags: MessageFlags.Ephemeral,
+            });
+            break;
+          }
+          const effective = setBudgetOverride(channelId, limits);
+          const changed = Object.keys(limits)
+            .filter((k) => limits[k] !== null)
+            .map((k) => `${BUDGET_LABELS[k]}: **${effective[k] || "∞"}**`);
+          await interaction.reply(`💜 Task-Budget gesetzt — ${changed.join(", ")}\nGilt ab dem nächsten Task.`);
+          break;
+        }
+
+        if (action === "reset") {
+          if (clearBudgetOverride(channelId)) {
+            await interaction.reply("⛓️ Task-Budget auf Standard zurückgesetzt.");
+          } else {
+            await interaction.reply({ content: "🥀 Dieser Channel nutzt bereits das Standard-Budget.", flags: MessageFlags.Ephemeral });
+          }
+          break;
+        }
+
+        // show
+        const limits = getBudgetLimits(channelId);
+        const override = getBudgetOverride(channelId);
+        const lines = Object.entries(BUDGET_LABELS).map(([k, label]) =>
+          `${label}: **${limits[k] || "∞"}**${k in override ? " *(Channel)*" : ""}`
+        );
+        const embed = new EmbedBuilder()
+          .setTitle("⏳ Task-Budget")
+          .setColor(0x71797e)
+          .setDescription("Ist ein Limit erreicht, pausiert der Task, bis ein Admin weitermacht oder abbricht.")
+          .addFields({ name: "Limits pro Task", value: lines.join("\n"), inline: false })
+          .setTimestamp();
+        const usage = getSessionStatus(channelId)?.budget;
+        if (usage) {
+          embed.addFields({ name: "Laufender Task", value: describeUsage(usage, limits).join("\n"), inline: false });
+        }
+        await interaction.reply({ embeds: [embed], flags: MessageFlags.Ephemeral });
+        break;
+      }
+
+      // ── /verify ───────────────────────────────────────────────────────
+      case "verify": {
+        const action = interaction.options.getString("action");
+        const { projectName } = getChannelRepo(channelId);
+
+        if (action === "set") {
+          const command = interaction.options.getString("command")?.trim();
+          if (!command) {
+            await interaction.reply({ content: "🥀 Bitte einen `command` angeben~", flags: MessageFlags.Ephemeral });
+            break;
+          }
+          const autoReject = interaction.options.getBoolean("auto_reject") ?? false;
+          setVerifyConfig(projectName, command, autoReject, interaction.user.tag);
+          await interaction.reply(
+            `💜 Pre-Push-Verifikation für \`${projectName}\`: \`${command}\`\n` +
+            (autoReject ? "Schlägt sie fehl, wird der Push automatisch abgelehnt." : "Das Ergebnis erscheint bei der Push-Freigabe.")
+          );
+          break;
+        }
+
+        if (action === "clear") {
+          if (clearVerifyConfig(projectName)) {
+            const fallback = getVerifyConfig(projectName);
+            await interaction.reply(`⛓️ Pre-Push-Verifikation für \`${projectName}\` entfernt.` + (fallback ? ` Es gilt wieder der Standard: \`${fallback.command}\`` : ""));
+          } else {
+            await interaction.reply({ content: "🥀 Dieses Repo hat keine eigene Verifikation.", flags: MessageFlags.Ephemeral });
+          }
+          break;
+        }
+
+        // show
+        const verify = getVerifyConfig(projectName);
+        await interaction.reply({
+          content: verify
+            ? `🧪 **Pre-Push-Verifikation** für \`${projectName}\`: \`${verify.command}\`${verify.source === "default" ? " *(Standard)*" : ""}\n` +
+              (verify.autoReject ? "Fehlschlag → Push wird automatisch abgelehnt." : "Fehlschlag → wird bei der Push-Freigabe angezeigt.")
+            : `🧪 Für \`${projectName}\` ist keine Pre-Push-Verifikation eingerichtet.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        break;
       }
 
       default:
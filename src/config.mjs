@@ -26,6 +26,8 @@ const WORKSPACES_ROOT =
   env("WORKSPACES_ROOT") || join(BASE_ROOT, "workspaces");
 const REPOS_ROOT = join(BASE_ROOT, "repos");
 const STATE_DB_PATH = join(BASE_ROOT, "state.sqlite");
+// Declarative allow/deny/ask rules, consulted before the built-in policy gates
+const POLICY_FILE = env("POLICY_FILE") || join(BASE_ROOT, "policy.json");
 
 // ── Project (set at runtime by agent.sh via env) ────────────────────────────
 const PROJECT_NAME = env("PROJECT_NAME") || "default";
@@ -36,6 +38,9 @@ const ALLOWED_GUILDS = csvToValidatedSet(env("ALLOWED_GUILDS"), "ALLOWED_GUILDS"
 const ALLOWED_CHANNELS = csvToValidatedSet(env("ALLOWED_CHANNELS"), "ALLOWED_CHANNELS");
 const ADMIN_ROLE_IDS = csvToValidatedSet(env("ADMIN_ROLE_IDS"), "ADMIN_ROLE_IDS");
 const ALLOWED_ROLE_IDS = csvToValidatedSet(env("ALLOWED_ROLE_IDS"), "ALLOWED_ROLE_IDS");
+// Roles allowed to approve high-risk git operations (force push, history rewrite).
+// null = any admin, but a second confirmation click is required.
+const HIGH_RISK_ROLE_IDS = csvToValidatedSet(env("HIGH_RISK_ROLE_IDS"), "HIGH_RISK_ROLE_IDS");
 
 // ── Tunables ────────────────────────────────────────────────────────────────
 function safeInt(envVal, fallback, min = 0) {
@@ -111,6 +116,18 @@ const DEFAULT_BRANCH = env("DEFAULT_BRANCH") || null;
 const MAX_QUEUE_SIZE = safeInt(env("MAX_QUEUE_SIZE"), 50);
 const MAX_PROMPT_LENGTH = safeInt(env("MAX_PROMPT_LENGTH"), 4000);
 
+// ── Task Budgets ────────────────────────────────────────────────────────
+// Per-task limits (0 = unlimited), overridable per channel with /budget.
+// When one is hit the task pauses until someone continues or aborts it.
+const TASK_BUDGET_DEFAULTS = {
+  toolCalls: safeInt(env("TASK_MAX_TOOL_CALLS"), 300),
+  shellCommands: safeInt(env("TASK_MAX_SHELL_COMMANDS"), 150),
+  filesWritten: safeInt(env("TASK_MAX_FILES_WRITTEN"), 100),
+  writeMb: safeInt(env("TASK_MAX_WRITE_MB"), 10),
+  // Identical tool calls (same tool and arguments) that failed in a row
+  repeatedFailures: safeInt(env("TASK_MAX_REPEATED_FAILURES"), 3),
+};
+
 // ── Crash Recovery ───────────────────────────────────────────────────────
 // When true, tasks aborted by a crash/restart are automatically re-enqueued.
 const AUTO_RETRY_ON_CRASH = (env("AUTO_RETRY_ON_CRASH") || "false").toLowerCase() === "true";
@@ -119,6 +136,143 @@ const AUTO_RETRY_ON_CRASH = (env("AUTO_RETRY_ON_CRASH") || "false").toLowerCase(
 // When true, git push commands are auto-approved without Discord button confirmation.
 const AUTO_APPROVE_PUSH = (env("AUTO_APPROVE_PUSH") || "false").toLowerCase() === "true";
 
+// ── Push Rules ──────────────────────────────────────────────────────────
+// What happens to a push by the remote branch it targets:
+// PUSH_RULES="agent/**=allow,main=deny,release/**=deny,*=ask". A `repo:`
+// prefix limits an entry to one project (see PUSH_QUORUM) and wins over plain
+// entries; otherwise the first matching entry wins. Pushes no entry matches
+// follow AUTO_APPROVE_PUSH. Force pushes and pushes to an unknown branch are
+// never auto-approved.
+const PUSH_RULE_ACTIONS = ["allow", "ask", "deny"];
+const PUSH_RULES = (env("PUSH_RULES") || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .flatMap((entry) => {
+    const m = /^(?:([^:=\s]+):)?([^=\s]+)\s*=\s*(\w+)$/.exec(entry);
+    if (m && PUSH_RULE_ACTIONS.includes(m[3].toLowerCase())) return [{ repo: m[1] ?? null, branch: m[2], action: m[3].toLowerCase() }];
+    log.warn("Invalid PUSH_RULES entry, skipping", { entry });
+    return [];
+  });
+
+// ── Push Quorum ─────────────────────────────────────────────────────────
+// Distinct approvals a push needs, by the base branch it lands on:
+// PUSH_QUORUM="main=2,release/*=2,acme-api:develop=3". A `repo:` prefix (the
+// project name; `owner-repo` for repos set with /repo) limits an entry to one
+// repo and wins over plain entries. Branches may use * wildcards. Default: 1.
+const PUSH_QUORUM = (env("PUSH_QUORUM") || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .flatMap((entry) => {
+    const m = /^(?:([^:=\s]+):)?([^=\s]+)\s*=\s*(\d+)$/.exec(entry);
+    if (m && Number(m[3]) >= 1) return [{ repo: m[1] ?? null, branch: m[2], approvals: Number(m[3]) }];
+    log.warn("Invalid PUSH_QUORUM entry, skipping", { entry });
+    return [];
+  });
+// Approvers come from ADMIN_ROLE_IDS; ADMIN_USER_ID alone is one approver
+if (!ADMIN_ROLE_IDS && PUSH_QUORUM.some((q) => q.approvals > 1)) {
+  log.warn("PUSH_QUORUM needs several approvers but ADMIN_ROLE_IDS is not set — quorums are capped at 1");
+}
+
+// ── Push Approval Timeout ───────────────────────────────────────────────
+// How long a push approval waits for a decision. Halfway through, approvers
+// are reminded; at three quarters the request is escalated (the escalation
+// roles are pinged, or ADMIN_USER_ID gets a DM). On timeout the push is
+// rejected, or with "park" the task keeps waiting (up to TASK_TIMEOUT_MS).
+const PUSH_APPROVAL_TIMEOUT_MS = safeInt(env("PUSH_APPROVAL_TIMEOUT_MS"), 600_000, 60_000);
+const PUSH_APPROVAL_REMINDERS = (env("PUSH_APPROVAL_REMINDERS") || "true").toLowerCase() !== "false";
+const PUSH_ESCALATION_ROLE_IDS = csvToValidatedSet(env("PUSH_ESCALATION_ROLE_IDS"), "PUSH_ESCALATION_ROLE_IDS");
+const PUSH_APPROVAL_ON_TIMEOUT = (() => {
+  const v = (env("PUSH_APPROVAL_ON_TIMEOUT") || "reject").toLowerCase();
+  if (["reject", "park"].includes(v)) return v;
+  log.warn("Invalid PUSH_APPROVAL_ON_TIMEOUT, using reject", { value: v });
+  return "reject";
+})();
+
+// ── Pre-Push Verification ───────────────────────────────────────────────
+// Command (tests, lint, build) run in the worktree before a push approval is
+// posted; /verify sets it per repo. The result is shown on the approval.
+// With auto-reject, a failing run rejects the push without asking.
+const PUSH_VERIFY_COMMAND = env("PUSH_VERIFY_COMMAND") || null;
+const PUSH_VERIFY_AUTO_REJECT = (env("PUSH_VERIFY_AUTO_REJECT") || "false").toLowerCase() === "true";
+const PUSH_VERIFY_TIMEOUT_MS = safeInt(env("PUSH_VERIFY_TIMEOUT_MS"), 600_000, 1_000);
+
+// ── Network Egress ──────────────────────────────────────────────────────
+// Hosts shell commands may reach (curl, wget, ssh, git clone, pip, ...).
+// An entry also allows its subdomains. EGRESS_ALLOWED_HOSTS extends the defaults.
+const DEFAULT_EGRESS_HOSTS = [
+  "localhost", "127.0.0.1", "::1",
+  "registry.npmjs.org", "registry.yarnpkg.com",
+  "pypi.org", "files.pythonhosted.org",
+  "crates.io", "static.crates.io", "index.crates.io",
+  "proxy.golang.org", "sum.golang.org",
+  "repo.maven.apache.org", "repo1.maven.org",
+  "rubygems.org", "api.nuget.org",
+  // clone/fetch of GitHub repos and git+https dependencies
+  "github.com", "codeload.github.com",
+];
+const EGRESS_ALLOWED_HOSTS = new Set([
+  ...DEFAULT_EGRESS_HOSTS,
+  ...(env("EGRESS_ALLOWED_HOSTS") || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase().replace(/^\*\./, ""))
+    .filter(Boolean),
+]);
+// What happens to other hosts: "deny", "ask" (admin approval) or "allow" (no checks)
+const EGRESS_MODE = (() => {
+  const v = (env("EGRESS_MODE") || "deny").toLowerCase();
+  if (["deny", "ask", "allow"].includes(v)) return v;
+  log.warn("Invalid EGRESS_MODE, using deny", { value: v });
+  return "deny";
+})();
+
+// ── Protected Paths ─────────────────────────────────────────────────────
+// Workspace globs (see glob.mjs) the agent may not modify on its own: CI
+// workflows, env files, lockfiles, CODEOWNERS. PROTECTED_PATHS replaces the
+// defaults (empty = nothing protected).
+const DEFAULT_PROTECTED_PATHS = [
+  ".github/workflows/**", ".github/actions/**", "CODEOWNERS", ".env*",
+  ".gitlab-ci.yml", ".circleci/**", ".travis.yml", "azure-pipelines.yml",
+  "bitbucket-pipelines.yml", "Jenkinsfile", ".buildkite/**",
+  "package-lock.json", "npm-shrinkwrap.json", "yarn.lock", "pnpm-lock.yaml", "bun.lockb",
+  "Cargo.lock", "poetry.lock", "Pipfile.lock", "uv.lock", "Gemfile.lock", "composer.lock", "go.sum",
+];
+const PROTECTED_PATHS = env("PROTECTED_PATHS") != null
+  ? env("PROTECTED_PATHS").split(",").map((g) => g.trim()).filter(Boolean)
+  : DEFAULT_PROTECTED_PATHS;
+// What happens on a write to a protected path: "ask" (admin approval) or "deny"
+const PROTECTED_PATHS_MODE = (() => {
+  const v = (env("PROTECTED_PATHS_MODE") || "ask").toLowerCase();
+  if (["ask", "deny"].includes(v)) return v;
+  log.warn("Invalid PROTECTED_PATHS_MODE, using ask", { value: v });
+  return "ask";
+})();
+
+// ── Tool Categories ─────────────────────────────────────────────────────
+// Tools the policy engine does not know (MCP servers, new SDK tools) can be
+// mapped onto a category so they get the matching checks:
+// TOOL_CATEGORIES="mcp_fs_read*=read,mcp_fs_write*=write,mcp_http_get=network".
+// Names may use * wildcards. "internal" marks tools without side effects.
+const TOOL_CATEGORY_NAMES = ["shell", "read", "write", "network", "internal"];
+const TOOL_CATEGORIES = (env("TOOL_CATEGORIES") || "")
+  .split(",")
+  .map((entry) => entry.trim())
+  .filter(Boolean)
+  .flatMap((entry) => {
+    const [name, category] = entry.split("=").map((v) => v?.trim());
+    if (name && TOOL_CATEGORY_NAMES.includes(category?.toLowerCase())) return [[name, category.toLowerCase()]];
+    log.warn("Invalid TOOL_CATEGORIES entry, skipping", { entry });
+    return [];
+  });
+// What happens to tools without a category: "ask" (admin approval), "deny" or "allow"
+const UNKNOWN_TOOL_MODE = (() => {
+  const v = (env("UNKNOWN_TOOL_MODE") || "ask").toLowerCase();
+  if (["ask", "deny", "allow"].includes(v)) return v;
+  log.warn("Invalid UNKNOWN_TOOL_MODE, using ask", { value: v });
+  return "ask";
+})();
+
 // Auto-update: set to "false" to disable the automatic update checker.
 const AUTO_UPDATE = (env("AUTO_UPDATE") || "true").toLowerCase() !== "false";
 
@@ -144,12 +298,14 @@ export {
   WORKSPACES_ROOT,
   REPOS_ROOT,
   STATE_DB_PATH,
+  POLICY_FILE,
   PROJECT_NAME,
   REPO_PATH,
   ALLOWED_GUILDS,
   ALLOWED_CHANNELS,
   ADMIN_ROLE_IDS,
   ALLOWED_ROLE_IDS,
+  HIGH_RISK_ROLE_IDS,
   ALLOWED_DM_USERS,
   DISCORD_EDIT_THROTTLE_MS,
   DEFAULT_GRANT_MODE,
@@ -162,11 +318,27 @@ export {
   DEFAULT_MODEL,
   MAX_QUEUE_SIZE,
   MAX_PROMPT_LENGTH,
+  TASK_BUDGET_DEFAULTS,
   CURRENT_VERSION,
   UPDATE_CHECK_INTERVAL_MS,
   AGENT_SCRIPT_PATH,
   AUTO_RETRY_ON_CRASH,
   AUTO_APPROVE_PUSH,
+  PUSH_RULES,
+  PUSH_QUORUM,
+  PUSH_APPROVAL_TIMEOUT_MS,
+  PUSH_APPROVAL_REMINDERS,
+  PUSH_ESCALATION_ROLE_IDS,
+  PUSH_APPROVAL_ON_TIMEOUT,
+  PUSH_VERIFY_COMMAND,
+  PUSH_VERIFY_AUTO_REJECT,
+  PUSH_VERIFY_TIMEOUT_MS,
+  EGRESS_ALLOWED_HOSTS,
+  EGRESS_MODE,
+  PROTECTED_PATHS,
+  PROTECTED_PATHS_MODE,
+  TOOL_CATEGORIES,
+  UNKNOWN_TOOL_MODE,
   AUTO_UPDATE,
   DEFAULT_BRANCH,
   PAUSE_GRACE_MS,
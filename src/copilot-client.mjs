@@ -1,6 +1,7 @@
 import { CopilotClient } from "@github/copilot-sdk";
 import { evaluateToolUse } from "./policy-engine.mjs";
 import { getActiveGrants } from "./grants.mjs";
+import { getPolicyRules } from "./policy-rules.mjs";
 import { buildSelfAwarenessPrompt } from "./command-info.mjs";
 import { createLogger } from "./logger.mjs";
 import { join } from "node:path";
@@ -68,12 +69,17 @@ function getCopilotClient() {
  *
  * @param {object} opts
  * @param {string} opts.channelId - Discord channel ID (for grant lookups)
+ * @param {string|null} [opts.guildId] - Discord guild ID (for guild-wide grant templates)
  * @param {string} opts.workspacePath - Absolute path to the git worktree
- * @param {function} opts.onPushRequest - Called when agent tries to git push
- * @param {function} opts.onOutsideRequest - Called when agent accesses outside workspace
+ * @param {function} opts.onPushRequest - Called with (command, highRisk, destinations) when the agent tries to git push; resolves to { approved, reason?, feedback?, verification? } (reason = denied by policy, feedback = reviewer's rejection text, verification = pre-push verification result)
+ * @param {function} opts.onOutsideRequest - Called with (reason, gate, path) when access outside the workspace, network egress, a protected path, an unclassified tool or credential access is denied; for outside-workspace denials it resolves to { granted: { path, mode, ttl } | null }
+ * @param {function} opts.onAskRequest - Called when a tool use needs admin approval (ask gate)
+ * @param {function} [opts.onPolicyDecision] - Called with (toolName, toolArgs, result) for every policy decision
+ * @param {function} [opts.onBudgetCheck] - Called with (toolName, toolArgs) before each tool use; resolves to { proceed: boolean }
+ * @param {function} [opts.onToolAllowed] - Called with (toolName, toolArgs) once a tool use is allowed to run
  * @param {function} opts.onDelta - Called with streaming text chunks
- * @param {function} opts.onToolStart - Called when a tool starts executing
- * @param {function} opts.onToolComplete - Called when a tool finishes
+ * @param {function} opts.onToolStart - Called with (toolName, toolCallId, toolArgs) when a tool starts executing
+ * @param {function} opts.onToolComplete - Called with (toolName, success, error, toolCallId) when a tool finishes
  * @param {function} opts.onIdle - Called when agent finishes
  * @param {function} opts.onUserQuestion - Called when agent asks a question
  * @param {string|null} [opts.model] - Model ID to use (null = SDK default)
@@ -84,9 +90,14 @@ function getCopilotClient() {
 export async function createAgentSession(opts) {
   const {
     channelId,
+    guildId = null,
     workspacePath,
     onPushRequest,
     onOutsideRequest,
+    onAskRequest,
+    onPolicyDecision,
+    onBudgetCheck,
+    onToolAllowed,
     onDelta,
     onToolStart,
     onToolComplete,
@@ -96,6 +107,186 @@ export async function createAgentSession(opts) {
     botInfo,
   } = opts;
 
+  /** Policy decision for a tool use: task budget, policy gates and approval prompts. */
+  const preToolUse = async (input) => {
+    // Task budget: pauses on an exhausted limit until an admin continues or aborts
+    if (onBudgetCheck) {
+      const { proceed } = await onBudgetCheck(input.toolName, input.toolArgs);
+      if (!proceed) {
+        return {
+          permissionDecision: "deny",
+          additionalContext:
+            "The task was aborted because it exhausted its tool budget. " +
+            "Stop now: do NOT call any more tools. Briefly summarize what you did and what is left.",
+        };
+      }
+    }
+
+    const grants = getActiveGrants(channelId, guildId);
+    const result = await evaluateToolUse(
+      input.toolName,
+      input.toolArgs,
+      workspacePath,
+      grants,
+      getPolicyRules(channelId)
+    );
+    onPolicyDecision?.(input.toolName, input.toolArgs, result);
+
+    if (result.decision === "allow") {
+      return { permissionDecision: "allow" };
+    }
+
+    // Hard Gate A: Push
+    if (result.gate === "push") {
+      if (onPushRequest) {
+        const command =
+          input.toolArgs?.command || input.toolArgs?.cmd || "";
+        const { approved, reason, feedback, verification } = await onPushRequest(command, result.highRisk || null, result.destinations ?? []);
+        if (approved) {
+          return { permissionDecision: "allow" };
+        }
+        if (feedback) {
+          return {
+            permissionDecision: "deny",
+            additionalContext:
+              `Push was rejected by the reviewer with this feedback:\n${feedback}\n` +
+              "Address the feedback (e.g. amend or squash unpublished commits, revert unwanted changes), " +
+              "tell the user what you changed, then push again to request a new approval.",
+          };
+        }
+        if (verification && !verification.ok) {
+          const why = verification.timedOut ? "timed out" : `exited with code ${verification.exitCode ?? "?"}`;
+          return {
+            permissionDecision: "deny",
+            additionalContext:
+              `Push was rejected because the pre-push verification \`${verification.command}\` ${why}. ` +
+              `Last output:\n${verification.output.trim().slice(-3000)}\n` +
+              "Fix the failures, commit the fix, then push again — the verification runs again before the next approval.",
+          };
+        }
+        if (reason) {
+          return {
+            permissionDecision: "deny",
+            additionalContext:
+              `Push blocked by policy: ${reason}. Do NOT retry this push or push to another protected branch. ` +
+              "Inform the user and ask what to do instead.",
+          };
+        }
+      }
+      return {
+        permissionDecision: "deny",
+        additionalContext:
+          "Push was denied by the user. Do NOT retry pushing. " +
+          "Inform the user that the push was rejected and ask what to do instead.",
+      };
+    }
+
+    // Ask Gate: dangerous command or policy rule — an admin decides on this exact call
+    if (result.decision === "ask") {
+      if (onAskRequest) {
+        const command =
+          input.toolArgs?.command || input.toolArgs?.cmd ||
+          `${input.toolName} ${JSON.stringify(input.toolArgs ?? {})}`;
+        const { approved } = await onAskRequest(command, result.reason, result.highRisk || null);
+        if (approved) {
+          return { permissionDecision: "allow" };
+        }
+      }
+      return {
+        permissionDecision: "deny",
+        additionalContext:
+          `Not approved: ${result.reason}. Do NOT retry this command. ` +
+          "Inform the user that it was rejected and ask what to do instead.",
+      };
+    }
+
+    // Hard Gate B: Outside workspace — an admin may grant the path from the denial message
+    if (result.gate === "outside") {
+      if (onOutsideRequest) {
+        const { granted } = await onOutsideRequest(result.reason, "outside", result.path ?? null);
+        if (granted) {
+          return {
+            permissionDecision: "deny",
+            additionalContext:
+              `Access was denied at first (${result.reason}), but the user has now granted ` +
+              `${granted.mode === "rw" ? "read-write" : "read-only"} access to ${granted.path} ` +
+              `for ${granted.ttl} minutes. Retry the operation now.`,
+          };
+        }
+      }
+      return {
+        permissionDecision: "deny",
+        additionalContext:
+          `Access denied: ${result.reason}. ` +
+          "The user must grant access via /grant command first. " +
+          "Do NOT retry this operation. Inform the user what path you need access to.",
+      };
+    }
+
+    // Hard Gate C: Network egress
+    if (result.gate === "egress") {
+      if (onOutsideRequest) {
+        onOutsideRequest(result.reason, "egress");
+      }
+      return {
+        permissionDecision: "deny",
+        additionalContext:
+          `Network access denied: ${result.reason}. ` +
+          "Only allowlisted hosts are reachable. Do NOT retry or work around this. " +
+          "Inform the user which host you need access to.",
+      };
+    }
+
+    // Hard Gate D: Protected workspace paths
+    if (result.gate === "protected") {
+      if (onOutsideRequest) {
+        onOutsideRequest(result.reason, "protected");
+      }
+      return {
+        permissionDecision: "deny",
+        additionalContext:
+          `Write denied: ${result.reason}. ` +
+          "CI workflows, env files, lockfiles and similar files are protected. " +
+          "Do NOT retry or work around this (e.g. by editing other CI files). " +
+          "Inform the user which change you would make and why.",
+      };
+    }
+
+    // Hard Gate E: Unclassified tools (UNKNOWN_TOOL_MODE=deny)
+    if (result.gate === "unknown") {
+      if (onOutsideRequest) {
+        onOutsideRequest(result.reason, "unknown");
+      }
+      return {
+        permissionDecision: "deny",
+        additionalContext:
+          `Tool denied: ${result.reason}. ` +
+          "Do NOT retry this tool. Use the built-in file and shell tools instead, " +
+          "or tell the user which tool you need.",
+      };
+    }
+
+    // Hard Gate F: Credential access (environment dumps, credential stores)
+    if (result.gate === "credentials") {
+      if (onOutsideRequest) {
+        onOutsideRequest(result.reason, "credentials");
+      }
+      return {
+        permissionDecision: "deny",
+        additionalContext:
+          `${result.reason}. Environment variables, tokens and credential stores are never readable. ` +
+          "Do NOT retry or work around this, and never write credentials into files. " +
+          "If a task needs a credential, ask the user to configure it outside the agent.",
+      };
+    }
+
+    // Generic deny
+    return {
+      permissionDecision: "deny",
+      additionalContext: result.reason || "Action denied by policy.",
+    };
+  };
+
   const copilot = getCopilotClient();
 
   const sessionConfig = {
@@ -123,55 +314,10 @@ export async function createAgentSession(opts) {
 
     hooks: {
       onPreToolUse: async (input) => {
-        const grants = getActiveGrants(channelId);
-        const result = evaluateToolUse(
-          input.toolName,
-          input.toolArgs,
-          workspacePath,
-          grants
-        );
-
-        if (result.decision === "allow") {
-          return { permissionDecision: "allow" };
-        }
-
-        // Hard Gate A: Push
-        if (result.gate === "push") {
-          if (onPushRequest) {
-            const command =
-              input.toolArgs?.command || input.toolArgs?.cmd || "";
-            const { approved } = await onPushRequest(command);
-            if (approved) {
-              return { permissionDecision: "allow" };
-            }
-          }
-          return {
-            permissionDecision: "deny",
-            additionalContext:
-              "Push was denied by the user. Do NOT retry pushing. " +
-              "Inform the user that the push was rejected and ask what to do instead.",
-          };
-        }
-
-        // Hard Gate B: Outside workspace
-        if (result.gate === "outside") {
-          if (onOutsideRequest) {
-            onOutsideRequest(result.reason);
-          }
-          return {
-            permissionDecision: "deny",
-            additionalContext:
-              `Access denied: ${result.reason}. ` +
-              "The user must grant access via /grant command first. " +
-              "Do NOT retry this operation. Inform the user what path you need access to.",
-          };
-        }
-
-        // Generic deny
-        return {
-          permissionDecision: "deny",
-          additionalContext: result.reason || "Action denied by policy.",
-        };
+        const decision = await preToolUse(input);
+        // Only calls that actually run count against the task budget
+        if (decision.permissionDecision === "allow") onToolAllowed?.(input.toolName, input.toolArgs);
+        return decision;
       },
 
       onErrorOccurred: async (input) => {
@@ -226,6 +372,8 @@ export async function createAgentSession(opts) {
 
   // Wire up streaming events
   let _lastToolName = "tool";
+  // Completion events only carry the call id; parallel calls finish in any order
+  const _toolNames = new Map();
 
   if (onDelta) {
     session.on("assistant.message_delta", (event) => {
@@ -236,17 +384,21 @@ export async function createAgentSession(opts) {
   if (onToolStart) {
     session.on("tool.execution_start", (event) => {
       _lastToolName = event.data?.toolName || "unknown";
-      onToolStart(_lastToolName);
+      if (event.data?.toolCallId) _toolNames.set(event.data.toolCallId, _lastToolName);
+      onToolStart(_lastToolName, event.data?.toolCallId, event.data?.arguments);
     });
   }
 
   if (onToolComplete) {
     session.on("tool.execution_complete", (event) => {
-      const toolName = event.data?.toolName || _lastToolName;
+      const toolCallId = event.data?.toolCallId;
+      const toolName = event.data?.toolName || _toolNames.get(toolCallId) || _lastToolName;
+      _toolNames.delete(toolCallId);
       onToolComplete(
         toolName,
         event.data?.success ?? true,
-        event.data?.error
+        event.data?.error,
+        toolCallId
       );
     });
   }
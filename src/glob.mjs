@@ -0,0 +1,118 @@
+import { homedir } from "node:os";
+import { resolve, sep } from "node:path";
+
+// ── Glob Matching ───────────────────────────────────────────────────────────
+//
+// Minimal glob support for policy rules and protected paths:
+//   *      any characters except `/`
+//   **     any number of path segments (`/a/**` matches `/a`, `/a/b/c`)
+//   ?      a single character except `/`
+//   [abc]  character class (`[!abc]` negates)
+//   {a,b}  alternatives
+// Patterns starting with `~/` are relative to the home directory. Other
+// relative patterns are resolved against a base directory (the workspace);
+// a relative pattern without any `/` matches the file name at any depth.
+
+const _cache = new Map();
+
+/** Normalize a path to forward slashes for matching. */
+function toSlashes(p) {
+  return sep === "\\" ? p.replace(/\\/g, "/") : p;
+}
+
+/**
+ * Convert a glob pattern into an anchored RegExp.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const cached = _cache.get(glob);
+  if (cached) return cached;
+
+  let re = "";
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === "*") {
+      if (glob[i + 1] === "*") {
+        i++;
+        if (glob[i + 1] === "/") {
+          i++;
+          re += "(?:.*/)?";
+        } else {
+          re += ".*";
+        }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else if (ch === "[") {
+      const end = glob.indexOf("]", i + 2);
+      if (end === -1) {
+        re += "\\[";
+        continue;
+      }
+      let cls = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      if (cls.startsWith("!")) cls = "^" + cls.slice(1);
+      re += `[${cls}]`;
+      i = end;
+    } else if (ch === "{") {
+      braceDepth++;
+      re += "(?:";
+    } else if (ch === "}" && braceDepth > 0) {
+      braceDepth--;
+      re += ")";
+    } else if (ch === "," && braceDepth > 0) {
+      re += "|";
+    } else {
+      re += ch.replace(/[.+^$()|\\\]{}]/g, "\\$&");
+    }
+  }
+  // A trailing `/**` also matches the directory itself
+  re = re.replace(/\/\.\*$/, "(?:/.*)?");
+
+  const compiled = new RegExp(`^${re}$`);
+  _cache.set(glob, compiled);
+  return compiled;
+}
+
+/**
+ * Turn a (possibly relative) glob into an absolute glob.
+ * @param {string} glob
+ * @param {string} [baseDir] - Directory for relative patterns
+ */
+export function resolveGlob(glob, baseDir) {
+  if (glob === "~" || glob.startsWith("~/")) return toSlashes(homedir()) + glob.slice(1);
+  if (glob.startsWith("/") || /^[A-Za-z]:[\\/]/.test(glob)) return toSlashes(glob);
+  if (!baseDir) return glob;
+  const base = toSlashes(resolve(baseDir)).replace(/\/$/, "");
+  if (!glob.includes("/")) return `${base}/**/${glob}`;
+  return `${base}/${glob.replace(/^\.\//, "")}`;
+}
+
+/**
+ * Check whether an absolute path matches a glob.
+ * @param {string} glob
+ * @param {string} absPath
+ * @param {string} [baseDir] - Directory for relative patterns
+ */
+export function matchGlob(glob, absPath, baseDir) {
+  return globToRegExp(resolveGlob(glob, baseDir)).test(toSlashes(absPath));
+}
+
+/** Whether a string contains glob syntax (`*`, `?`, `[...]`, `{a,b}`). */
+export function isGlob(p) {
+  return /[*?[{]/.test(p);
+}
+
+/**
+ * Literal directory prefix of a glob — the path segments before the first one
+ * with glob syntax (`/srv/data/**\/*.csv` → `/srv/data`).
+ */
+export function globBase(glob) {
+  const segments = toSlashes(glob).split("/");
+  const index = segments.findIndex((s) => isGlob(s));
+  if (index === -1) return glob;
+  return segments.slice(0, index).join("/") || "/";
+}
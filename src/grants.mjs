@@ -1,25 +1,112 @@
 import { resolve } from "node:path";
 import { realpathSync } from "node:fs";
+import { homedir } from "node:os";
 import { DEFAULT_GRANT_MODE, DEFAULT_GRANT_TTL_MIN } from "./config.mjs";
+import { isGlob, globBase, resolveGlob } from "./glob.mjs";
 import {
   upsertGrant,
+  updateGrantExpiry,
   deleteGrant,
   getGrants as dbGetGrants,
   deleteGrantsByChannel,
   purgeExpiredGrants,
+  insertGrantEvent,
+  queryGrantEvents,
+  upsertGrantTemplate,
+  getAllGrantTemplates,
+  deleteGrantTemplate as dbDeleteGrantTemplate,
+  upsertTemplateBinding,
+  getAllTemplateBindings,
+  deleteTemplateBinding,
+  purgeExpiredTemplateBindings,
 } from "./state.mjs";
 import { createLogger } from "./logger.mjs";
 
 const log = createLogger("grants");
 
 /**
- * In-memory grant store per channel.
- * Map< channelId, Map< path, { mode, expiry, timer } > >
+ * In-memory grant store per channel. A grant path is a directory or file
+ * (covering everything below it) or an absolute glob (`/srv/data/**\/*.csv`);
+ * `excludes` are absolute globs the grant never covers. Every grant expires
+ * after its TTL; `once` grants are also consumed by the first tool call that
+ * uses them, `task` grants are revoked when the current task ends.
+ * Map< channelId, Map< path, { mode, expiry, timer, excludes: string[], grantedBy: string|null, scope: "ttl"|"once"|"task" } > >
  */
 const grantStore = new Map();
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
+/**
+ * Normalize a grant path or glob (`~/` is the home directory). Symlinks in the
+ * literal part are resolved so grants match policy-engine's realpathSync checks.
+ */
+function normalizeGrantPath(grantPath) {
+  if (grantPath === "~" || grantPath.startsWith("~/")) grantPath = homedir() + grantPath.slice(1);
+  const literal = isGlob(grantPath) ? globBase(grantPath) : grantPath;
+  let real;
+  try {
+    real = realpathSync(resolve(literal));
+  } catch {
+    real = resolve(literal);
+  }
+  if (literal === grantPath) return real;
+  // The glob part keeps its leading separator, also for a root base (`/*.csv`)
+  const rest = grantPath.slice(literal.length).replace(/^\/?/, "/");
+  return real.replace(/\/$/, "") + rest;
+}
+
+/**
+ * Turn exclude patterns (`!**\/*.pem`, `.ssh/**`) into absolute globs. Relative
+ * patterns are resolved against the grant's literal directory.
+ */
+function normalizeExcludes(excludes, grantPath) {
+  const base = isGlob(grantPath) ? globBase(grantPath) : grantPath;
+  return [...new Set(
+    excludes
+      .map((e) => e.trim().replace(/^!/, ""))
+      .filter(Boolean)
+      .map((e) => resolveGlob(e, base))
+  )];
+}
+
+function parseExcludes(json) {
+  try {
+    const list = JSON.parse(json || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/** SQLite-compatible datetime (space separator, no trailing Z) for an epoch in ms. */
+function toSqlDate(ms) {
+  return new Date(ms).toISOString().replace("T", " ").replace(/\.\d+Z$/, "");
+}
+
+/** Epoch in ms for a SQLite datetime. */
+function parseSqlDate(value) {
+  return new Date(value.replace(" ", "T") + "Z").getTime();
+}
+
+/** Append to the grant history. Never throws — history must not break access control. */
+function recordEvent(channelId, path, event, { mode = null, actor = null, tool = null, detail = null } = {}) {
+  try {
+    insertGrantEvent({ channelId, path, event, mode, actor, tool, detail });
+  } catch (err) {
+    log.error("Failed to record grant event", { channelId, path, event, error: err.message });
+  }
+}
+
+function scheduleExpiry(channelId, grantPath, ms) {
+  const timer = setTimeout(() => {
+    const expired = dropGrant(channelId, grantPath);
+    log.info("Grant expired", { channelId, path: grantPath });
+    recordEvent(channelId, grantPath, "expired", { mode: expired?.mode });
+  }, ms);
+  timer.unref(); // don't keep process alive
+  return timer;
+}
+
 function channelGrants(channelId) {
   if (!grantStore.has(channelId)) {
     grantStore.set(channelId, new Map());
@@ -27,79 +114,148 @@ function channelGrants(channelId) {
   return grantStore.get(channelId);
 }
 
-export function getActiveGrants(channelId) {
+function pruneExpired(channelId) {
   const grants = channelGrants(channelId);
-  // Prune expired while reading
   const now = Date.now();
   for (const [p, g] of grants) {
     if (now > g.expiry) {
       clearTimeout(g.timer);
       grants.delete(p);
+      recordEvent(channelId, p, "expired", { mode: g.mode });
     }
   }
   return grants;
 }
 
+/**
+ * Active grants of a channel, merged with the grants of templates applied to
+ * the channel, its guild or globally. Channel grants win over template
+ * grants for the same path.
+ * @param {string|null} [guildId] - Guild of the channel (null in DMs)
+ */
+export function getActiveGrants(channelId, guildId = null) {
+  const grants = pruneExpired(channelId);
+  const templated = templateGrants(channelId, guildId);
+  if (templated.size === 0) return grants;
+  return new Map([...templated, ...grants]);
+}
+
 // ── Add Grant ───────────────────────────────────────────────────────────────
 
-export function addGrant(channelId, grantPath, mode, ttlMinutes) {
+/**
+ * Grant access to a path or glob for a limited time.
+ * @param {object} [opts]
+ * @param {string[]} [opts.excludes] - Globs the grant does not cover (a leading `!` is optional)
+ * @param {string|null} [opts.grantedBy] - Who granted it (Discord user tag)
+ * @param {"ttl"|"once"|"task"} [opts.scope] - Additionally end the grant on first use or at the end of the task
+ */
+export function addGrant(channelId, grantPath, mode, ttlMinutes, { excludes = [], grantedBy = null, scope = "ttl" } = {}) {
   mode = mode || DEFAULT_GRANT_MODE;
   ttlMinutes = ttlMinutes ?? DEFAULT_GRANT_TTL_MIN;
-  // Resolve symlinks so grant paths match policy-engine's realpathSync checks
-  try {
-    grantPath = realpathSync(resolve(grantPath));
-  } catch {
-    grantPath = resolve(grantPath);
-  }
+  grantPath = normalizeGrantPath(grantPath);
+  excludes = normalizeExcludes(excludes, grantPath);
 
   const expiry = Date.now() + ttlMinutes * 60_000;
-  // Use SQLite-compatible datetime format (space separator, no trailing Z)
-  // so that deleteExpiredGrants WHERE expires_at <= datetime('now') works correctly
-  const expiresAt = new Date(expiry).toISOString().replace("T", " ").replace(/\.\d+Z$/, "");
+  // SQLite format so that deleteExpiredGrants WHERE expires_at <= datetime('now') works correctly
+  const expiresAt = toSqlDate(expiry);
 
   // Persist to DB
-  upsertGrant(channelId, grantPath, mode, expiresAt);
+  upsertGrant(channelId, grantPath, mode, expiresAt, excludes.length > 0 ? JSON.stringify(excludes) : null, grantedBy, scope);
 
   // Set up in-memory + auto-revoke timer
   const grants = channelGrants(channelId);
   const existing = grants.get(grantPath);
   if (existing?.timer) clearTimeout(existing.timer);
 
-  const timer = setTimeout(() => {
-    revokeGrant(channelId, grantPath);
-  }, ttlMinutes * 60_000);
-  timer.unref(); // don't keep process alive
+  const timer = scheduleExpiry(channelId, grantPath, ttlMinutes * 60_000);
+  grants.set(grantPath, { mode, expiry, timer, excludes, grantedBy, scope });
+  log.info("Grant added", { channelId, path: grantPath, mode, ttlMinutes, excludes, grantedBy, scope });
+  recordEvent(channelId, grantPath, "created", {
+    mode,
+    actor: grantedBy,
+    detail: `${ttlMinutes} min${scope !== "ttl" ? `, ${scope}` : ""}${excludes.length > 0 ? `, ohne ${excludes.join(", ")}` : ""}`,
+  });
 
-  grants.set(grantPath, { mode, expiry, timer });
-  log.info("Grant added", { channelId, path: grantPath, mode, ttlMinutes });
+  return { path: grantPath, mode, ttlMinutes, expiresAt, excludes, scope };
+}
 
-  return { path: grantPath, mode, ttlMinutes, expiresAt };
+// ── Extend Grant ────────────────────────────────────────────────────────────
+
+/**
+ * Push an active grant's expiry out by ttlMinutes.
+ * @returns {{ path: string, mode: string, expiry: number } | null} null if there is no such grant
+ */
+export function extendGrant(channelId, grantPath, ttlMinutes, actor = null) {
+  grantPath = normalizeGrantPath(grantPath);
+  const grant = pruneExpired(channelId).get(grantPath);
+  if (!grant) return null;
+
+  grant.expiry = Math.max(grant.expiry, Date.now()) + ttlMinutes * 60_000;
+  updateGrantExpiry(channelId, grantPath, toSqlDate(grant.expiry));
+  clearTimeout(grant.timer);
+  grant.timer = scheduleExpiry(channelId, grantPath, grant.expiry - Date.now());
+  log.info("Grant extended", { channelId, path: grantPath, ttlMinutes, actor });
+  recordEvent(channelId, grantPath, "extended", { mode: grant.mode, actor, detail: `+${ttlMinutes} min` });
+
+  return { path: grantPath, mode: grant.mode, expiry: grant.expiry };
 }
 
 // ── Revoke Grant ────────────────────────────────────────────────────────────
 
-export function revokeGrant(channelId, grantPath) {
-  // Normalize path the same way addGrant does so lookups match
-  try {
-    grantPath = realpathSync(resolve(grantPath));
-  } catch {
-    grantPath = resolve(grantPath);
-  }
+/** Remove a grant from memory and DB. Returns the removed entry, if any. */
+function dropGrant(channelId, grantPath) {
   const grants = channelGrants(channelId);
   const existing = grants.get(grantPath);
   if (existing?.timer) clearTimeout(existing.timer);
   grants.delete(grantPath);
   deleteGrant(channelId, grantPath);
+  return existing;
+}
+
+/**
+ * Revoke a grant.
+ * @param {string|null} [actor] - Who revoked it (Discord user tag)
+ */
+export function revokeGrant(channelId, grantPath, actor = null) {
+  // Normalize path the same way addGrant does so lookups match
+  grantPath = normalizeGrantPath(grantPath);
+  const existing = dropGrant(channelId, grantPath);
   log.info("Grant revoked", { channelId, path: grantPath });
+  if (existing) recordEvent(channelId, grantPath, "revoked", { mode: existing.mode, actor });
   return true;
 }
 
+/**
+ * Consume the `once` grants an allowed tool call relied on.
+ * @param {string[]} grantPaths - Keys of the grants that covered the call
+ */
+export function consumeOnceGrants(channelId, grantPaths, toolName) {
+  const grants = channelGrants(channelId);
+  for (const p of grantPaths) {
+    if (grants.get(p)?.scope !== "once") continue;
+    const consumed = dropGrant(channelId, p);
+    log.info("One-time grant consumed", { channelId, path: p, tool: toolName });
+    recordEvent(channelId, p, "consumed", { mode: consumed.mode, tool: toolName });
+  }
+}
+
+/** Revoke the channel's task-scoped grants (called when a task ends). */
+export function revokeTaskGrants(channelId) {
+  for (const [p, g] of [...channelGrants(channelId)]) {
+    if (g.scope !== "task") continue;
+    dropGrant(channelId, p);
+    log.info("Task grant revoked", { channelId, path: p });
+    recordEvent(channelId, p, "revoked", { mode: g.mode, detail: "Task beendet" });
+  }
+}
+
 // ── Revoke All (for /reset) ─────────────────────────────────────────────────
 
 export function revokeAllGrants(channelId) {
   const grants = channelGrants(channelId);
-  for (const [, g] of grants) {
+  for (const [p, g] of grants) {
     if (g.timer) clearTimeout(g.timer);
+    recordEvent(channelId, p, "revoked", { mode: g.mode, detail: "Session-Reset" });
   }
   grants.clear();
   deleteGrantsByChannel(channelId);
@@ -111,26 +267,219 @@ export function restoreGrants(channelId) {
   const rows = dbGetGrants(channelId);
   const now = Date.now();
   for (const row of rows) {
-    const expiry = new Date(row.expires_at.replace(" ", "T") + "Z").getTime();
+    const expiry = parseSqlDate(row.expires_at);
     if (expiry <= now) continue; // skip expired
+    // The task a task-scoped grant belonged to did not survive the restart
+    if (row.scope === "task") {
+      deleteGrant(channelId, row.path);
+      recordEvent(channelId, row.path, "revoked", { mode: row.mode, detail: "Neustart" });
+      continue;
+    }
     const remaining = expiry - now;
     const grants = channelGrants(channelId);
     // Clear any existing timer to prevent leaks on double-restore
     const existing = grants.get(row.path);
     if (existing?.timer) clearTimeout(existing.timer);
-    const timer = setTimeout(() => {
-      revokeGrant(channelId, row.path);
-    }, remaining);
-    timer.unref();
-    grants.set(row.path, { mode: row.mode, expiry, timer });
+    const timer = scheduleExpiry(channelId, row.path, remaining);
+    grants.set(row.path, {
+      mode: row.mode,
+      expiry,
+      timer,
+      excludes: parseExcludes(row.excludes),
+      grantedBy: row.granted_by ?? null,
+      scope: row.scope || "ttl",
+    });
+  }
+}
+
+// ── History ─────────────────────────────────────────────────────────────────
+
+/**
+ * Record that an allowed tool call relied on grants.
+ * @param {string[]} grantPaths - Keys of the grants that covered the call
+ */
+export function recordGrantUse(channelId, grantPaths, toolName, taskId = null) {
+  const grants = channelGrants(channelId);
+  for (const p of grantPaths) {
+    recordEvent(channelId, p, "used", {
+      mode: grants.get(p)?.mode,
+      tool: toolName,
+      detail: taskId ? `Task #${taskId}` : null,
+    });
+  }
+}
+
+/** Grant history for a channel, optionally for one grant path or glob, newest first. */
+export function getGrantHistory(channelId, { path = null, limit = 20 } = {}) {
+  return queryGrantEvents({ channelId, path: path ? normalizeGrantPath(path) : null, limit });
+}
+
+// ── Templates ───────────────────────────────────────────────────────────────
+//
+// A template is a named set of grant paths (e.g. `node-toolchain`: the npm
+// cache and global node_modules) that admins apply to a channel, a guild or
+// globally instead of repeating /grant in every channel. Applying it lasts
+// for the template's TTL (0 = until removed). Template grants never expire
+// individually and cannot be extended, consumed or revoked with /revoke.
+
+export const TEMPLATE_SCOPES = ["channel", "guild", "global"];
+
+const TEMPLATE_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+/**
+ * In-memory templates and where they apply, backed by SQLite.
+ * Map< name, { name, entries: [{ path, mode, excludes }], excludes: string[], ttlMin, createdBy } >
+ */
+const templates = new Map();
+/** @type {Array<{ template: string, scope: string, targetId: string, expiry: number, appliedBy: string|null }>} */
+let templateBindings = [];
+
+// Restore templates and bindings from DB on startup
+for (const row of getAllGrantTemplates()) {
+  try {
+    templates.set(row.name, {
+      name: row.name,
+      entries: JSON.parse(row.entries),
+      excludes: parseExcludes(row.excludes),
+      ttlMin: row.ttl_min,
+      createdBy: row.created_by,
+    });
+  } catch (err) {
+    log.warn("Stored grant template is invalid, skipping", { name: row.name, error: err.message });
+  }
+}
+templateBindings = getAllTemplateBindings().map((row) => ({
+  template: row.template,
+  scope: row.scope,
+  targetId: row.target_id,
+  expiry: row.expires_at ? parseSqlDate(row.expires_at) : Infinity,
+  appliedBy: row.applied_by,
+}));
+
+/** Grants derived from the templates that apply to a channel. */
+function templateGrants(channelId, guildId) {
+  const merged = new Map();
+  const now = Date.now();
+  for (const b of templateBindings) {
+    if (b.expiry <= now) continue;
+    const applies =
+      b.scope === "global" ||
+      (b.scope === "guild" && guildId && b.targetId === guildId) ||
+      (b.scope === "channel" && b.targetId === channelId);
+    const template = applies && templates.get(b.template);
+    if (!template) continue;
+    for (const e of template.entries) {
+      // Overlapping templates: the wider mode wins
+      const existing = merged.get(e.path);
+      if (existing && (existing.mode === "rw" || e.mode !== "rw")) continue;
+      merged.set(e.path, {
+        mode: e.mode,
+        expiry: b.expiry,
+        excludes: e.excludes,
+        grantedBy: b.appliedBy,
+        scope: "ttl",
+        template: template.name,
+      });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Create or replace a grant template.
+ * @param {string[]} specs - Paths or globs with an optional `:ro`/`:rw` suffix
+ * @param {object} [opts]
+ * @param {string[]} [opts.excludes] - Glob patterns excluded from every path
+ * @param {number} [opts.ttlMin] - How long an application lasts (0 = until removed)
+ * @param {string|null} [opts.createdBy]
+ * @throws {Error} On an invalid name or path
+ */
+export function defineGrantTemplate(name, specs, { excludes = [], ttlMin = 0, createdBy = null } = {}) {
+  if (!TEMPLATE_NAME_RE.test(name)) {
+    throw new Error("name must be 1-32 letters, digits, `-` or `_`");
   }
+  const entries = specs.map((spec) => {
+    const match = spec.match(/^(.*?)(?::(ro|rw))?$/);
+    const path = match[1].trim();
+    if (!path.startsWith("/") && !path.startsWith("~/") && !/^[A-Z]:\\/i.test(path)) {
+      throw new Error(`path must be absolute or start with ~/: ${path}`);
+    }
+    const normalized = normalizeGrantPath(path);
+    return { path: normalized, mode: match[2] || DEFAULT_GRANT_MODE, excludes: normalizeExcludes(excludes, normalized) };
+  });
+  if (entries.length === 0) throw new Error("template needs at least one path");
+
+  const template = { name, entries, excludes, ttlMin, createdBy };
+  upsertGrantTemplate({
+    name,
+    entries: JSON.stringify(entries),
+    excludes: excludes.length > 0 ? JSON.stringify(excludes) : null,
+    ttlMin,
+    createdBy,
+  });
+  templates.set(name, template);
+  log.info("Grant template defined", { name, paths: entries.map((e) => e.path), ttlMin, createdBy });
+  return template;
+}
+
+/** Delete a template and all its applications. Returns true if it existed. */
+export function deleteGrantTemplate(name) {
+  const existed = dbDeleteGrantTemplate(name);
+  templates.delete(name);
+  templateBindings = templateBindings.filter((b) => b.template !== name);
+  if (existed) log.info("Grant template deleted", { name });
+  return existed;
+}
+
+/**
+ * Apply a template to a channel, a guild or globally for the template's TTL.
+ * @param {"channel"|"guild"|"global"} scope
+ * @param {string} targetId - Channel or guild ID ("" for global)
+ * @returns {{ template: object, expiry: number } | null} null if the template does not exist
+ */
+export function applyGrantTemplate(name, scope, targetId, appliedBy = null) {
+  const template = templates.get(name);
+  if (!template) return null;
+  if (scope === "global") targetId = "";
+  const expiry = template.ttlMin > 0 ? Date.now() + template.ttlMin * 60_000 : Infinity;
+  upsertTemplateBinding({
+    template: name,
+    scope,
+    targetId,
+    expiresAt: expiry === Infinity ? null : toSqlDate(expiry),
+    appliedBy,
+  });
+  templateBindings = templateBindings.filter((b) => !(b.template === name && b.scope === scope && b.targetId === targetId));
+  templateBindings.push({ template: name, scope, targetId, expiry, appliedBy });
+  log.info("Grant template applied", { name, scope, targetId, appliedBy });
+  return { template, expiry };
+}
+
+/** Stop applying a template to a channel, a guild or globally. Returns true if it was applied. */
+export function unapplyGrantTemplate(name, scope, targetId) {
+  if (scope === "global") targetId = "";
+  const removed = deleteTemplateBinding(name, scope, targetId) > 0;
+  templateBindings = templateBindings.filter((b) => !(b.template === name && b.scope === scope && b.targetId === targetId));
+  if (removed) log.info("Grant template removed", { name, scope, targetId });
+  return removed;
+}
+
+/** All templates with their active applications. */
+export function listGrantTemplates() {
+  const now = Date.now();
+  return [...templates.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((t) => ({ ...t, bindings: templateBindings.filter((b) => b.template === t.name && b.expiry > now) }));
 }
 
 // ── Periodic cleanup ────────────────────────────────────────────────────────
 
 export function startGrantCleanup(intervalMs = 60_000) {
   const timer = setInterval(() => {
-    try { purgeExpiredGrants(); } catch { /* DB may be closed during shutdown */ }
+    try {
+      purgeExpiredGrants();
+      purgeExpiredTemplateBindings();
+    } catch { /* DB may be closed during shutdown */ }
   }, intervalMs);
   timer.unref();
   return timer;
@@ -0,0 +1,35 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// config.mjs exits without a token; keep the state database out of the real BASE_ROOT
+const base = mkdtempSync(join(tmpdir(), "grants-test-"));
+process.env.DISCORD_TOKEN ??= "test";
+process.env.LOG_LEVEL ??= "error";
+process.env.BASE_ROOT = base;
+const { addGrant, getActiveGrants, revokeAllGrants } = await import("./grants.mjs");
+const { evaluateToolUse } = await import("./policy-engine.mjs");
+
+const ws = mkdtempSync(join(tmpdir(), "grants-ws-"));
+after(() => {
+  revokeAllGrants("test");
+  rmSync(ws, { recursive: true, force: true });
+  rmSync(base, { recursive: true, force: true });
+});
+
+const GLOBS = [
+  ["/srv/data/**/*.csv", "/srv/data/**/*.csv", "/srv/data/a/b.csv"],
+  ["/*.csv", "/*.csv", "/report.csv"],
+  ["/tmp*", "/tmp*", "/tmpfile"],
+];
+
+for (const [glob, key, path] of GLOBS) {
+  test(`grants: ${glob} stays an absolute glob and covers ${path}`, async () => {
+    assert.equal(addGrant("test", glob, "ro", 5).path, key);
+    const result = await evaluateToolUse("read_file", { path }, ws, getActiveGrants("test"));
+    assert.equal(result.decision, "allow");
+    assert.deepEqual(result.grants, [key]);
+  });
+}
@@ -1,8 +1,22 @@
 import { realpathSync } from "node:fs";
-import { resolve, sep, dirname, basename } from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { homedir } from "node:os";
+import { resolve, join, sep, dirname, basename, isAbsolute } from "node:path";
+import { parseShell, collectInvocations } from "./shell-parser.mjs";
+import { globToRegExp, matchGlob, resolveGlob, isGlob } from "./glob.mjs";
+import {
+  EGRESS_ALLOWED_HOSTS,
+  EGRESS_MODE,
+  PROTECTED_PATHS,
+  PROTECTED_PATHS_MODE,
+  TOOL_CATEGORIES,
+  UNKNOWN_TOOL_MODE,
+} from "./config.mjs";
 import { createLogger } from "./logger.mjs";
 
 const log = createLogger("policy");
+const execFileAsync = promisify(execFile);
 
 // ── Path Security ───────────────────────────────────────────────────────────
 
@@ -17,7 +31,7 @@ function safePath(p) {
     // Path doesn't exist yet — resolve parent to follow symlinks in the directory chain
     const resolved = resolve(p);
     try {
-      return realpathSync(dirname(resolved)) + sep + basename(resolved);
+      return join(realpathSync(dirname(resolved)), basename(resolved));
     } catch {
       return resolved;
     }
@@ -37,189 +51,1350 @@ function isInsideWorkspace(targetPath, workspaceRoot) {
   );
 }
 
+// ── Shell Analysis ──────────────────────────────────────────────────────────
+
+/**
+ * Parse a shell command into the program invocations it would run
+ * (see shell-parser.mjs). Returns { invocations, error }.
+ */
+function analyzeShell(command) {
+  try {
+    return { invocations: collectInvocations(parseShell(command)), error: null };
+  } catch (err) {
+    return { invocations: [], error: err.message };
+  }
+}
+
 // ── Git Push Detection ──────────────────────────────────────────────────────
 
+// Used for code strings passed to interpreters (python -c, node -e, ...),
+// which are not shell and can only be matched textually.
 const GIT_PUSH_PATTERNS = [
   /\bgit\s+(?:(?!push\b)\S+\s+)*push\b/i,
-  /\bgit\s+(?:(?!remote\b)\S+\s+)*remote\s+.*push\b/i,
-  /\bgh\s+pr\s+create\b/i,
-  /\bgh\s+pr\s+merge\b/i,
-  /\bgh\s+pr\s+push\b/i,
+  /\bgh\s+pr\s+(?:create|merge|push)\b/i,
 ];
 
-// Dangerous shell wrappers that can hide commands from pattern matching
-const DANGEROUS_WRAPPERS = /\b(?:eval|source)\s/i;
+const INTERPRETERS_RE = /^(?:python[\d.]*|node|nodejs|perl|ruby|php|deno|bun|lua|Rscript)$/;
 
-// Split compound commands (&&, ||, ;, |, newline) and also unwrap
-// sh -c / bash -c wrappers to detect push in any sub-part.
-const SUBSHELL_WRAPPER = /^\s*(?:sh|bash|zsh|dash)\s+-c\s+['"](.+)['"]\s*$/i;
+// git subcommands that upload objects or refs to a remote
+const GIT_PUSH_SUBCOMMANDS = new Set(["push", "send-pack", "http-push"]);
+
+// git global options that consume the following argument
+const GIT_OPTS_WITH_VALUE = new Set(["-C", "-c", "--git-dir", "--work-tree", "--namespace", "--exec-path", "--super-prefix", "--config-env", "--list-cmds"]);
 
 /**
- * Split a command on compound operators (&&, ||, ;, |, newline)
- * while respecting single- and double-quoted strings.
+ * Locate the git subcommand in an invocation, skipping global options.
+ * `dynamic` is true when the subcommand (or an option before it) contains an
+ * expansion and therefore cannot be verified statically.
  */
-function splitCompound(command) {
-  const results = [];
-  let current = "";
-  let inSingle = false;
-  let inDouble = false;
+function gitSubcommand(inv) {
+  const configs = [];
+  let i = 1;
+  while (i < inv.argv.length) {
+    const arg = inv.argv[i];
+    if (arg === "-c" || arg === "--config-env") {
+      configs.push(inv.argv[i + 1] ?? "");
+      i += 2;
+      continue;
+    }
+    if (GIT_OPTS_WITH_VALUE.has(arg)) { i += 2; continue; }
+    if (arg.startsWith("-")) { i++; continue; }
+    break;
+  }
+  return {
+    index: i,
+    sub: inv.argv[i] ?? null,
+    dynamic: inv.words.slice(0, i + 1).some((w) => w.dynamic),
+    configs,
+  };
+}
 
-  for (let i = 0; i < command.length; i++) {
-    const ch = command[i];
+// Subcommands whose push-ness depends on arguments xargs may append
+const XARGS_PUSH_SUBCOMMANDS = new Set(["config", "remote", "subtree"]);
 
-    if (ch === "\\" && !inSingle && i + 1 < command.length) {
-      current += ch + command[i + 1];
-      i++;
+function isPushInvocation(inv) {
+  // Program name built from an expansion: `$GIT push`, `"$(which git)" push`
+  if (inv.words[0]?.dynamic) return inv.argv.slice(1).includes("push");
+
+  if (inv.name === "git") {
+    const { index, sub, dynamic, configs } = gitSubcommand(inv);
+    if (dynamic) return true;
+    // `... | xargs git` — the subcommand or its arguments come from stdin
+    if (inv.stdinArgs && (sub === null || XARGS_PUSH_SUBCOMMANDS.has(sub))) return true;
+    // git -c alias.p=push p
+    if (configs.some((c) => /^alias\./i.test(c) && /\b(?:push|pr\s+create|pr\s+merge)\b/i.test(c))) return true;
+    if (GIT_PUSH_SUBCOMMANDS.has(sub)) return true;
+    const rest = inv.argv.slice(index + 1);
+    if (sub === "subtree" && rest.includes("push")) return true;
+    if (sub === "remote" && rest.some((a) => /\bpush\b/i.test(a))) return true;
+    // git config alias.p push — defines a push alias for a later call
+    if (sub === "config" && rest.some((a) => /^alias\./i.test(a)) && rest.some((a) => /\b(?:push|pr\s+create|pr\s+merge)\b/i.test(a))) return true;
+    return false;
+  }
+
+  if (inv.name === "gh") {
+    if (inv.stdinArgs && inv.argv.length < 3) return true;
+    return inv.argv[1] === "pr" && ["create", "merge", "push"].includes(inv.argv[2]);
+  }
+
+  if (INTERPRETERS_RE.test(inv.name)) {
+    const code = inv.argv.slice(1).join(" ");
+    return GIT_PUSH_PATTERNS.some((re) => re.test(code));
+  }
+
+  return false;
+}
+
+function isGitPushCommand(command, invocations) {
+  if (invocations.some(isPushInvocation)) return true;
+  // Scripts that cannot be inspected (eval of variables, source, unknown
+  // stdin into a shell): stay conservative if the command mentions git push.
+  if (invocations.some((inv) => inv.opaque) && /\bgit\b/i.test(command) && /\bpush\b/i.test(command)) return true;
+  return false;
+}
+
+// ── High-Risk Git Operations ────────────────────────────────────────────────
+
+/**
+ * Reasons a push is high-risk (force, mirror, remote ref deletion).
+ * Returns an empty array for an ordinary push.
+ */
+function pushRiskReasons(invocations) {
+  const reasons = new Set();
+  for (const inv of invocations) {
+    if (inv.name !== "git") continue;
+    const { index, sub } = gitSubcommand(inv);
+    if (sub !== "push") continue;
+    const rest = inv.argv.slice(index + 1);
+    const flags = optionFlags(rest);
+    if (flags.has("--force") || flags.has("-f")) reasons.add("force push (--force)");
+    if (flags.has("--force-with-lease") || flags.has("--force-if-includes")) reasons.add("force push (--force-with-lease)");
+    if (flags.has("--mirror")) reasons.add("mirror push (overwrites and deletes remote refs)");
+    if (flags.has("--delete") || flags.has("-d")) reasons.add("deletes remote branches (--delete)");
+    if (flags.has("--prune")) reasons.add("deletes remote refs (--prune)");
+    for (const arg of rest) {
+      if (arg.startsWith("+")) reasons.add(`force push (${arg})`);
+      else if (arg.startsWith(":") && arg.length > 1) reasons.add(`deletes remote ref (${arg})`);
+    }
+  }
+  return [...reasons];
+}
+
+// ── Push Destinations ───────────────────────────────────────────────────────
+
+// git push options that consume the following argument
+const PUSH_OPTS_WITH_VALUE = new Set(["-o", "--push-option", "--repo", "--receive-pack", "--exec"]);
+
+/**
+ * Trimmed stdout of a git command, or null if it fails or prints nothing.
+ * Async so a slow repository does not block the event loop for every channel.
+ */
+async function gitOutput(cwd, args) {
+  try {
+    const { stdout } = await execFileAsync("git", args, { cwd, encoding: "utf-8", timeout: 5_000 });
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/** Value of a `--opt value`, `--opt=value` or `-o value` option, or null. */
+function optionValue(args, names) {
+  for (let i = 0; i < args.length; i++) {
+    for (const name of names) {
+      if (args[i] === name) return args[i + 1] ?? null;
+      if (name.startsWith("--") && args[i].startsWith(name + "=")) return args[i].slice(name.length + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Where a push sends commits: one { remote, branch } per pushed ref. branch
+ * is null when it cannot be determined statically (--all, --mirror, tags
+ * only, expansions, `gh pr merge`, pushes hidden in scripts). Without a
+ * refspec, git pushes the current branch to its upstream. `gh pr create`
+ * targets its --base branch (null = the repo's default branch).
+ */
+async function pushDestinations(invocations, baseDir) {
+  const destinations = [];
+  const unknown = (remote = null) => destinations.push({ remote, branch: null });
+  for (const inv of invocations) {
+    if (!isPushInvocation(inv)) continue;
+
+    if (inv.name === "gh") {
+      const base = inv.argv[2] === "create" ? optionValue(inv.argv.slice(3), ["-B", "--base"]) : null;
+      destinations.push({ remote: null, branch: base });
+      continue;
+    }
+
+    const { index, sub, dynamic } = inv.name === "git" ? gitSubcommand(inv) : {};
+    if (sub !== "push" || dynamic || inv.words.some((w) => w.dynamic)) {
+      unknown();
+      continue;
+    }
+    const cIdx = inv.argv.slice(0, index).lastIndexOf("-C");
+    const dir = invocationDirs(inv, baseDir)[0];
+    const cwd = dir && (cIdx > 0 ? resolve(dir, inv.argv[cIdx + 1]) : dir);
+    const rest = inv.argv.slice(index + 1);
+    const flags = optionFlags(rest);
+    const positional = positionalArgs(inv, PUSH_OPTS_WITH_VALUE, index + 1).map((i) => inv.argv[i]);
+    const current = cwd && await gitOutput(cwd, ["branch", "--show-current"]);
+    const [upstreamRemote, upstreamMerge] = current
+      ? await Promise.all([
+        gitOutput(cwd, ["config", `branch.${current}.remote`]),
+        gitOutput(cwd, ["config", `branch.${current}.merge`]),
+      ])
+      : [null, null];
+    const remote = positional[0] ?? optionValue(rest, ["--repo"]) ?? upstreamRemote ?? "origin";
+
+    if (flags.has("--all") || flags.has("--branches") || flags.has("--mirror")) {
+      unknown(remote);
       continue;
     }
+    const refspecs = positional.slice(1);
+    if (refspecs.length === 0) {
+      if (flags.has("--tags")) unknown(remote);
+      else if (upstreamMerge && upstreamRemote === remote) destinations.push({ remote, branch: upstreamMerge.replace(/^refs\/heads\//, "") });
+      else destinations.push({ remote, branch: current || null });
+      continue;
+    }
+    for (const refspec of refspecs) {
+      const spec = refspec.replace(/^\+/, "");
+      const colon = spec.indexOf(":");
+      let dst = colon === -1 ? spec : spec.slice(colon + 1) || spec.slice(0, colon);
+      if (dst === "HEAD" || dst === "@") dst = current || null;
+      destinations.push({ remote, branch: dst ? dst.replace(/^refs\/heads\//, "") : null });
+    }
+  }
+  // Scripts that hide the push (eval, source): the destination is unknown
+  if (destinations.length === 0) unknown();
+  return destinations;
+}
 
-    if (ch === "'" && !inDouble) { inSingle = !inSingle; current += ch; continue; }
-    if (ch === '"' && !inSingle) { inDouble = !inDouble; current += ch; continue; }
+// git rebase options that consume the following argument
+const REBASE_OPTS_WITH_VALUE = new Set(["--onto", "-s", "--strategy", "-X", "--strategy-option", "-x", "--exec", "-C"]);
+const REBASE_CONTROL_FLAGS = new Set(["--continue", "--abort", "--skip", "--quit", "--edit-todo", "--show-current-patch"]);
 
-    if (inSingle || inDouble) { current += ch; continue; }
+/** Count commits in a rev-list range, or null if git fails. */
+async function revCount(cwd, args) {
+  const out = await gitOutput(cwd, ["rev-list", "--count", ...args]);
+  return out === null ? null : parseInt(out, 10);
+}
 
-    if (ch === "&" && command[i + 1] === "&") {
-      if (current.trim()) results.push(current.trim());
-      current = "";
-      i++;
+/** Whether any commit in the range is reachable from a remote-tracking ref. */
+async function rangeIsPublished(cwd, range) {
+  const total = await revCount(cwd, range);
+  if (!total) return false;
+  const unpublished = await revCount(cwd, [...range, "--not", "--remotes"]);
+  return unpublished !== null && unpublished < total;
+}
+
+/**
+ * Describe a history rewrite of already-published commits (rebase, amend,
+ * filter-branch), or return null. Unpublished local history may be rewritten freely.
+ * The repository is the directory the invocation runs in (cd/pushd chain,
+ * `git -C`), relative to the command's starting directory `baseDir`.
+ */
+async function publishedHistoryRewrite(inv, baseDir) {
+  if (inv.name !== "git") return null;
+  const { index, sub } = gitSubcommand(inv);
+  const rest = inv.argv.slice(index + 1);
+
+  let range, reason;
+  if (sub === "commit") {
+    if (!optionFlags(rest).has("--amend")) return null;
+    range = ["-1", "HEAD"];
+    reason = "amends a published commit (commit --amend)";
+  } else if (sub === "rebase") {
+    const flags = optionFlags(rest);
+    if ([...REBASE_CONTROL_FLAGS].some((f) => flags.has(f))) return null;
+    const positional = positionalArgs(inv, REBASE_OPTS_WITH_VALUE, index + 1);
+    if (positional.some((i) => inv.words[i].dynamic)) return "rebase with a range that cannot be statically verified";
+    const branch = inv.argv[positional[1]] ?? "HEAD";
+    range = flags.has("--root") ? [branch] : [`${inv.argv[positional[0]] ?? "@{upstream}"}..${branch}`];
+    reason = "rebases published commits (rebase)";
+  } else if (sub === "filter-branch" || sub === "filter-repo") {
+    range = ["HEAD"];
+    reason = `rewrites published history (${sub})`;
+  } else {
+    return null;
+  }
+
+  const cIdx = inv.argv.slice(0, index).lastIndexOf("-C");
+  for (const dir of invocationDirs(inv, baseDir)) {
+    if (!dir || (cIdx > 0 && inv.words[cIdx + 1]?.dynamic)) {
+      return "rewrites history in a repository that cannot be statically verified";
+    }
+    const cwd = cIdx > 0 ? resolve(dir, inv.argv[cIdx + 1]) : dir;
+    if (await rangeIsPublished(cwd, range)) return reason;
+  }
+  return null;
+}
+
+// ── Dangerous Command Detection ─────────────────────────────────────────────
+
+/**
+ * Collect option flags up to `--`, splitting short clusters (`-rf` → -r, -f)
+ * and dropping `=value` from long options.
+ */
+function optionFlags(args) {
+  const flags = new Set();
+  for (const arg of args) {
+    if (arg === "--") break;
+    if (arg.startsWith("--")) flags.add(arg.split("=")[0]);
+    else if (/^-[A-Za-z]+$/.test(arg)) for (const ch of arg.slice(1)) flags.add(`-${ch}`);
+  }
+  return flags;
+}
+
+const PACKAGE_MANAGERS = new Set(["npm", "pnpm", "yarn"]);
+const CONTAINER_RUNTIMES = new Set(["docker", "podman"]);
+
+// docker/podman global options that consume the following argument
+const DOCKER_OPTS_WITH_VALUE = new Set(["-H", "--host", "-c", "--context", "--config", "-l", "--log-level", "--tlscacert", "--tlscert", "--tlskey"]);
+
+/**
+ * Describe why an invocation needs explicit approval (the "ask" gate),
+ * or return null if it may run without one.
+ */
+function dangerousInvocation(inv) {
+  const args = inv.argv.slice(1);
+
+  if (inv.name === "rm") {
+    const flags = optionFlags(args);
+    const recursive = flags.has("-r") || flags.has("-R") || flags.has("--recursive");
+    const force = flags.has("-f") || flags.has("--force");
+    if (recursive && force) return "recursive forced delete (rm -rf)";
+    return null;
+  }
+
+  if (inv.name === "git") {
+    const { index, sub } = gitSubcommand(inv);
+    const flags = optionFlags(inv.argv.slice(index + 1));
+    if (sub === "reset" && flags.has("--hard")) return "discards uncommitted changes (git reset --hard)";
+    if (sub === "clean" && (flags.has("-f") || flags.has("--force"))) return "deletes untracked files (git clean)";
+    return null;
+  }
+
+  if (PACKAGE_MANAGERS.has(inv.name)) {
+    const positional = args.filter((a) => !a.startsWith("-"));
+    if (positional[0] === "publish" || (inv.name === "yarn" && positional[0] === "npm" && positional[1] === "publish")) {
+      return `publishes a package (${inv.name} publish)`;
+    }
+    return null;
+  }
+
+  if (CONTAINER_RUNTIMES.has(inv.name)) {
+    let i = 0;
+    while (i < args.length && args[i].startsWith("-")) i += DOCKER_OPTS_WITH_VALUE.has(args[i]) ? 2 : 1;
+    const sub = args[i] === "container" ? args[i + 1] : args[i];
+    if (sub === "run") return `starts a container (${inv.name} run)`;
+    return null;
+  }
+
+  return null;
+}
+
+// ── Network Egress ──────────────────────────────────────────────────────────
+
+const CURL_OPTS_WITH_VALUE = new Set([
+  "-d", "--data", "--data-binary", "--data-ascii", "--data-raw", "--data-urlencode", "--json",
+  "-H", "--header", "-o", "--output", "-u", "--user", "-X", "--request", "-A", "--user-agent",
+  "-e", "--referer", "-b", "--cookie", "-c", "--cookie-jar", "-F", "--form", "-T", "--upload-file",
+  "-w", "--write-out", "-K", "--config", "-m", "--max-time", "--connect-timeout", "-r", "--range",
+  "-E", "--cert", "--key", "--cacert", "--capath", "-U", "--proxy-user", "--resolve", "--connect-to",
+  "--retry", "-Y", "--speed-limit", "-y", "--speed-time", "--limit-rate", "-z", "--time-cond",
+  "--output-dir", "-D", "--dump-header", "--trace", "--trace-ascii", "-x", "--proxy", "--url",
+]);
+const CURL_URL_OPTS = new Set(["--url", "-x", "--proxy"]);
+const WGET_OPTS_WITH_VALUE = new Set([
+  "-O", "--output-document", "-o", "--output-file", "-a", "--append-output", "-P", "--directory-prefix",
+  "-U", "--user-agent", "--header", "-e", "--execute", "-i", "--input-file", "--post-data", "--post-file",
+  "--body-data", "--body-file", "--user", "--password", "--method", "-t", "--tries", "-T", "--timeout",
+  "-w", "--wait", "-Q", "--quota", "-l", "--level", "-A", "--accept", "-R", "--reject", "-D", "--domains",
+  "--load-cookies", "--save-cookies", "--referer", "--ca-certificate", "--certificate", "--private-key",
+]);
+const NC_OPTS_WITH_VALUE = new Set(["-p", "-s", "-w", "-i", "-x", "-X", "-q", "-e", "-c", "-I", "-O", "-T", "-V", "-W"]);
+const SSH_OPTS_WITH_VALUE = new Set(["-b", "-c", "-D", "-E", "-e", "-F", "-I", "-i", "-J", "-L", "-l", "-m", "-O", "-o", "-p", "-Q", "-R", "-S", "-W", "-w", "-B"]);
+const SCP_OPTS_WITH_VALUE = new Set(["-c", "-D", "-F", "-i", "-J", "-l", "-o", "-P", "-S", "-X"]);
+const RSYNC_OPTS_WITH_VALUE = new Set([
+  "-e", "--rsh", "-f", "--filter", "--exclude", "--include", "--exclude-from", "--include-from",
+  "--files-from", "--password-file", "--log-file", "--log-file-format", "--out-format", "-T", "--temp-dir",
+  "--partial-dir", "--backup-dir", "--compare-dest", "--copy-dest", "--link-dest", "--suffix", "--chmod",
+  "--chown", "--usermap", "--groupmap", "-B", "--block-size", "-M", "--remote-option", "--timeout",
+  "--contimeout", "--port", "--bwlimit", "--max-size", "--min-size", "--max-delete", "--modify-window",
+  "--address", "--sockopts", "--iconv", "--info", "--debug", "--checksum-choice", "--compress-choice",
+  "--compress-level", "--skip-compress",
+]);
+const PIP_URL_OPTS = new Set(["-i", "--index-url", "--extra-index-url", "-f", "--find-links"]);
+const GIT_REMOTE_SUBCOMMANDS = new Set(["clone", "fetch", "pull", "ls-remote", "remote", "submodule"]);
+const SOCAT_ADDRESS_RE = /^(?:TCP[46]?|TCP-CONNECT|UDP[46]?|UDP-CONNECT|OPENSSL|SSL|PROXY|SOCKS[45]A?):([^:,]+)/i;
+const SCHEME_RE = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/** Hostname of a URL, or of `[user@]host[:port][/path]` without a scheme. */
+function urlHost(value) {
+  try {
+    const host = new URL(SCHEME_RE.test(value) ? value : `http://${value}`).hostname;
+    return host.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "") || null;
+  } catch {
+    return null;
+  }
+}
+
+/** Host of a remote spec (`[user@]host:path`, `host::module` or a URL); null for local paths. */
+function remoteSpecHost(value) {
+  if (SCHEME_RE.test(value)) return urlHost(value);
+  const m = /^(?:[^@/\s]+@)?([A-Za-z0-9._-]+|\[[0-9A-Fa-f:.]+\]):/.exec(value);
+  return m ? m[1].replace(/^\[|\]$/g, "").toLowerCase() : null;
+}
+
+/**
+ * Positional arguments (as argv indices), skipping options and the values
+ * of options listed in `optsWithValue`.
+ */
+function positionalArgs(inv, optsWithValue, start = 1) {
+  const out = [];
+  for (let i = start; i < inv.argv.length; i++) {
+    const arg = inv.argv[i];
+    if (arg === "--") {
+      for (let j = i + 1; j < inv.argv.length; j++) out.push(j);
+      break;
+    }
+    if (arg.startsWith("-") && arg.length > 1) {
+      if (optsWithValue.has(arg)) i++;
       continue;
     }
-    if (ch === "|" && command[i + 1] === "|") {
-      if (current.trim()) results.push(current.trim());
-      current = "";
+    out.push(i);
+  }
+  return out;
+}
+
+/** Values of the given options (`--opt value` and `--opt=value`) as { value, dynamic }. */
+function optionValues(inv, names) {
+  const out = [];
+  for (let i = 1; i < inv.argv.length; i++) {
+    const arg = inv.argv[i];
+    if (arg === "--") break;
+    if (names.has(arg) && i + 1 < inv.argv.length) {
+      out.push({ value: inv.argv[i + 1], dynamic: inv.words[i + 1].dynamic });
       i++;
       continue;
     }
-    if (ch === ";" || ch === "|" || ch === "\n") {
-      if (current.trim()) results.push(current.trim());
-      current = "";
-      continue;
+    const eq = arg.indexOf("=");
+    if (arg.startsWith("--") && eq > 0 && names.has(arg.slice(0, eq))) {
+      out.push({ value: arg.slice(eq + 1), dynamic: inv.words[i].dynamic });
     }
+  }
+  return out;
+}
 
-    current += ch;
-  }
-
-  if (current.trim()) results.push(current.trim());
-  return results;
-}
-
-function extractSubCommands(command) {
-  const parts = splitCompound(command);
-  const result = [];
-  for (const part of parts) {
-    result.push(part);
-    const m = SUBSHELL_WRAPPER.exec(part);
-    if (m) result.push(...splitCompound(m[1]));
-    // Recursively extract from $(...) command substitutions (handles nesting)
-    let remaining = part;
-    let depth = 0;
-    let start = -1;
-    for (let i = 0; i < remaining.length; i++) {
-      if (i + 1 < remaining.length && remaining[i] === "$" && remaining[i + 1] === "(") {
-        if (depth === 0) start = i + 2;
-        depth++;
-        i++; // skip '('
-      } else if (remaining[i] === ")" && depth > 0) {
-        depth--;
-        if (depth === 0 && start >= 0) {
-          const inner = remaining.slice(start, i);
-          result.push(...splitCompound(inner));
-          start = -1;
-        }
+/**
+ * Network destinations an invocation would connect to, as
+ * { value, host, dynamic }. `dynamic` destinations cannot be verified.
+ */
+function egressTargets(inv) {
+  const targets = [];
+  const word = (i) => ({ value: inv.argv[i], dynamic: inv.words[i].dynamic });
+  const addUrl = ({ value, dynamic }) => targets.push({ value, dynamic, host: dynamic ? null : urlHost(value) });
+  const addHost = ({ value, dynamic }) => targets.push({ value, dynamic, host: dynamic ? null : value.toLowerCase() });
+  // Remote specs: a dynamic word only counts if it could contain a host (`$HOST:/tmp`)
+  const addSpec = ({ value, dynamic }) => {
+    if (dynamic) {
+      if (/^[^/]*:/.test(value)) targets.push({ value, dynamic, host: null });
+      return;
+    }
+    const host = remoteSpecHost(value);
+    if (host) targets.push({ value, dynamic, host });
+  };
+  const urlLike = ({ value, dynamic }) => !dynamic && SCHEME_RE.test(value);
+
+  switch (inv.name) {
+    case "curl":
+      positionalArgs(inv, CURL_OPTS_WITH_VALUE).map(word).forEach(addUrl);
+      optionValues(inv, CURL_URL_OPTS).forEach(addUrl);
+      break;
+    case "wget":
+      positionalArgs(inv, WGET_OPTS_WITH_VALUE).map(word).forEach(addUrl);
+      // URLs read from a file cannot be verified
+      for (const { value } of optionValues(inv, new Set(["-i", "--input-file"]))) {
+        targets.push({ value: `-i ${value}`, dynamic: true, host: null });
       }
+      break;
+    case "nc":
+    case "ncat":
+    case "netcat":
+    case "telnet": {
+      if (optionFlags(inv.argv.slice(1)).has("-l")) break; // listen mode
+      const [dest] = positionalArgs(inv, NC_OPTS_WITH_VALUE);
+      if (dest !== undefined) addHost(word(dest));
+      break;
     }
-    // Also extract from backtick substitutions
-    const backtick = part.matchAll(/`([^`]+)`/g);
-    for (const b of backtick) result.push(...splitCompound(b[1]));
+    case "socat":
+      for (const i of positionalArgs(inv, new Set())) {
+        const m = SOCAT_ADDRESS_RE.exec(inv.argv[i]);
+        if (m) addHost({ value: m[1], dynamic: inv.words[i].dynamic });
+      }
+      break;
+    case "ssh": {
+      const [dest] = positionalArgs(inv, SSH_OPTS_WITH_VALUE);
+      if (dest !== undefined) addUrl(word(dest));
+      for (const { value, dynamic } of optionValues(inv, new Set(["-J"]))) {
+        for (const jump of value.split(",")) addUrl({ value: jump, dynamic });
+      }
+      break;
+    }
+    case "sftp": {
+      const [dest] = positionalArgs(inv, SCP_OPTS_WITH_VALUE);
+      if (dest !== undefined) addUrl(word(dest));
+      break;
+    }
+    case "scp":
+    case "rsync":
+      positionalArgs(inv, inv.name === "scp" ? SCP_OPTS_WITH_VALUE : RSYNC_OPTS_WITH_VALUE).map(word).forEach(addSpec);
+      break;
+    case "git": {
+      const { index, sub } = gitSubcommand(inv);
+      if (!GIT_REMOTE_SUBCOMMANDS.has(sub)) break;
+      positionalArgs(inv, new Set(["-b", "--branch", "-o", "--origin", "--depth", "-c", "--config", "--reference", "-j", "--jobs"]), index + 1)
+        .map(word).forEach(addSpec);
+      break;
+    }
+    case "pip":
+    case "pip3":
+      optionValues(inv, PIP_URL_OPTS).forEach(addUrl);
+      positionalArgs(inv, PIP_URL_OPTS).map(word).filter(urlLike).forEach(addUrl);
+      break;
+    case "npm":
+    case "pnpm":
+    case "yarn":
+      optionValues(inv, new Set(["--registry"])).forEach(addUrl);
+      positionalArgs(inv, new Set(["--registry"])).map(word).filter(urlLike).forEach(addUrl);
+      break;
+    default:
+      // python -m pip install --index-url ...
+      if (INTERPRETERS_RE.test(inv.name) && inv.argv[1] === "-m" && /^pip3?$/.test(inv.argv[2] ?? "")) {
+        optionValues(inv, PIP_URL_OPTS).forEach(addUrl);
+        positionalArgs(inv, PIP_URL_OPTS, 3).map(word).filter(urlLike).forEach(addUrl);
+      }
   }
-  return result;
+  return targets;
 }
 
-function isGitPushCommand(command) {
-  const parts = extractSubCommands(command);
-  // Detect dangerous wrappers (eval/source) only when the command also references git push
-  if (DANGEROUS_WRAPPERS.test(command) && /\bgit\b/i.test(command) && /\bpush\b/i.test(command)) return true;
-  // Detect env-variable prefix pattern: VAR=val git push
-  if (/\b\w+=\S+\s+git\s+push\b/i.test(command)) return true;
-  // Detect git config alias that references push-related commands (bypass via alias)
-  if (/\bgit\s+config\b[^;&|\n]*\balias\.\w+\s.*?\b(?:push|pr\s+create|pr\s+merge)\b/i.test(command)) return true;
-  // Detect git with dynamic subcommand via variable/command expansion (can't verify statically)
-  if (/\bgit\b[^;&|\n]*\$[\w{(]/i.test(command)) return true;
-  if (/\bgit\b[^;&|\n]*`/i.test(command)) return true;
-  return parts.some((part) =>
-    GIT_PUSH_PATTERNS.some((re) => re.test(part))
-  );
+/** Check a host against the egress allowlist (entries also allow their subdomains). */
+function isHostAllowed(host) {
+  for (const allowed of EGRESS_ALLOWED_HOSTS) {
+    if (host === allowed || host.endsWith("." + allowed)) return true;
+  }
+  return false;
+}
+
+/**
+ * Find the first network destination that is not on the egress allowlist.
+ * Returns { host, reason } if a violation is found, or null if clean.
+ */
+function checkEgress(invocations) {
+  if (EGRESS_MODE === "allow") return null;
+  for (const inv of invocations) {
+    for (const target of egressTargets(inv)) {
+      if (target.dynamic) {
+        return { host: null, reason: `Network destination cannot be statically verified: ${inv.name} ${target.value}` };
+      }
+      if (!target.host || isHostAllowed(target.host)) continue;
+      return { host: target.host, reason: `Network access to ${target.host} is not on the egress allowlist (${inv.name})` };
+    }
+  }
+  return null;
 }
 
 // ── Grant Checking ──────────────────────────────────────────────────────────
 
 /**
- * Check if a path is covered by an active grant.
+ * Check if a path is covered by an active grant: below a granted directory
+ * or matching a granted glob, and not matching any of the grant's excludes.
+ * One-time grants are only relied on if no other grant covers the path, so
+ * they are not used up needlessly.
  * @param {string} targetPath - Absolute path to check
- * @param {Map<string, {mode: string, expiry: number}>} grants - Active grants
+ * @param {Map<string, {mode: string, expiry: number, excludes?: string[], scope?: string}>} grants - Active grants
  * @param {"ro"|"rw"} requiredMode - Minimum access mode needed
+ * @param {Set<string>} [used] - Collects the key of the grant that matched
  * @returns {boolean}
  */
-function isGranted(targetPath, grants, requiredMode = "ro") {
+function isGranted(targetPath, grants, requiredMode = "ro", used = null) {
   const resolvedTarget = safePath(targetPath);
+  // Excludes also apply to the path as written, so a symlinked `.ssh` stays excluded
+  const literalTarget = resolve(targetPath);
+  let onceGrant = null;
   for (const [grantPath, grant] of grants) {
     if (Date.now() > grant.expiry) continue; // expired
-    const resolvedGrant = safePath(grantPath);
-    const isUnder =
-      resolvedTarget === resolvedGrant ||
-      resolvedTarget.startsWith(resolvedGrant + sep);
-    if (!isUnder) continue;
-    if (requiredMode === "ro") return true;
-    if (requiredMode === "rw" && grant.mode === "rw") return true;
+    let covered;
+    if (isGlob(grantPath)) {
+      covered = matchGlob(grantPath, resolvedTarget);
+    } else {
+      const resolvedGrant = safePath(grantPath);
+      covered =
+        resolvedTarget === resolvedGrant ||
+        resolvedTarget.startsWith(resolvedGrant + sep);
+    }
+    if (!covered) continue;
+    if (grant.excludes?.some((g) => matchGlob(g, resolvedTarget) || matchGlob(g, literalTarget))) continue;
+    if (requiredMode !== "ro" && grant.mode !== "rw") continue;
+    if (grant.scope === "once") {
+      onceGrant ??= grantPath;
+      continue;
+    }
+    used?.add(grantPath);
+    return true;
   }
-  return false;
+  if (onceGrant) used?.add(onceGrant);
+  return onceGrant !== null;
+}
+
+// ── Working Directories ─────────────────────────────────────────────────────
+
+/** Directory a shell command starts in: the tool's cwd argument or the workspace. */
+function shellBaseDir(toolArgs, workspaceRoot) {
+  const cwd = extractCwd(toolArgs);
+  return cwd ? resolve(workspaceRoot, cwd) : workspaceRoot;
+}
+
+/**
+ * Absolute directories an invocation may run in, following the cd/pushd chain
+ * the parser tracked (see Invocation.cwds). A null entry means the directory
+ * cannot be determined statically.
+ */
+function invocationDirs(inv, baseDir) {
+  return inv.cwds.map((chain) => {
+    if (!chain) return null;
+    let dir = baseDir;
+    for (const w of chain) {
+      if (w.dynamic || w.tilde || !w.value || w.value === "-") return null;
+      dir = resolve(dir, w.value);
+    }
+    return dir;
+  });
+}
+
+/**
+ * Resolve a path argument against every directory it may be relative to.
+ * Returns absolute paths; a null entry means it cannot be resolved.
+ */
+function resolveArg(p, dirs) {
+  if (p === "~" || p.startsWith("~/")) return [homedir() + p.slice(1)];
+  if (p.startsWith("~")) return [null]; // ~user
+  if (isAbsolute(p)) return [p];
+  return dirs.map((dir) => dir && resolve(dir, p));
 }
 
 // ── Shell File Access Scanning ──────────────────────────────────────────────
 
 const SAFE_PATHS_RE = /^\/dev\/(null|stdin|stdout|stderr|urandom|random|zero|tty|fd\/\d+)$/;
 
+const READ_COMMANDS = new Set([
+  "cat", "tac", "less", "more", "head", "tail", "sort", "uniq", "wc", "nl",
+  "od", "xxd", "strings", "base64", "file", "stat", "type",
+]);
+
+const OUTPUT_REDIRECTS = new Set([">", ">>", ">|", "&>", "&>>", "<>"]);
+
+/** Whether a redirection writes to its target file (`>&file`, but not `>&2`). */
+function isWriteRedirect(r) {
+  return OUTPUT_REDIRECTS.has(r.op) || (r.op === ">&" && !/^(?:\d+|-)$/.test(r.target.value));
+}
+
+/**
+ * Files a curl/wget invocation would upload (`-d @file`, `-F x=@file`, `-T file`, `--post-file`).
+ */
+function uploadedFiles(inv) {
+  const files = [];
+  const { argv } = inv;
+  let m;
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (inv.name === "curl") {
+      if (/^(?:-d|--data|--data-binary|--data-ascii|--json)$/.test(arg)) {
+        const v = argv[++i] ?? "";
+        if (v.startsWith("@")) files.push(v.slice(1));
+      } else if (arg === "--data-urlencode") {
+        const v = argv[++i] ?? "";
+        if ((m = /^[^=@]*@(.+)$/.exec(v))) files.push(m[1]);
+      } else if (arg === "-F" || arg === "--form") {
+        if ((m = /^[^=]*=[@<]([^;]+)/.exec(argv[++i] ?? ""))) files.push(m[1]);
+      } else if (arg === "-T" || arg === "--upload-file") {
+        files.push(argv[++i] ?? "");
+      } else if ((m = /^(?:-d|--data(?:-binary|-ascii)?=|--json=)@(.+)$/.exec(arg))) {
+        files.push(m[1]);
+      } else if ((m = /^(?:-T|--upload-file=)(.+)$/.exec(arg))) {
+        files.push(m[1]);
+      } else if ((m = /^(?:-F|--form=)[^=]*=[@<]([^;]+)/.exec(arg))) {
+        files.push(m[1]);
+      }
+    } else if (inv.name === "wget") {
+      if (arg === "--post-file" || arg === "--body-file") files.push(argv[++i] ?? "");
+      else if ((m = /^--(?:post|body)-file=(.+)$/.exec(arg))) files.push(m[1]);
+    }
+  }
+  return files;
+}
+
+// ── File Operands ───────────────────────────────────────────────────────────
+//
+// Commands that copy, move, link, archive or edit files. Each path operand is
+// modelled as { path, mode, what, removes? }: sources need "ro" access,
+// destinations (and sources that are removed or modified) "rw". `removes`
+// marks operands that are deleted or moved away along with everything below.
+
+// cp / mv / install / ln options that consume the following argument
+const COPY_OPTS_WITH_VALUE = new Set(["-t", "--target-directory", "-S", "--suffix", "-m", "--mode", "-o", "--owner", "-g", "--group"]);
+// tar short options that take a value (attached in `-f` clusters, or following in order)
+const TAR_VALUE_LETTERS = new Set(["f", "C", "T", "X", "b", "H", "g", "K", "N", "V", "L", "F", "I"]);
+const TAR_LONG_WITH_VALUE = new Set([
+  "--file", "--directory", "--files-from", "--exclude-from", "--exclude", "--format", "--listed-incremental",
+  "--blocking-factor", "--use-compress-program", "--transform", "--xform", "--owner", "--group", "--mode",
+  "--mtime", "--newer", "--after-date", "--label", "--tape-length", "--info-script", "--to-command",
+]);
+const ZIP_OPTS_WITH_VALUE = new Set(["-b", "-n", "-t", "-tt", "-O", "--output-file", "-P", "--password", "-Z", "-s"]);
+const UNZIP_OPTS_WITH_VALUE = new Set(["-d", "-P"]);
+// Commands that create, modify or delete every operand, with their options that take a value
+const REMOVE_COMMANDS = new Set(["rm", "rmdir", "unlink", "shred"]);
+const WRITE_COMMANDS = {
+  rm: [], rmdir: [], unlink: [], mkdir: ["-m", "--mode"],
+  touch: ["-r", "--reference", "-d", "--date", "-t"],
+  truncate: ["-s", "--size", "-r", "--reference"],
+  shred: ["-n", "--iterations", "-s", "--size", "--random-source"],
+};
+
+// Interpreter options: `inline` runs code given on the command line (no
+// script file), `value` consumes the following argument, `script` names it.
+const INTERPRETER_OPTS = {
+  python: { inline: ["-c", "-m"], value: ["-W", "-X", "-Q"] },
+  node: { inline: ["-e", "-p", "--eval", "--print"], value: ["-r", "--require", "--import", "--loader", "--experimental-loader", "-C", "--conditions", "--input-type"] },
+  perl: { inline: ["-e", "-E"], value: [] },
+  ruby: { inline: ["-e"], value: ["-I", "-r"] },
+  php: { inline: ["-r"], value: ["-c", "-d", "-z"], script: ["-f"] },
+  lua: { inline: ["-e"], value: ["-l"] },
+  Rscript: { inline: ["-e"], value: [] },
+};
+
+/** `-t DIR` / `--target-directory=DIR` of cp, mv, install and ln. */
+function targetDirectory(inv) {
+  for (let i = 1; i < inv.argv.length; i++) {
+    const arg = inv.argv[i];
+    if (arg === "--") break;
+    if (arg === "-t" || arg === "--target-directory") return inv.argv[i + 1] ?? null;
+    if (arg.startsWith("--target-directory=")) return arg.slice("--target-directory=".length);
+    if (/^-t./.test(arg)) return arg.slice(2);
+  }
+  return null;
+}
+
+/** Script file an interpreter runs (`python x.py`, `node x.js`), or null for inline code. */
+function interpreterScript(inv) {
+  const { argv } = inv;
+  let family = inv.name.replace(/[\d.]+$/, "");
+  let i = 1;
+  if (family === "nodejs" || family === "deno" || family === "bun") {
+    if (family !== "nodejs" && (argv[1] === "run" || argv[1] === "test")) i = 2;
+    else if (family === "deno") return null;
+    family = "node";
+  }
+  const opts = INTERPRETER_OPTS[family];
+  if (!opts) return null;
+  for (; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--" || arg === "-") return arg === "--" ? argv[i + 1] ?? null : null;
+    if (opts.inline.includes(arg)) return null;
+    if (opts.script?.includes(arg)) return argv[i + 1] ?? null;
+    if (opts.value.includes(arg)) { i++; continue; }
+    // Python option clusters (`-Bc code`, `-um module`)
+    if (family === "python" && /^-[A-Za-z]*[cm]$/.test(arg)) return null;
+    if (arg.startsWith("-")) continue;
+    return arg;
+  }
+  return null;
+}
+
+/** Archive, member and extraction-directory operands of a tar invocation. */
+function tarOperands(inv) {
+  const { argv } = inv;
+  const ops = [];
+  let mode = null;
+  let archive = null;
+  let dir = null;
+  let absoluteNames = false;
+  const members = [];
+  const lists = [];
+
+  const setMode = (m) => { if (!mode) mode = m; };
+  const optionValue = (opt, value) => {
+    if (value === undefined) return;
+    if (opt === "f" || opt === "--file") archive = value;
+    else if (opt === "C" || opt === "--directory") dir = dir && !isAbsolute(value) ? join(dir, value) : value;
+    else if (opt === "T" || opt === "X" || opt === "--files-from" || opt === "--exclude-from") lists.push(value);
+  };
+  // `-fARCHIVE` / `-f ARCHIVE` end a dashed cluster; an old-style bundle
+  // (`tar czf out.tgz dir`) takes its values from the following arguments in order
+  const letters = (cluster, dashed, takeNext) => {
+    for (let k = 0; k < cluster.length; k++) {
+      const ch = cluster[k];
+      if ("crux".includes(ch)) setMode(ch === "r" || ch === "u" ? "c" : ch);
+      else if (ch === "t" || ch === "d") setMode("t");
+      else if (ch === "P") absoluteNames = true;
+      else if (TAR_VALUE_LETTERS.has(ch)) {
+        optionValue(ch, (dashed && cluster.slice(k + 1)) || takeNext());
+        if (dashed) break;
+      }
+    }
+  };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      for (const m of argv.slice(i + 1)) members.push(dir ? join(dir, m) : m);
+      break;
+    }
+    if (arg.startsWith("--")) {
+      const eq = arg.indexOf("=");
+      const name = eq > 0 ? arg.slice(0, eq) : arg;
+      if (name === "--create" || name === "--append" || name === "--update") setMode("c");
+      else if (name === "--extract" || name === "--get") setMode("x");
+      else if (name === "--list" || name === "--diff" || name === "--compare") setMode("t");
+      else if (name === "--absolute-names") absoluteNames = true;
+      if (TAR_LONG_WITH_VALUE.has(name)) optionValue(name, eq > 0 ? arg.slice(eq + 1) : argv[++i]);
+      continue;
+    }
+    if ((arg.startsWith("-") && arg.length > 1) || i === 1) {
+      const dashed = arg.startsWith("-");
+      letters(dashed ? arg.slice(1) : arg, dashed, () => argv[++i]);
+      continue;
+    }
+    members.push(dir && !isAbsolute(arg) ? join(dir, arg) : arg);
+  }
+
+  for (const list of lists) ops.push({ path: list, mode: "ro", what: "Shell file read" });
+  if (archive && archive !== "-") {
+    ops.push({ path: archive, mode: mode === "c" ? "rw" : "ro", what: mode === "c" ? "Shell file write" : "Shell file read" });
+  }
+  if (mode === "c" || mode === "t") {
+    for (const m of members) ops.push({ path: m, mode: "ro", what: "Shell file read" });
+  }
+  if (mode === "x") {
+    // Extracts into -C (or the working directory); -P keeps absolute member names
+    ops.push({ path: absoluteNames ? "/" : dir ?? ".", mode: "rw", what: "Shell file write (extract)" });
+  }
+  return ops;
+}
+
+/**
+ * Path operands of file-manipulating commands (cp, mv, install, ln, rsync,
+ * scp, tar, zip, unzip, tee, dd, sed, rm/mkdir/touch/..., interpreter and
+ * shell scripts).
+ * @returns {Array<{ path: string, mode: "ro"|"rw", what: string, removes?: boolean }>}
+ */
+function fileOperands(inv) {
+  const { name, argv } = inv;
+  const ops = [];
+  const read = (path, what = "Shell file read") => ops.push({ path, mode: "ro", what });
+  const write = (path, what = "Shell file write") => ops.push({ path, mode: "rw", what });
+  const remove = (path) => ops.push({ path, mode: "rw", what: "Shell file write", removes: true });
+  const operands = (optsWithValue) => positionalArgs(inv, optsWithValue).map((i) => argv[i]);
+
+  switch (name) {
+    case "cp":
+    case "mv":
+    case "install": {
+      const flags = optionFlags(argv.slice(1));
+      const paths = operands(COPY_OPTS_WITH_VALUE);
+      if (name === "install" && (flags.has("-d") || flags.has("--directory"))) {
+        for (const p of paths) write(p);
+        break;
+      }
+      const targetDir = targetDirectory(inv);
+      const dest = targetDir ?? (paths.length > 1 ? paths.pop() : null);
+      // mv removes its sources
+      for (const p of paths) name === "mv" ? remove(p) : read(p);
+      if (dest) write(dest);
+      break;
+    }
+    case "ln": {
+      const flags = optionFlags(argv.slice(1));
+      const symbolic = flags.has("-s") || flags.has("--symbolic");
+      const relative = flags.has("-r") || flags.has("--relative");
+      const paths = operands(COPY_OPTS_WITH_VALUE);
+      const targetDir = targetDirectory(inv);
+      let linkDirs;
+      if (targetDir) {
+        write(targetDir);
+        linkDirs = [targetDir];
+      } else if (paths.length > 1) {
+        const dest = paths.pop();
+        write(dest);
+        // DEST is either the link itself or an existing directory to create it in
+        linkDirs = paths.length > 1 ? [dest] : [dest, dirname(dest)];
+      } else {
+        linkDirs = ["."];
+      }
+      // The target must not lie outside the workspace: once the link exists,
+      // paths through it look like workspace paths. A relative symlink target
+      // is resolved from the link's directory (or the cwd with -r); hard links
+      // share the file itself, so both kinds need write access to the target.
+      for (const target of paths) {
+        if (!symbolic || relative || isAbsolute(target) || target.startsWith("~")) {
+          write(target, "Shell link target");
+        } else {
+          for (const d of linkDirs) write(join(d, target), "Shell link target");
+        }
+      }
+      break;
+    }
+    case "rsync":
+    case "scp": {
+      const paths = operands(name === "scp" ? SCP_OPTS_WITH_VALUE : RSYNC_OPTS_WITH_VALUE);
+      const dest = paths.length > 1 ? paths.pop() : null;
+      for (const p of paths) if (!remoteSpecHost(p)) read(p);
+      if (dest && !remoteSpecHost(dest)) {
+        // --delete* removes files in the destination that the source lacks
+        argv.some((a) => a.startsWith("--delete")) ? remove(dest) : write(dest);
+      }
+      if (name === "rsync") {
+        const opt = (names) => optionValues(inv, new Set(names)).map((v) => v.value);
+        for (const p of opt(["--files-from", "--exclude-from", "--include-from", "--password-file", "--compare-dest", "--copy-dest", "--link-dest"])) {
+          if (!remoteSpecHost(p)) read(p);
+        }
+        for (const p of opt(["--log-file", "--backup-dir", "--partial-dir", "--temp-dir", "-T"])) write(p);
+      }
+      break;
+    }
+    case "tar":
+      return tarOperands(inv);
+    case "zip": {
+      const [archive, ...files] = operands(ZIP_OPTS_WITH_VALUE);
+      if (archive && archive !== "-") write(archive);
+      for (const p of files) if (p !== "-") read(p);
+      for (const { value } of optionValues(inv, new Set(["-O", "--output-file"]))) write(value);
+      break;
+    }
+    case "unzip": {
+      const [archive] = operands(UNZIP_OPTS_WITH_VALUE);
+      if (archive) read(archive);
+      const [dest] = optionValues(inv, new Set(["-d"]));
+      write(dest?.value ?? ".", "Shell file write (extract)");
+      break;
+    }
+    case "tee":
+      for (const p of operands(new Set())) write(p);
+      break;
+    case "dd":
+      for (const arg of argv.slice(1)) {
+        if (arg.startsWith("if=")) read(arg.slice(3));
+        else if (arg.startsWith("of=")) write(arg.slice(3));
+      }
+      break;
+    case "sed":
+      return sedOperands(inv);
+    default:
+      if (Object.hasOwn(WRITE_COMMANDS, name)) {
+        for (const p of operands(new Set(WRITE_COMMANDS[name]))) REMOVE_COMMANDS.has(name) ? remove(p) : write(p);
+      } else if (inv.script) read(inv.script.value, "Shell script");
+      else if (INTERPRETERS_RE.test(name)) {
+        const script = interpreterScript(inv);
+        if (script) read(script, "Shell script");
+      }
+  }
+  return ops;
+}
+
+/** Script files and input files of sed; inputs are written with -i / --in-place. */
+function sedOperands(inv) {
+  const { argv } = inv;
+  const ops = [];
+  const files = [];
+  let inPlace = false;
+  let hasScript = false;
+  const scriptFile = (p) => {
+    hasScript = true;
+    if (p !== undefined) ops.push({ path: p, mode: "ro", what: "Shell file read" });
+  };
+
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") {
+      files.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith("--")) {
+      if (arg === "--in-place" || arg.startsWith("--in-place=")) inPlace = true;
+      else if (arg === "--expression" || arg === "--line-length") { hasScript ||= arg === "--expression"; i++; }
+      else if (arg.startsWith("--expression=")) hasScript = true;
+      else if (arg === "--file") scriptFile(argv[++i]);
+      else if (arg.startsWith("--file=")) scriptFile(arg.slice("--file=".length));
+      continue;
+    }
+    if (arg.startsWith("-") && arg.length > 1) {
+      // -i[SUFFIX] ends the cluster; -e/-f/-l take the rest or the next argument
+      for (let k = 1; k < arg.length; k++) {
+        const ch = arg[k];
+        if (ch === "i") { inPlace = true; break; }
+        if (ch === "e" || ch === "f" || ch === "l") {
+          const value = arg.slice(k + 1) || argv[++i];
+          if (ch === "e") hasScript = true;
+          if (ch === "f") scriptFile(value);
+          break;
+        }
+      }
+      continue;
+    }
+    files.push(arg);
+  }
+
+  // Without -e/-f the first operand is the script
+  if (!hasScript) files.shift();
+  for (const p of files) {
+    ops.push(inPlace ? { path: p, mode: "rw", what: "Shell file write (sed -i)" } : { path: p, mode: "ro", what: "Shell file read" });
+  }
+  return ops;
+}
+
 /**
- * Scan a shell command for file operations targeting paths outside the workspace.
+ * Scan parsed shell invocations for file operations targeting paths outside the workspace.
+ * Relative paths are resolved against every working directory the invocation may run in.
  * Returns { path, reason } if a violation is found, or null if clean.
  */
-function checkShellFileAccess(command, workspaceRoot, grants) {
-  // 1. File-reading commands with absolute path arguments
-  const readRe = /\b(?:cat|tac|less|more|head|tail|sort|uniq|wc|nl|od|xxd|strings|base64|file|stat|type)\s+(?:(?:-[\w=]+)\s+)*(?:"(\/[^"]+)"|\'(\/[^\']+)\'|(\/[^\s;&|><"'`]+))/gi;
-  for (const m of command.matchAll(readRe)) {
-    const p = m[1] || m[2] || m[3];
-    if (!p || SAFE_PATHS_RE.test(p)) continue;
-    if (!isInsideWorkspace(p, workspaceRoot) && !isGranted(p, grants, "ro")) {
-      return { path: p, reason: `Shell file read outside workspace denied: ${p}` };
+function checkShellFileAccess(invocations, workspaceRoot, grants, baseDir, usedGrants = null) {
+  const allowed = (abs, mode) =>
+    SAFE_PATHS_RE.test(abs) || isInsideWorkspace(abs, workspaceRoot) || isGranted(abs, grants, mode, usedGrants);
+
+  for (const inv of invocations) {
+    const dirs = invocationDirs(inv, baseDir);
+
+    // The offending absolute path, null if it cannot be resolved, undefined if allowed
+    const outside = (p, mode) => {
+      for (const abs of resolveArg(p, dirs)) {
+        if (abs === null || !allowed(abs, mode)) return abs;
+      }
+      return undefined;
+    };
+    const deny = (p, abs, what) => abs === null
+      ? { path: p, reason: `${what} denied — path cannot be resolved, working directory is unknown: ${p}` }
+      : { path: abs, reason: `${what} outside workspace denied: ${abs}` };
+
+    // 0. The working directory itself (env -C, sudo -D, cd chains)
+    for (const dir of dirs) {
+      if (dir && !allowed(dir, "ro")) {
+        return { path: dir, reason: `Shell working directory is outside workspace: ${dir}` };
+      }
+    }
+
+    // Paths or a script read from stdin by xargs cannot be checked
+    if (inv.stdinArgs && READ_COMMANDS.has(inv.name)) {
+      return { path: inv.name, reason: `Shell file read denied — paths come from stdin (xargs) and cannot be statically verified: ${inv.name}` };
+    }
+    if (inv.stdinArgs && inv.opaque) {
+      return { path: inv.name, reason: `Shell script from stdin (xargs) cannot be statically verified: ${inv.name}` };
+    }
+
+    // 1. File-reading commands with path arguments
+    if (READ_COMMANDS.has(inv.name)) {
+      for (const p of inv.argv.slice(1)) {
+        if (!p || (p.startsWith("-") && p !== "-")) continue;
+        const abs = outside(p, "ro");
+        if (abs !== undefined) return deny(p, abs, "Shell file read");
+      }
+    }
+
+    // 2. Sources and destinations of copy/move/link/archive/edit commands
+    for (const op of fileOperands(inv)) {
+      const abs = outside(op.path, op.mode);
+      if (abs !== undefined) return deny(op.path, abs, op.what);
+    }
+
+    // 3. Redirections to/from paths outside workspace
+    for (const r of inv.redirects) {
+      const p = r.target.value;
+      if (isWriteRedirect(r)) {
+        const abs = outside(p, "rw");
+        if (abs !== undefined) return deny(p, abs, "Shell file write (redirect)");
+      }
+      if (r.op === "<") {
+        const abs = outside(p, "ro");
+        if (abs !== undefined) return deny(p, abs, "Shell file read (redirect)");
+      }
+    }
+
+    // 4. curl/wget data exfiltration with file reference (@file)
+    for (const p of uploadedFiles(inv)) {
+      const abs = outside(p, "ro");
+      if (abs !== undefined) {
+        return abs === null
+          ? { path: p, reason: `File upload denied — path cannot be resolved, working directory is unknown: ${p}` }
+          : { path: abs, reason: `Data exfiltration via file upload denied: ${abs}` };
+      }
+    }
+  }
+
+  return null;
+}
+
+// ── Protected Paths ─────────────────────────────────────────────────────────
+
+/**
+ * First PROTECTED_PATHS glob a path matches, checking both the path as written
+ * and its symlink-resolved form. With `removes`, a directory whose path is a
+ * literal prefix of a glob (`.github` for `.github/workflows/**`) counts too,
+ * since deleting or moving it takes the protected files along.
+ * Returns null if the path is not protected.
+ */
+function protectedGlob(absPath, workspaceRoot, removes = false) {
+  const real = safePath(absPath);
+  const realRoot = safePath(workspaceRoot);
+  const matches = (g, p, root) => {
+    if (matchGlob(g, p, root)) return true;
+    if (!removes) return false;
+    const literalPrefix = resolveGlob(g, root).split(/[*?[{]/)[0];
+    return literalPrefix.startsWith(p.replace(/\/$/, "") + "/");
+  };
+  return PROTECTED_PATHS.find((g) => matches(g, absPath, workspaceRoot) || matches(g, real, realRoot)) ?? null;
+}
+
+/** Policy decision for a write to a protected path (PROTECTED_PATHS_MODE). */
+function protectedWriteDecision(absPath, glob) {
+  if (PROTECTED_PATHS_MODE === "ask") {
+    return { decision: "ask", reason: `Write to protected path requires approval: ${absPath} (${glob})`, gate: "ask" };
+  }
+  return { decision: "deny", reason: `Write to protected path denied: ${absPath} (${glob})`, gate: "protected" };
+}
+
+/**
+ * Find a shell write (redirect or write operand) to a protected path.
+ * Returns { path, glob } or null.
+ */
+function findProtectedShellWrite(invocations, workspaceRoot, baseDir) {
+  if (PROTECTED_PATHS.length === 0) return null;
+  for (const inv of invocations) {
+    const dirs = invocationDirs(inv, baseDir);
+    const targets = [
+      ...fileOperands(inv).filter((op) => op.mode === "rw"),
+      ...inv.redirects.filter(isWriteRedirect).map((r) => ({ path: r.target.value })),
+    ];
+    for (const { path, removes } of targets) {
+      for (const abs of resolveArg(path, dirs)) {
+        const glob = abs && protectedGlob(abs, workspaceRoot, removes);
+        if (glob) return { path: abs, glob };
+      }
     }
   }
+  return null;
+}
+
+// ── Credential Access ───────────────────────────────────────────────────────
+//
+// Credentials must never be readable by the agent: environment dumps,
+// /proc/<pid>/environ, git's credential stores and the token behind
+// GIT_ASKPASS or the http.extraheader that session-manager's _gitAuthEnv
+// passes to git. These checks run before policy rules, so no rule can allow them.
+
+// Environment variables holding credentials. GITHUB_TOKEN may be set in the
+// Copilot CLI's environment; GIT_CONFIG_VALUE_<n> carries the git auth header.
+const SECRET_VAR_RE = /^(?:[A-Z0-9_]*(?:TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*|GIT_ASKPASS|SSH_ASKPASS|GIT_CONFIG_(?:KEY|VALUE)_\d+|GIT_CONFIG_PARAMETERS)$/;
+
+// Process environments: /proc/self/environ, /proc/1234/task/1234/environ, /proc/$$/environ
+const PROC_ENVIRON_RE = /\/proc\/[^/\s]+\/(?:task\/[^/\s]+\/)?environ\b/;
+
+// Credential stores of git (credential-store), curl/git (netrc) and the gh CLI
+const CREDENTIAL_FILE_RE = /(?:^|[/=])(?:\.git-credentials|\.netrc|_netrc)$|\/\.config\/git\/credentials$|\/\.config\/gh\/hosts\.ya?ml$/;
+
+// git config keys that hold or produce credentials
+const CREDENTIAL_CONFIG_RE = /credential|extraheader|askpass|token|password/i;
 
-  // 2. Output redirection to absolute paths outside workspace
-  const redirectRe = />{1,2}\s*(?:"(\/[^"]+)"|\'(\/[^\']+)\'|(\/[^\s;&|><"'`]+))/g;
-  for (const m of command.matchAll(redirectRe)) {
-    const p = m[1] || m[2] || m[3];
-    if (!p || SAFE_PATHS_RE.test(p)) continue;
-    if (!isInsideWorkspace(p, workspaceRoot) && !isGranted(p, grants, "rw")) {
-      return { path: p, reason: `Shell file write (redirect) outside workspace denied: ${p}` };
+// Canonical credential keys a `--get-regexp` pattern or `--get-urlmatch`
+// section is checked against — a pattern that matches any of them dumps them
+const CREDENTIAL_CONFIG_KEYS = [
+  "http.extraheader", "http.https://github.com/.extraheader",
+  "credential.helper", "credential.username", "credential.https://github.com.helper",
+  "core.askpass", "github.token", "user.password",
+];
+
+// git config options that consume the following argument
+const GIT_CONFIG_OPTS_WITH_VALUE = new Set(["-f", "--file", "--blob", "-t", "--type", "--default", "--comment", "--value"]);
+
+// Whole-environment access in interpreter code (`print(os.environ)`,
+// `JSON.stringify(process.env)`, perl `%ENV`, ruby `ENV.to_h`)
+const ENV_DUMP_CODE_RE = /\bos\.environ\b(?!\s*(?:\[|\.get\b|\.setdefault\b))|\bprocess\.env\b(?!\s*[.[])|%ENV\b|\bENV\.(?:to_h|to_a|each|inspect|keys|values)\b/;
+
+/**
+ * Names of the parameters a word expands (`$X`, `${X}`, `${X:-y}`), skipping
+ * single-quoted text unless `quotes` is false (heredoc bodies). Indirect
+ * expansion (`${!name}`, `${!prefix*}`) is reported as "!".
+ */
+function expandedVars(text, quotes = true) {
+  const names = [];
+  let inDouble = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "\\") { i++; continue; }
+    if (quotes && ch === "'" && !inDouble) {
+      const end = text.indexOf("'", i + 1);
+      i = end < 0 ? text.length : end;
+      continue;
     }
+    if (quotes && ch === '"') { inDouble = !inDouble; continue; }
+    if (ch !== "$") continue;
+    const m = /^\$(?:\{(!?)([A-Za-z_]\w*)|([A-Za-z_]\w*))/.exec(text.slice(i));
+    if (m) names.push(m[1] ? "!" : m[2] ?? m[3]);
+  }
+  return names;
+}
+
+/** Why a git invocation exposes credentials, or null. */
+function gitCredentialAccess(inv) {
+  const { index, sub, configs } = gitSubcommand(inv);
+  if (configs.some((c) => /^credential\b/i.test(c))) return "git -c credential.* overrides the credential helper";
+  if (!sub) return null;
+  if (sub === "credential" || sub.startsWith("credential-")) return `git ${sub} reads stored credentials`;
+  const rest = inv.argv.slice(index + 1);
+  if (sub === "var" && rest.includes("-l")) return "git var -l prints the git configuration";
+  if (sub !== "config") return null;
+  const flags = optionFlags(rest);
+  const positional = positionalArgs(inv, GIT_CONFIG_OPTS_WITH_VALUE, index + 1).map((i) => inv.argv[i]);
+  if (flags.has("-l") || flags.has("--list") || positional[0] === "list") {
+    return "git config --list prints the git configuration, including the auth header";
+  }
+  const action = ["get", "set", "unset", "get-urlmatch"].includes(positional[0]) ? positional.shift() : null;
+  const key = positional[0];
+  if (!key) return null;
+
+  // `--get-regexp` / `get --regexp` (also with `--all`) print every key the pattern matches
+  if (flags.has("--get-regexp") || (action === "get" && flags.has("--regexp"))) {
+    let pattern;
+    try { pattern = new RegExp(key, "i"); } catch { return `git config --get-regexp ${key} cannot be statically verified`; }
+    const hit = CREDENTIAL_CONFIG_KEYS.find((k) => pattern.test(k));
+    return hit ? `git config --get-regexp ${key} prints credential settings (${hit})` : null;
   }
 
-  // 3. curl/wget data exfiltration with file reference (@file)
-  const exfilRe = /\b(?:curl|wget)\b[^;&|]*?(?:-[dF]\s*@|--data[-\w]*[\s=]+@|--upload-file\s+)(?:"(\/[^"]+)"|\'(\/[^\']+)\'|(\/[^\s;&|><"'`]+))/gi;
-  for (const m of command.matchAll(exfilRe)) {
-    const p = m[1] || m[2] || m[3];
-    if (!p || SAFE_PATHS_RE.test(p)) continue;
-    if (!isInsideWorkspace(p, workspaceRoot) && !isGranted(p, grants, "ro")) {
-      return { path: p, reason: `Data exfiltration via file upload denied: ${p}` };
+  // `--get-urlmatch http <url>` / `get --url=<url> http` print a whole section
+  if (flags.has("--get-urlmatch") || action === "get-urlmatch" || (action === "get" && flags.has("--url"))) {
+    const section = key.toLowerCase();
+    if (!section.includes(".") && CREDENTIAL_CONFIG_KEYS.some((k) => k.startsWith(`${section}.`))) {
+      return `git config --get-urlmatch ${key} prints credential settings`;
     }
   }
 
+  if (CREDENTIAL_CONFIG_RE.test(key)) return `git config ${key} touches credential settings`;
+  return null;
+}
+
+/**
+ * Why an invocation would expose credentials, or null.
+ * @param {Invocation} inv
+ * @param {Array<string|null>} dirs - Directories the invocation may run in
+ */
+function credentialAccess(inv, dirs) {
+  const args = inv.argv.slice(1);
+  const names = args.filter((a) => !a.startsWith("-"));
+
+  // Environment dumps
+  switch (inv.name) {
+    case "env":
+    case "printenv":
+      return `${inv.name} prints environment variables`;
+    case "export":
+    case "declare":
+    case "typeset":
+    case "local":
+    case "readonly":
+      if (names.length === 0 && !args.some((a) => /^-[a-zA-Z]*[fF]/.test(a))) return `${inv.name} without names prints variables`;
+      if (args.some((a) => /^-[a-zA-Z]*p/.test(a)) && names.some((n) => SECRET_VAR_RE.test(n))) return `${inv.name} -p prints a secret variable`;
+      break;
+    case "set":
+      if (args.length === 0) return "set without arguments prints all variables";
+      break;
+    case "ps":
+      // BSD-style `e` shows each process's environment (`ps e`, `ps auxe`)
+      if (/^[a-zA-Z]*e[a-zA-Z]*$/.test(args[0] ?? "")) return "ps e prints process environments";
+      break;
+    case "gh":
+      if (args[0] === "auth" && (args[1] === "token" ||
+        (args[1] === "status" && (optionFlags(args).has("-t") || optionFlags(args).has("--show-token"))))) {
+        return "gh auth prints the GitHub token";
+      }
+      break;
+    case "git": {
+      const git = gitCredentialAccess(inv);
+      if (git) return git;
+      break;
+    }
+  }
+
+  // Expansions of secret variables, in arguments, assignments and here-strings/heredocs
+  const texts = [...inv.words, ...inv.assignments].map((w) => [w.raw, true]);
+  for (const r of inv.redirects) {
+    if (r.op === "<<" || r.op === "<<-") {
+      if (!r.target.quoted) texts.push([r.body ?? "", false]);
+    } else {
+      texts.push([r.target.raw, true]);
+    }
+  }
+  for (const [text, quotes] of texts) {
+    for (const name of expandedVars(text, quotes)) {
+      if (name === "!") return "indirect variable expansion cannot be verified";
+      if (SECRET_VAR_RE.test(name)) return `$${name} holds a credential`;
+    }
+  }
+
+  // Interpreter code reading the whole environment or a secret variable by name
+  if (INTERPRETERS_RE.test(inv.name)) {
+    for (const code of args) {
+      if (ENV_DUMP_CODE_RE.test(code)) return `${inv.name} code reads the whole environment`;
+      const secret = (code.match(/[A-Z][A-Z0-9_]{2,}/g) || []).find((n) => SECRET_VAR_RE.test(n));
+      if (secret) return `${inv.name} code reads ${secret}`;
+    }
+  }
+
+  // Process environments and credential files
+  const targets = [...inv.words.slice(1), ...inv.redirects.filter((r) => !HEREDOC_OPS.has(r.op)).map((r) => r.target)];
+  if (inv.script) targets.push(inv.script);
+  for (const w of targets) {
+    const environ = PROC_ENVIRON_RE.exec(w.value);
+    if (environ) return `${environ[0]} holds a process environment`;
+    // echo/printf only print the name (e.g. when adding it to .gitignore)
+    if (inv.name === "echo" || inv.name === "printf") continue;
+    if (isCredentialFile(w.value)) return `${w.value} is a credential store`;
+    if (w.dynamic || w.value.startsWith("-")) continue;
+    for (const abs of resolveArg(w.value, dirs)) {
+      if (abs && isCredentialFile(abs)) return `${abs} is a credential store`;
+    }
+  }
+  return null;
+}
+
+/** Whether a path (as written or symlink-resolved) is a credential file or process environment. */
+function isCredentialFile(p) {
+  if (CREDENTIAL_FILE_RE.test(p) || PROC_ENVIRON_RE.test(p)) return true;
+  if (!isAbsolute(p)) return false;
+  const real = safePath(p);
+  return CREDENTIAL_FILE_RE.test(real) || PROC_ENVIRON_RE.test(real);
+}
+
+/**
+ * Find credential access in a tool use. Returns a reason or null.
+ */
+function findCredentialAccess(category, toolArgs, workspaceRoot, invocations) {
+  if (category === "shell") {
+    const baseDir = shellBaseDir(toolArgs, workspaceRoot);
+    for (const inv of invocations) {
+      const reason = credentialAccess(inv, invocationDirs(inv, baseDir));
+      if (reason) return reason;
+    }
+    return null;
+  }
+  const p = extractPath(toolArgs);
+  if (p && isCredentialFile(resolve(workspaceRoot, p))) return `${p} holds credentials`;
   return null;
 }
 
 // ── Tool Name Classification ────────────────────────────────────────────────
 
-const SHELL_TOOLS = new Set(["shell", "bash", "run_in_terminal", "terminal"]);
+const SHELL_TOOLS = new Set(["shell", "bash", "write_bash", "run_in_terminal", "terminal"]);
 const READ_TOOLS = new Set([
   "read_file",
   "list_directory",
@@ -227,6 +1402,9 @@ const READ_TOOLS = new Set([
   "grep_search",
   "file_search",
   "semantic_search",
+  "view",
+  "glob",
+  "grep",
 ]);
 const WRITE_TOOLS = new Set([
   "write_file",
@@ -235,7 +1413,30 @@ const WRITE_TOOLS = new Set([
   "replace_string_in_file",
   "edit_file",
   "rename_file",
+  "create",
+  "edit",
+  "str_replace_editor",
 ]);
+const NETWORK_TOOLS = new Set(["web_fetch", "fetch", "fetch_webpage"]);
+// Agent bookkeeping without file, shell or network access
+const INTERNAL_TOOLS = new Set(["report_intent", "think", "update_todo", "read_bash", "stop_bash", "list_bash"]);
+
+/**
+ * Category of a tool: "shell", "read", "write", "network", "internal" or
+ * "other" (unclassified — handled by UNKNOWN_TOOL_MODE). TOOL_CATEGORIES
+ * entries take precedence over the built-in lists.
+ */
+export function toolCategory(toolName) {
+  for (const [name, category] of TOOL_CATEGORIES) {
+    if (name === toolName || (name.includes("*") && globToRegExp(name).test(toolName))) return category;
+  }
+  if (SHELL_TOOLS.has(toolName)) return "shell";
+  if (READ_TOOLS.has(toolName)) return "read";
+  if (WRITE_TOOLS.has(toolName)) return "write";
+  if (NETWORK_TOOLS.has(toolName)) return "network";
+  if (INTERNAL_TOOLS.has(toolName)) return "internal";
+  return "other";
+}
 
 /**
  * Extract file path from tool arguments (handles different arg shapes).
@@ -258,6 +1459,13 @@ function extractCommand(toolArgs) {
   return toolArgs?.command || toolArgs?.cmd || toolArgs?.input || "";
 }
 
+/**
+ * Extract the URL a network tool fetches.
+ */
+function extractUrl(toolArgs) {
+  return toolArgs?.url || toolArgs?.uri || toolArgs?.href || null;
+}
+
 /**
  * Extract working directory from tool arguments.
  */
@@ -265,41 +1473,205 @@ function extractCwd(toolArgs) {
   return toolArgs?.cwd || toolArgs?.workingDirectory || null;
 }
 
+// ── Declarative Rules ───────────────────────────────────────────────────────
+
+const HEREDOC_OPS = new Set(["<<", "<<-", "<<<"]);
+
+/**
+ * Absolute paths a tool use touches, for matching rule path globs.
+ * Shell commands contribute their non-option literal arguments and redirect
+ * targets, resolved against each working directory they may run in.
+ */
+function toolPaths(toolName, toolArgs, workspaceRoot, invocations) {
+  if (toolCategory(toolName) !== "shell") {
+    const p = extractPath(toolArgs);
+    return p ? [resolve(workspaceRoot, p)] : [];
+  }
+  const baseDir = shellBaseDir(toolArgs, workspaceRoot);
+  const paths = [];
+  const add = (p, dirs) => {
+    for (const abs of resolveArg(p, dirs)) if (abs) paths.push(abs);
+  };
+  for (const inv of invocations) {
+    const dirs = invocationDirs(inv, baseDir);
+    for (const w of inv.words.slice(1)) {
+      if (w.dynamic || !w.value || w.value.startsWith("-")) continue;
+      add(w.value, dirs);
+    }
+    for (const r of inv.redirects) {
+      if (HEREDOC_OPS.has(r.op) || r.target.dynamic || /^(?:\d+|-)$/.test(r.target.value)) continue;
+      add(r.target.value, dirs);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Find the first rule matching a tool use. All conditions a rule sets
+ * (tools, command, paths) must match. A deny or ask rule matches if any
+ * command or path of the call matches; an allow rule only if every one does,
+ * so `npm test && git push` is not allowed by a rule for `npm test`.
+ */
+function findMatchingRule(rules, toolName, toolArgs, workspaceRoot, invocations) {
+  if (!rules?.length) return null;
+  const category = toolCategory(toolName);
+  let paths = null;
+  const matches = (rule, list, test) => rule.action === "allow"
+    ? list.length > 0 && list.every(test)
+    : list.some(test);
+
+  for (const rule of rules) {
+    if (rule.tools && !rule.tools.some((t) =>
+      t === "*" || t === toolName || t === category || (t.includes("*") && globToRegExp(t).test(toolName))
+    )) continue;
+
+    if (rule.command) {
+      if (category !== "shell") continue;
+      const lines = invocations.length > 0
+        ? invocations.map((inv) => inv.argv.join(" "))
+        : [extractCommand(toolArgs)];
+      if (!matches(rule, lines, (line) => rule.command.test(line))) continue;
+    }
+
+    if (rule.paths) {
+      paths ??= toolPaths(toolName, toolArgs, workspaceRoot, invocations);
+      if (!matches(rule, paths, (p) => rule.paths.some((g) => matchGlob(g, p, workspaceRoot)))) continue;
+    }
+
+    return rule;
+  }
+  return null;
+}
+
+/** Whether an allow rule names a path (see withRuleGrants). */
+function ruleCoversPath(rule, absPath, workspaceRoot) {
+  return !!rule?.paths && rule.paths.some((g) => matchGlob(g, absPath, workspaceRoot));
+}
+
+/**
+ * The grants plus an rw grant for each path glob of an allow rule, so the
+ * workspace gates accept exactly the paths the rule names.
+ */
+function withRuleGrants(grants, rule, workspaceRoot) {
+  if (!rule.paths) return grants;
+  const merged = new Map(rule.paths.map((g) => [resolveGlob(g, workspaceRoot), { mode: "rw", expiry: Infinity, scope: "ttl" }]));
+  for (const [key, grant] of grants) merged.set(key, grant);
+  return merged;
+}
+
 // ── Main Policy Decision ────────────────────────────────────────────────────
 
 /**
  * Evaluate a tool use against the policy rules.
  *
- * Returns: { decision: "allow"|"deny", reason?: string, gate?: "push"|"outside" }
+ * Declarative rules (see policy-rules.mjs) are consulted first; a matching
+ * deny or ask rule decides. A matching allow rule does not replace the
+ * built-in gates: the push, history-rewrite and workspace gates still run,
+ * with the paths the rule names treated as granted. It lifts the approval
+ * gates (protected paths it names, egress, destructive commands, unknown tools).
+ *
+ * Resolves to { decision: "allow"|"deny"|"ask", reason?: string, gate?: "push"|"outside"|"egress"|"protected"|"ask"|"rule"|"unknown"|"credentials", rule?: string, highRisk?: string[], destinations?: Array<{ remote: string|null, branch: string|null }>, path?: string, grants?: string[] }
+ * `highRisk` lists why a push or ask request needs the stricter approval flow.
+ * `destinations` lists the remote branches a push targets (branch null = unknown).
+ * `path` is the absolute path an "outside" denial is about, if known (for grant requests).
+ * `grants` lists the keys of the grants an allowed tool use relied on.
  */
-export function evaluateToolUse(toolName, toolArgs, workspaceRoot, grants) {
+export async function evaluateToolUse(toolName, toolArgs, workspaceRoot, grants, rules = []) {
+  const usedGrants = new Set();
+  const result = await evaluate(toolName, toolArgs, workspaceRoot, grants, rules, usedGrants);
+  // Paths allowed by a rule are not grants
+  for (const key of usedGrants) if (!grants.has(key)) usedGrants.delete(key);
+  if (result.decision === "allow" && usedGrants.size > 0) result.grants = [...usedGrants];
+  return result;
+}
+
+/** evaluateToolUse without the result decoration; collects matched grants in usedGrants. */
+async function evaluate(toolName, toolArgs, workspaceRoot, grants, rules, usedGrants) {
+  const category = toolCategory(toolName);
+  let invocations = [];
+  if (category === "shell") {
+    const cmd = extractCommand(toolArgs);
+    const analysis = analyzeShell(cmd);
+    if (analysis.error) {
+      log.warn("Shell command could not be parsed", { command: cmd, error: analysis.error });
+      return {
+        decision: "deny",
+        reason: `Shell command could not be parsed for policy checks (${analysis.error}). Simplify the command and retry.`,
+      };
+    }
+    invocations = analysis.invocations;
+  }
+
+  // ── Credentials: never readable, not even through a policy rule ────────
+  const credential = findCredentialAccess(category, toolArgs, workspaceRoot, invocations);
+  if (credential) {
+    log.warn("Credential access denied", { tool: toolName, reason: credential });
+    return { decision: "deny", reason: `Credential access denied: ${credential}`, gate: "credentials" };
+  }
+
+  // ── Declarative rules (channel overrides, then policy file) ─────────────
+  const rule = findMatchingRule(rules, toolName, toolArgs, workspaceRoot, invocations);
+  if (rule) log.info("Policy rule matched", { rule: rule.id, action: rule.action, tool: toolName });
+  const allowRule = rule?.action === "allow" ? rule : null;
+  if (allowRule) grants = withRuleGrants(grants, allowRule, workspaceRoot);
+  const allow = () => (allowRule ? { decision: "allow", rule: allowRule.id } : { decision: "allow" });
+  if (rule && !allowRule) {
+    return {
+      decision: rule.action,
+      reason: rule.reason || (rule.action === "ask"
+        ? `Policy rule ${rule.id} requires approval`
+        : `Blocked by policy rule ${rule.id}`),
+      gate: "rule",
+      rule: rule.id,
+    };
+  }
+
   // ── Shell commands ──────────────────────────────────────────────────────
-  if (SHELL_TOOLS.has(toolName)) {
+  if (category === "shell") {
     const cmd = extractCommand(toolArgs);
 
-    // Hard Gate A: git push (checks compound commands & subshells)
-    if (isGitPushCommand(cmd)) {
-      log.warn("Push blocked — requires approval", { command: cmd });
+    // Hard Gate A: git push (checks every command in the syntax tree)
+    if (isGitPushCommand(cmd, invocations)) {
+      const highRisk = pushRiskReasons(invocations);
+      const destinations = await pushDestinations(invocations, shellBaseDir(toolArgs, workspaceRoot));
+      log.warn("Push blocked — requires approval", { command: cmd, highRisk, destinations });
       return {
         decision: "deny",
         reason: `git push requires Discord approval. Command: ${cmd}`,
         gate: "push",
+        destinations,
+        ...(highRisk.length > 0 ? { highRisk } : {}),
       };
     }
 
     // Check CWD if explicitly provided
-    const cwd = extractCwd(toolArgs);
-    if (cwd && !isInsideWorkspace(cwd, workspaceRoot) && !isGranted(cwd, grants, "ro")) {
+    const baseDir = shellBaseDir(toolArgs, workspaceRoot);
+    if (!isInsideWorkspace(baseDir, workspaceRoot) && !isGranted(baseDir, grants, "ro", usedGrants)) {
       return {
         decision: "deny",
-        reason: `Shell working directory is outside workspace: ${cwd}`,
+        reason: `Shell working directory is outside workspace: ${baseDir}`,
         gate: "outside",
+        path: baseDir,
       };
     }
 
-    // Scan for ALL cd's into paths outside workspace
-    for (const cdMatch of cmd.matchAll(/\b(?:cd|pushd)\s+(?:-[A-Za-z]+\s+)*(?:--\s+)?(?:"([^"]+)"|'([^']+)'|([^\s;&|]+))/g)) {
-      const rawTarget = cdMatch[1] || cdMatch[2] || cdMatch[3];
+    // Check ALL cd/pushd targets for paths outside workspace, relative to
+    // the directory each one runs in
+    for (const inv of invocations) {
+      if (inv.name !== "cd" && inv.name !== "pushd") continue;
+      let i = 1;
+      while (i < inv.words.length && /^-[LPe@]+$/.test(inv.argv[i])) i++;
+      if (inv.argv[i] === "--") i++;
+      const target = inv.words[i];
+      // Bare cd goes to $HOME — outside the workspace
+      if (!target) {
+        return {
+          decision: "deny",
+          reason: "Shell cd without a target (home directory) is not allowed",
+          gate: "outside",
+        };
+      }
+      const rawTarget = target.value;
       // Block cd - / pushd - — shell navigates to previous directory which may be outside workspace
       if (rawTarget === "-") {
         return {
@@ -309,7 +1681,7 @@ export function evaluateToolUse(toolName, toolArgs, workspaceRoot, grants) {
         };
       }
       // Block tilde expansion — shell expands ~ / ~/ / ~user to home dirs, bypassing resolve()
-      if (rawTarget.startsWith("~")) {
+      if (target.tilde) {
         return {
           decision: "deny",
           reason: `Shell cd with tilde expansion is not allowed: ${rawTarget}`,
@@ -317,75 +1689,213 @@ export function evaluateToolUse(toolName, toolArgs, workspaceRoot, grants) {
         };
       }
       // Block cd with shell variables or command substitution — cannot statically resolve
-      if (rawTarget.startsWith("$") || rawTarget.includes("${") || rawTarget.includes("$(") || rawTarget.includes("`")) {
+      if (target.dynamic) {
         return {
           decision: "deny",
           reason: `Shell cd with variable/command expansion is not allowed: ${rawTarget}`,
           gate: "outside",
         };
       }
-      const cdTarget = resolve(workspaceRoot, rawTarget);
-      if (!isInsideWorkspace(cdTarget, workspaceRoot) && !isGranted(cdTarget, grants, "ro")) {
-        return {
-          decision: "deny",
-          reason: `Shell cd target is outside workspace: ${cdTarget}`,
-          gate: "outside",
-        };
+      for (const cdTarget of resolveArg(rawTarget, invocationDirs(inv, baseDir))) {
+        if (cdTarget === null) {
+          return {
+            decision: "deny",
+            reason: `Shell cd from an unknown working directory is not allowed: ${rawTarget}`,
+            gate: "outside",
+          };
+        }
+        if (!isInsideWorkspace(cdTarget, workspaceRoot) && !isGranted(cdTarget, grants, "ro", usedGrants)) {
+          return {
+            decision: "deny",
+            reason: `Shell cd target is outside workspace: ${cdTarget}`,
+            gate: "outside",
+            path: cdTarget,
+          };
+        }
       }
     }
 
     // Check for file operations on paths outside workspace
-    const fileAccess = checkShellFileAccess(cmd, workspaceRoot, grants);
+    const fileAccess = checkShellFileAccess(invocations, workspaceRoot, grants, baseDir, usedGrants);
     if (fileAccess) {
       log.warn("Shell file access denied", { command: cmd, path: fileAccess.path });
       return {
         decision: "deny",
         reason: fileAccess.reason,
         gate: "outside",
+        ...(isAbsolute(fileAccess.path) ? { path: fileAccess.path } : {}),
       };
     }
 
-    return { decision: "allow" };
+    // Protected workspace paths (CI workflows, env files, lockfiles, ...)
+    const protectedWrite = findProtectedShellWrite(invocations, workspaceRoot, baseDir);
+    if (protectedWrite && !ruleCoversPath(allowRule, protectedWrite.path, workspaceRoot)) {
+      log.warn("Shell write to protected path", { command: cmd, path: protectedWrite.path, glob: protectedWrite.glob });
+      return protectedWriteDecision(protectedWrite.path, protectedWrite.glob);
+    }
+
+    // Network egress: destinations must be on the allowlist
+    const egress = allowRule ? null : checkEgress(invocations);
+    if (egress) {
+      log.warn("Network egress blocked", { command: cmd, host: egress.host });
+      if (EGRESS_MODE === "ask") {
+        return { decision: "ask", reason: egress.reason, gate: "ask" };
+      }
+      return { decision: "deny", reason: egress.reason, gate: "egress" };
+    }
+
+    // Ask gate: destructive or publishing commands need an admin's approval
+    for (const inv of invocations) {
+      const rewrite = await publishedHistoryRewrite(inv, baseDir);
+      if (rewrite) {
+        log.warn("History rewrite requires approval", { command: cmd, rewrite });
+        return {
+          decision: "ask",
+          reason: `Command requires approval: ${rewrite}`,
+          gate: "ask",
+          highRisk: [rewrite],
+        };
+      }
+      const danger = allowRule ? null : dangerousInvocation(inv);
+      if (danger) {
+        log.warn("Command requires approval", { command: cmd, danger });
+        return {
+          decision: "ask",
+          reason: `Command requires approval: ${danger}`,
+          gate: "ask",
+        };
+      }
+    }
+
+    return allow();
   }
 
   // ── File read operations ────────────────────────────────────────────────
-  if (READ_TOOLS.has(toolName)) {
+  if (category === "read") {
     const filePath = extractPath(toolArgs);
-    if (!filePath) return { decision: "allow" }; // no path → allow (e.g. search by content)
+    if (!filePath) return allow(); // no path → allow (e.g. search by content)
 
     if (isInsideWorkspace(filePath, workspaceRoot)) {
-      return { decision: "allow" };
+      return allow();
     }
-    if (isGranted(filePath, grants, "ro")) {
-      return { decision: "allow" };
+    if (isGranted(filePath, grants, "ro", usedGrants)) {
+      return allow();
     }
     log.warn("Read access denied", { path: filePath });
     return {
       decision: "deny",
       reason: `Read access outside workspace denied: ${filePath}`,
       gate: "outside",
+      path: resolve(workspaceRoot, filePath),
     };
   }
 
   // ── File write operations ───────────────────────────────────────────────
-  if (WRITE_TOOLS.has(toolName)) {
+  if (category === "write") {
     const filePath = extractPath(toolArgs);
-    if (!filePath) return { decision: "allow" };
+    if (!filePath) return allow();
 
-    if (isInsideWorkspace(filePath, workspaceRoot)) {
-      return { decision: "allow" };
-    }
-    if (isGranted(filePath, grants, "rw")) {
-      return { decision: "allow" };
+    if (isInsideWorkspace(filePath, workspaceRoot) || isGranted(filePath, grants, "rw", usedGrants)) {
+      const absPath = resolve(workspaceRoot, filePath);
+      const glob = protectedGlob(absPath, workspaceRoot, toolName === "delete_file" || toolName === "rename_file");
+      if (glob && !ruleCoversPath(allowRule, absPath, workspaceRoot)) {
+        log.warn("Write to protected path", { path: absPath, glob });
+        return protectedWriteDecision(absPath, glob);
+      }
+      return allow();
     }
     log.warn("Write access denied", { path: filePath });
     return {
       decision: "deny",
       reason: `Write access outside workspace denied: ${filePath}`,
       gate: "outside",
+      path: resolve(workspaceRoot, filePath),
     };
   }
 
-  // ── Everything else: auto-approve ───────────────────────────────────────
-  return { decision: "allow" };
+  // ── Network tools: the URL's host must be on the egress allowlist ───────
+  if (category === "network") {
+    if (EGRESS_MODE === "allow" || allowRule) return allow();
+    const url = extractUrl(toolArgs);
+    const host = url ? urlHost(url) : null;
+    if (host && isHostAllowed(host)) return allow();
+    const reason = host
+      ? `Network access to ${host} is not on the egress allowlist (${toolName})`
+      : `Network destination cannot be statically verified: ${toolName}`;
+    log.warn("Network egress blocked", { tool: toolName, host });
+    if (EGRESS_MODE === "ask") {
+      return { decision: "ask", reason, gate: "ask" };
+    }
+    return { decision: "deny", reason, gate: "egress" };
+  }
+
+  if (category === "internal") return allow();
+
+  // ── Unclassified tools (MCP, new SDK tools): UNKNOWN_TOOL_MODE ──────────
+  if (UNKNOWN_TOOL_MODE === "allow" || allowRule) return allow();
+  log.warn("Unclassified tool", { tool: toolName, mode: UNKNOWN_TOOL_MODE });
+  if (UNKNOWN_TOOL_MODE === "ask") {
+    return { decision: "ask", reason: `Unclassified tool ${toolName} requires approval`, gate: "ask" };
+  }
+  return {
+    decision: "deny",
+    reason: `Unclassified tool ${toolName} is not allowed — an admin must map it to a category (TOOL_CATEGORIES) or allow it with a policy rule`,
+    gate: "unknown",
+  };
+}
+
+/**
+ * Dry run of evaluateToolUse for `/policy test`: the decision plus the
+ * absolute paths the tool use touches (with their symlink-resolved form) and,
+ * for shell commands, the directories its commands run in (null = unknown).
+ *
+ * @returns {Promise<{ result: object, paths: Array<{path: string, real: string}>, dirs: Array<string|null> }>}
+ */
+export async function explainToolUse(toolName, toolArgs, workspaceRoot, grants, rules = []) {
+  const result = await evaluateToolUse(toolName, toolArgs, workspaceRoot, grants, rules);
+  let invocations = [];
+  if (toolCategory(toolName) === "shell") {
+    const analysis = analyzeShell(extractCommand(toolArgs));
+    if (analysis.error) return { result, paths: [], dirs: [] };
+    invocations = analysis.invocations;
+  }
+
+  const paths = [...new Set(toolPaths(toolName, toolArgs, workspaceRoot, invocations))]
+    .map((p) => ({ path: p, real: safePath(p) }));
+  const baseDir = shellBaseDir(toolArgs, workspaceRoot);
+  const dirs = [...new Set(invocations.flatMap((inv) => invocationDirs(inv, baseDir)))];
+  return { result, paths, dirs };
+}
+
+/**
+ * Absolute paths a tool use writes to: the path of a write tool, or the write
+ * redirects and write operands of a shell command. Paths that cannot be
+ * resolved are skipped. Used for per-task write budgets.
+ * @returns {string[]}
+ */
+export function writtenPaths(toolName, toolArgs, workspaceRoot) {
+  const category = toolCategory(toolName);
+  if (category === "write") {
+    const p = extractPath(toolArgs);
+    return p ? [resolve(workspaceRoot, p)] : [];
+  }
+  if (category !== "shell") return [];
+  const analysis = analyzeShell(extractCommand(toolArgs));
+  if (analysis.error) return [];
+
+  const baseDir = shellBaseDir(toolArgs, workspaceRoot);
+  const paths = new Set();
+  for (const inv of analysis.invocations) {
+    const dirs = invocationDirs(inv, baseDir);
+    const targets = [
+      ...fileOperands(inv).filter((op) => op.mode === "rw").map((op) => op.path),
+      ...inv.redirects.filter(isWriteRedirect).map((r) => r.target.value),
+    ];
+    for (const target of targets) {
+      for (const abs of resolveArg(target, dirs)) {
+        if (abs && !SAFE_PATHS_RE.test(abs)) paths.add(abs);
+      }
+    }
+  }
+  return [...paths];
 }
@@ -0,0 +1,195 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, mkdirSync, realpathSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+// config.mjs exits without a token; keep the policy logs out of the test output
+process.env.DISCORD_TOKEN ??= "test";
+process.env.LOG_LEVEL ??= "error";
+const { parseShell, collectInvocations } = await import("./shell-parser.mjs");
+const { evaluateToolUse } = await import("./policy-engine.mjs");
+
+const ws = realpathSync(mkdtempSync(join(tmpdir(), "policy-test-")));
+mkdirSync(join(ws, "sub"));
+after(() => rmSync(ws, { recursive: true, force: true }));
+
+const invocations = (command) => collectInvocations(parseShell(command));
+const find = (command, name) => invocations(command).find((inv) => inv.name === name);
+
+// ── Shell parser: wrappers and unwrapping ───────────────────────────────────
+
+const UNWRAPPED = [
+  ["sh -c 'git push origin main'", ["git", "push", "origin", "main"], ["sh"]],
+  ["bash -lc \"npm test && git push\"", ["git", "push"], ["bash"]],
+  ["eval \"git push origin\"", ["git", "push", "origin"], ["eval"]],
+  ["ls | xargs git push", ["git", "push"], ["xargs"]],
+  ["find . -name x -exec git push \\;", ["git", "push"], ["find"]],
+  ["env FOO=1 nice -n 5 command git push", ["git", "push"], ["env", "nice", "command"]],
+  ["timeout 5 git push", ["git", "push"], ["timeout"]],
+  ["bash <<EOF\ngit push\nEOF", ["git", "push"], ["bash"]],
+];
+
+for (const [command, argv, wrappers] of UNWRAPPED) {
+  test(`parser unwraps ${JSON.stringify(command)}`, () => {
+    const git = find(command, "git");
+    assert.ok(git, "git invocation found");
+    assert.deepEqual(git.argv, argv);
+    assert.deepEqual(git.wrappers, wrappers);
+  });
+}
+
+test("parser marks xargs arguments as coming from stdin", () => {
+  assert.equal(find("ls | xargs git push", "git").stdinArgs, true);
+});
+
+test("parser reads the script of xargs sh -c from stdin", () => {
+  assert.deepEqual(find("echo 'git push origin main' | xargs -0 sh -c", "git").argv, ["git", "push", "origin", "main"]);
+  assert.equal(find("ls | xargs sh -c", "sh").opaque, true, "script from another command is opaque");
+});
+
+test("parser finds commands in substitutions and unquoted heredocs", () => {
+  const gits = invocations("echo $(git push) `git push` <(git push)").filter((inv) => inv.name === "git");
+  assert.equal(gits.length, 3);
+  assert.ok(find("cat <<EOF\n$(git push)\nEOF", "git"));
+  assert.equal(find("cat <<'EOF'\n$(git push)\nEOF", "git"), undefined, "quoted heredoc body is data");
+});
+
+const CWDS = [
+  ["cd sub && cat ../x", [["sub"]]],
+  ["pushd a && pushd b && popd && cat y", [["a"]]],
+  ["env -C /tmp cat x", [["/tmp"]]],
+  ["find . -execdir cat {} +", [null]],
+];
+
+for (const [command, cwds] of CWDS) {
+  test(`parser tracks working directories in ${JSON.stringify(command)}`, () => {
+    const cat = find(command, "cat");
+    assert.deepEqual(cat.cwds.map((dirs) => dirs && dirs.map((w) => w.value)), cwds);
+  });
+}
+
+test("parser rejects unterminated quotes", () => {
+  assert.throws(() => parseShell("echo 'unterminated"), /Unterminated/);
+});
+
+// ── evaluateToolUse: built-in gates ─────────────────────────────────────────
+
+const GATES = [
+  ["npm test", "allow", undefined],
+  ["git push", "deny", "push"],
+  ["sh -c 'git push'", "deny", "push"],
+  ["eval 'git push'", "deny", "push"],
+  ["find . -exec git push \\;", "deny", "push"],
+  ["ls | xargs git push", "deny", "push"],
+  ["bash <<EOF\ngit push\nEOF", "deny", "push"],
+  ["echo push | xargs git", "deny", "push"],
+  ["echo pr | xargs gh", "deny", "push"],
+  ["echo 'git push origin main' | xargs -0 sh -c", "deny", "push"],
+  ["ls | xargs git add", "allow", undefined],
+  ["echo $(git push)", "deny", "push"],
+  ["cd sub && cat ../x", "allow", undefined],
+  ["cd sub && cat ../../x", "deny", "outside"],
+  ["pushd sub && popd && cat ../x", "deny", "outside"],
+  ["source x.sh && cat y", "deny", "outside"],
+  ["cd /etc", "deny", "outside"],
+  ["cd", "deny", "outside"],
+  ["cat /etc/hosts", "deny", "outside"],
+  ["sh -c 'cat /etc/hosts'", "deny", "outside"],
+  ["eval 'cat /etc/hosts'", "deny", "outside"],
+  ["cat x > /etc/x", "deny", "outside"],
+  ["echo /etc/shadow | xargs cat", "deny", "outside"],
+  ["echo 'cat /etc/shadow' | xargs -0 sh -c", "deny", "outside"],
+  ["ls | xargs sh -c", "deny", "outside"],
+  ["cat ~/.git-credentials", "deny", "credentials"],
+  ["git config --get-regexp http", "deny", "credentials"],
+  ["git config --get-regexp credential", "deny", "credentials"],
+  ["git config get --all --regexp .", "deny", "credentials"],
+  ["git config --get-all http.extraheader", "deny", "credentials"],
+  ["git config --get-urlmatch http https://github.com", "deny", "credentials"],
+  ["git config --show-origin --list", "deny", "credentials"],
+  ["git config --get-regexp '^remote\\.'", "allow", undefined],
+  ["git clone https://github.com/x/y", "allow", undefined],
+  ["curl https://example.com", "deny", "egress"],
+  ["rm -rf build", "ask", "ask"],
+  ["echo 'unterminated", "deny", undefined],
+];
+
+for (const [command, decision, gate] of GATES) {
+  test(`policy: ${JSON.stringify(command)} → ${decision}${gate ? ` (${gate})` : ""}`, async () => {
+    const result = await evaluateToolUse("bash", { command }, ws, new Map());
+    assert.equal(result.decision, decision);
+    assert.equal(result.gate, gate);
+  });
+}
+
+test("policy: git state is read from the invocation's repository", async () => {
+  // ws/repo has one commit that is already on its remote; ws itself is no repository
+  const repo = join(ws, "repo");
+  const git = (...args) => execFileSync("git", args, {
+    cwd: repo,
+    stdio: "ignore",
+    env: { ...process.env, GIT_AUTHOR_NAME: "t", GIT_AUTHOR_EMAIL: "t@t", GIT_COMMITTER_NAME: "t", GIT_COMMITTER_EMAIL: "t@t" },
+  });
+  mkdirSync(repo);
+  git("init", "-q", "-b", "work");
+  git("commit", "-q", "--allow-empty", "-m", "init");
+  git("update-ref", "refs/remotes/origin/main", "HEAD");
+
+  const evaluate = (command) => evaluateToolUse("bash", { command }, ws, new Map());
+  for (const command of ["cd repo && git commit --amend", "pushd repo && git commit --amend", "git -C repo commit --amend"]) {
+    assert.equal((await evaluate(command)).decision, "ask", command);
+    assert.deepEqual((await evaluate(command)).highRisk, ["amends a published commit (commit --amend)"], command);
+  }
+  assert.equal((await evaluate("git commit --amend")).highRisk, undefined, "no repository at the workspace root");
+  assert.deepEqual((await evaluate("find . -execdir git commit --amend \\;")).highRisk, ["rewrites history in a repository that cannot be statically verified"]);
+  assert.deepEqual((await evaluate("cd repo && git push origin HEAD")).destinations, [{ remote: "origin", branch: "work" }]);
+});
+
+test("policy: a grant allows an outside read and is reported", async () => {
+  const grants = new Map([["/etc", { mode: "ro", expiry: Date.now() + 60_000, scope: "ttl" }]]);
+  const result = await evaluateToolUse("bash", { command: "cat /etc/hosts" }, ws, grants);
+  assert.equal(result.decision, "allow");
+  assert.deepEqual(result.grants, ["/etc"]);
+  assert.equal((await evaluateToolUse("bash", { command: "cat x > /etc/x" }, ws, grants)).decision, "deny", "ro grant does not allow writes");
+});
+
+// ── evaluateToolUse: policy rules ───────────────────────────────────────────
+
+const { compileRule } = await import("./policy-rules.mjs");
+const RULES = [
+  compileRule({ id: "tests", action: "allow", tools: ["shell"], command: "^npm test\\b" }, "file"),
+  compileRule({ id: "docker", action: "allow", tools: ["shell"], command: "^docker run\\b" }, "file"),
+  compileRule({ id: "docs", action: "allow", tools: ["read"], paths: ["/usr/share/doc/**"] }, "file"),
+  compileRule({ id: "no-curl", action: "deny", tools: ["shell"], command: "^curl\\b" }, "file"),
+];
+
+const RULE_CASES = [
+  ["bash", { command: "npm test" }, "allow", undefined, "tests"],
+  // An allow rule must match every command of a compound call
+  ["bash", { command: "npm test && git push --force origin main" }, "deny", "push", undefined],
+  ["bash", { command: "npm test; cat /etc/shadow" }, "deny", "outside", undefined],
+  // An allow rule lifts the destructive-command approval, not the workspace gate
+  ["bash", { command: "docker run alpine" }, "allow", undefined, "docker"],
+  ["bash", { command: "docker run -v /etc:/x alpine && rm -rf /" }, "deny", "outside", undefined],
+  // Paths named by an allow rule count as granted; others stay outside
+  ["read_file", { path: "/usr/share/doc/x/README" }, "allow", undefined, "docs"],
+  ["read_file", { path: "/etc/hosts" }, "deny", "outside", undefined],
+  // A deny rule matches if any command matches
+  ["bash", { command: "npm test && curl https://example.com" }, "deny", "rule", "no-curl"],
+];
+
+for (const [tool, args, decision, gate, rule] of RULE_CASES) {
+  test(`rules: ${tool} ${JSON.stringify(args.command ?? args.path)} → ${decision}`, async () => {
+    const result = await evaluateToolUse(tool, args, ws, new Map(), RULES);
+    assert.equal(result.decision, decision);
+    assert.equal(result.gate, gate);
+    assert.equal(result.rule, rule);
+  });
+}
+
+test("rules: paths allowed by a rule are not reported as grants", async () => {
+  const result = await evaluateToolUse("read_file", { path: "/usr/share/doc/x/README" }, ws, new Map(), RULES);
+  assert.equal(result.grants, undefined);
+});
@@ -0,0 +1,238 @@
+import { readFileSync, statSync } from "node:fs";
+import { POLICY_FILE } from "./config.mjs";
+import {
+  insertPolicyRule,
+  deletePolicyRule,
+  deletePolicyRulesByChannel,
+  getAllPolicyRules,
+} from "./state.mjs";
+import { createLogger } from "./logger.mjs";
+
+const log = createLogger("policy-rules");
+
+// ── Rule Format ─────────────────────────────────────────────────────────────
+//
+// POLICY_FILE holds an ordered list of rules, either as a bare array or as
+// { "rules": [...] }:
+//
+//   { "id": "no-publish", "action": "deny", "tools": ["shell"],
+//     "command": "^npm publish\\b", "reason": "Publishing is done by CI" }
+//   { "action": "allow", "tools": ["read"], "paths": ["/usr/share/doc/**"] }
+//
+// action   "allow" | "deny" | "ask"
+// tools    tool names, categories ("shell", "read", "write", "network",
+//          "internal", "other"; see toolCategory) or wildcards ("mcp_*", "*")
+// command  regex tested against each command in a shell tool call
+// paths    globs (see glob.mjs) tested against the paths a tool call touches
+// reason   message shown to the agent on deny/ask
+//
+// Every condition a rule sets must match. deny/ask match if any command or
+// path of a call does; allow only if all of them do. An allow rule never
+// skips the push and workspace gates (see evaluateToolUse). Per-channel rules
+// (stored in SQLite) are evaluated before the file rules; the first match wins.
+
+const RULE_ACTIONS = new Set(["allow", "deny", "ask"]);
+
+/**
+ * @typedef {object} PolicyRule
+ * @property {string} id
+ * @property {"allow"|"deny"|"ask"} action
+ * @property {string[]|null} tools
+ * @property {RegExp|null} command
+ * @property {string[]|null} paths
+ * @property {string|null} reason
+ * @property {"file"|"channel"} source
+ * @property {object} spec - The rule as written, for display and persistence
+ */
+
+function toList(value, field) {
+  if (value == null) return null;
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || !list.every((v) => typeof v === "string" && v.trim())) {
+    throw new Error(`"${field}" must be a non-empty string or list of strings`);
+  }
+  return list.map((v) => v.trim());
+}
+
+/**
+ * Validate and compile a rule spec. Throws on invalid input.
+ * @returns {PolicyRule}
+ */
+export function compileRule(spec, source, fallbackId) {
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("rule must be an object");
+  }
+  if (!RULE_ACTIONS.has(spec.action)) {
+    throw new Error(`"action" must be one of ${[...RULE_ACTIONS].join(", ")}`);
+  }
+
+  const tools = toList(spec.tools ?? spec.tool, "tools");
+  const paths = toList(spec.paths ?? spec.path, "paths");
+  let command = null;
+  if (spec.command != null) {
+    if (typeof spec.command !== "string" || !spec.command) {
+      throw new Error(`"command" must be a non-empty regex string`);
+    }
+    try {
+      command = new RegExp(spec.command);
+    } catch (err) {
+      throw new Error(`"command" is not a valid regex: ${err.message}`);
+    }
+  }
+  if (!tools && !command && !paths) {
+    throw new Error(`rule needs at least one of "tools", "command" or "paths"`);
+  }
+
+  return {
+    id: typeof spec.id === "string" && spec.id.trim() ? spec.id.trim() : fallbackId,
+    action: spec.action,
+    tools,
+    command,
+    paths,
+    reason: typeof spec.reason === "string" && spec.reason.trim() ? spec.reason.trim() : null,
+    source,
+    spec,
+  };
+}
+
+// ── Policy File ─────────────────────────────────────────────────────────────
+
+/** Compiled file rules, reloaded whenever POLICY_FILE's mtime changes. */
+let fileRules = [];
+let fileMtime = null;
+
+function refreshFileRules() {
+  let mtime;
+  try {
+    mtime = statSync(POLICY_FILE).mtimeMs;
+  } catch {
+    if (fileMtime !== null) log.info("Policy file removed", { path: POLICY_FILE });
+    fileRules = [];
+    fileMtime = null;
+    return;
+  }
+  if (mtime === fileMtime) return;
+  fileMtime = mtime;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(POLICY_FILE, "utf-8"));
+  } catch (err) {
+    // Keep the previous rules rather than silently dropping all of them
+    log.error("Policy file could not be parsed, keeping previous rules", { path: POLICY_FILE, error: err.message });
+    return;
+  }
+
+  const specs = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(specs)) {
+    log.error("Policy file must contain a rule array or { rules: [...] }", { path: POLICY_FILE });
+    return;
+  }
+
+  const rules = [];
+  specs.forEach((spec, i) => {
+    try {
+      rules.push(compileRule(spec, "file", `file#${i + 1}`));
+    } catch (err) {
+      log.warn("Invalid policy rule skipped", { path: POLICY_FILE, index: i + 1, error: err.message });
+    }
+  });
+  fileRules = rules;
+  log.info("Policy file loaded", { path: POLICY_FILE, rules: rules.length });
+}
+
+/** Rules from POLICY_FILE (reloaded if the file changed). */
+export function getFileRules() {
+  refreshFileRules();
+  return fileRules;
+}
+
+// ── Channel Overrides ───────────────────────────────────────────────────────
+
+/**
+ * In-memory per-channel rules, in evaluation order.
+ * Map< channelId, Array<{ dbId: number, rule: PolicyRule }> >
+ */
+const channelRules = new Map();
+
+/** Generated id for a channel rule without an explicit id. */
+function positionId(index) {
+  return `channel#${index + 1}`;
+}
+
+// Restore channel rules from DB on startup
+for (const row of getAllPolicyRules()) {
+  const list = channelRules.get(row.channel_id) || [];
+  try {
+    list.push({ dbId: row.id, rule: compileRule(JSON.parse(row.rule), "channel", positionId(list.length)) });
+  } catch (err) {
+    log.warn("Stored policy rule is invalid, skipping", { channelId: row.channel_id, id: row.id, error: err.message });
+  }
+  channelRules.set(row.channel_id, list);
+}
+
+/** Per-channel rules, in evaluation order. */
+export function getChannelRules(channelId) {
+  return (channelRules.get(channelId) || []).map((e) => e.rule);
+}
+
+/**
+ * Append a rule to a channel's overrides. Throws on an invalid spec.
+ * @returns {PolicyRule}
+ */
+export function addChannelRule(channelId, spec) {
+  const list = channelRules.get(channelId) || [];
+  const rule = compileRule(spec, "channel", positionId(list.length));
+  const dbId = insertPolicyRule(channelId, JSON.stringify(spec));
+  list.push({ dbId, rule });
+  channelRules.set(channelId, list);
+  log.info("Channel policy rule added", { channelId, rule: rule.id, action: rule.action });
+  return rule;
+}
+
+/**
+ * Remove a channel rule by its 1-based position.
+ * @returns {PolicyRule|null} The removed rule, or null if out of range
+ */
+export function removeChannelRule(channelId, position) {
+  const list = channelRules.get(channelId) || [];
+  const entry = list[position - 1];
+  if (!entry) return null;
+  deletePolicyRule(entry.dbId);
+  list.splice(position - 1, 1);
+  // Keep generated ids in sync with positions
+  list.forEach((e, i) => {
+    if (e.rule.spec.id == null) e.rule.id = positionId(i);
+  });
+  log.info("Channel policy rule removed", { channelId, rule: entry.rule.id });
+  return entry.rule;
+}
+
+/**
+ * Remove all rules of a channel.
+ * @returns {number} Number of removed rules
+ */
+export function clearChannelRules(channelId) {
+  channelRules.delete(channelId);
+  const removed = deletePolicyRulesByChannel(channelId);
+  if (removed > 0) log.info("Channel policy rules cleared", { channelId, removed });
+  return removed;
+}
+
+/**
+ * Effective rule list for a channel: channel overrides first, then the policy file.
+ * @returns {PolicyRule[]}
+ */
+export function getPolicyRules(channelId) {
+  return [...getChannelRules(channelId), ...getFileRules()];
+}
+
+/** One-line summary of a rule for Discord. */
+export function describeRule(rule) {
+  const parts = [`**${rule.action}**`];
+  if (rule.tools) parts.push(`Tools: \`${rule.tools.join(", ")}\``);
+  if (rule.command) parts.push(`Befehl: \`${rule.command.source}\``);
+  if (rule.paths) parts.push(`Pfade: \`${rule.paths.join(", ")}\``);
+  if (rule.reason) parts.push(`— ${rule.reason}`);
+  return parts.join(" · ");
+}
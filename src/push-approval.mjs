@@ -3,25 +3,53 @@ import {
   ActionRowBuilder,
   ButtonBuilder,
   ButtonStyle,
+  StringSelectMenuBuilder,
+  AttachmentBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
   MessageFlags,
 } from "discord.js";
 import { execFile } from "node:child_process";
 import { promisify } from "node:util";
 import { redactSecrets } from "./secret-scanner.mjs";
-import { ADMIN_ROLE_IDS, ADMIN_USER_ID } from "./config.mjs";
+import {
+  ADMIN_ROLE_IDS, ADMIN_USER_ID, HIGH_RISK_ROLE_IDS, AUTO_APPROVE_PUSH, PUSH_RULES, PUSH_QUORUM,
+  PUSH_APPROVAL_TIMEOUT_MS, PUSH_APPROVAL_REMINDERS, PUSH_ESCALATION_ROLE_IDS, PUSH_APPROVAL_ON_TIMEOUT,
+} from "./config.mjs";
+import { globToRegExp } from "./glob.mjs";
+import { insertPendingPush, deletePendingPush, getAllPendingPush } from "./state.mjs";
+import { recordApproval } from "./audit.mjs";
+import { createLogger } from "./logger.mjs";
 
+const log = createLogger("approval");
 const execFileAsync = promisify(execFile);
 
-/** Active collectors per channel, so they can be cancelled on /reset. */
+/** Active collectors per channel (a Set each), so they can be cancelled on /stop and /reset. */
 const _activeCollectors = new Map();
 
-/** Cancel any active push-approval collector for a channel. */
+function trackCollector(channelId, collector) {
+  if (!channelId) return;
+  if (!_activeCollectors.has(channelId)) _activeCollectors.set(channelId, new Set());
+  _activeCollectors.get(channelId).add(collector);
+}
+
+function untrackCollector(channelId, collector) {
+  const collectors = _activeCollectors.get(channelId);
+  if (!collectors) return;
+  collectors.delete(collector);
+  if (collectors.size === 0) _activeCollectors.delete(channelId);
+}
+
+/** Message IDs of approval embeds a collector in this process is listening on. */
+const _liveApprovals = new Set();
+
+/** Cancel every active push/command approval and grant request collector for a channel. */
 export function cancelPushApproval(channelId) {
-  const collector = _activeCollectors.get(channelId);
-  if (collector) {
-    collector.stop("reset");
-    _activeCollectors.delete(channelId);
-  }
+  const collectors = _activeCollectors.get(channelId);
+  if (!collectors) return;
+  _activeCollectors.delete(channelId);
+  for (const collector of collectors) collector.stop("reset");
 }
 
 async function getBranch(cwd) {
@@ -34,43 +62,329 @@ async function getBranch(cwd) {
 }
 
 /**
- * Collects git info and posts a push-approval embed with buttons.
- * Returns a Promise that resolves to { approved: boolean }.
- * @param {string} [channelId] - Channel ID for collector tracking
+ * Mark an approval embed as high-risk: red color, title tag and a field
+ * listing the reasons and the extra approval step.
  */
-export async function createPushApprovalRequest(channel, workspacePath, command, channelId) {
-  let diffSummary = "";
-  let logSummary = "";
+function highlightHighRisk(embed, highRisk) {
+  const requirement = HIGH_RISK_ROLE_IDS
+    ? `Nur ${[...HIGH_RISK_ROLE_IDS].map((id) => `<@&${id}>`).join(", ")} dürfen freigeben.`
+    : "Erfordert eine zweite Bestätigung.";
+  return embed
+    .setTitle(`${embed.data.title} — ⚠️ HIGH RISK`)
+    .setColor(0x8b0000)
+    .spliceFields(0, 0, {
+      name: "⚠️ Hohes Risiko",
+      value: `${highRisk.map((r) => `• ${r}`).join("\n")}\n${requirement}`.slice(0, 1024),
+      inline: false,
+    });
+}
 
+// ── Push Diff ───────────────────────────────────────────────────────────────
+
+/** Largest patch attached to a push approval (Discord's upload limit is 10 MB). */
+const MAX_PATCH_BYTES = 8 * 1024 * 1024;
+/** Discord allows 25 options per select menu. */
+const MAX_FILE_OPTIONS = 25;
+
+function git(cwd, args, timeout = 10_000) {
+  return execFileAsync("git", args, { cwd, encoding: "utf-8", timeout, maxBuffer: 2 * MAX_PATCH_BYTES });
+}
+
+/**
+ * Find the commit a push is compared against: the merge-base with the
+ * branch's upstream, else with the channel's base branch on origin, else
+ * with origin's default branch. Falls back to the previous commit.
+ * @returns {Promise<{ base: string, label: string } | null>}
+ */
+async function resolveDiffBase(cwd, baseBranch) {
+  const candidates = ["@{upstream}", baseBranch && `origin/${baseBranch}`, "origin/HEAD"].filter(Boolean);
+  for (const ref of candidates) {
+    try {
+      const base = (await git(cwd, ["merge-base", "HEAD", ref], 5_000)).stdout.trim();
+      if (!base) continue;
+      const label = ref === "@{upstream}"
+        ? (await git(cwd, ["rev-parse", "--abbrev-ref", ref], 5_000)).stdout.trim()
+        : ref;
+      return { base, label };
+    } catch { /* ref does not exist — try the next one */ }
+  }
   try {
-    const { stdout } = await execFileAsync("git", ["diff", "--stat", "HEAD~1"], {
-      cwd: workspacePath,
-      encoding: "utf-8",
-      timeout: 10_000,
-    });
-    diffSummary = redactSecrets(stdout.slice(0, 900)).clean;
+    const base = (await git(cwd, ["rev-parse", "--verify", "HEAD~1"], 5_000)).stdout.trim();
+    return { base, label: "HEAD~1" };
   } catch {
+    return null;
+  }
+}
+
+/**
+ * Changed files between base and HEAD, as { path, added, deleted }
+ * (added/deleted are null for binary files).
+ */
+async function diffFiles(cwd, base) {
+  const { stdout } = await git(cwd, ["diff", "--numstat", "-z", "--no-renames", base, "HEAD"]);
+  return stdout.split("\0").filter(Boolean).map((record) => {
+    const [added, deleted, path] = record.split("\t");
+    return {
+      path,
+      added: added === "-" ? null : Number(added),
+      deleted: deleted === "-" ? null : Number(deleted),
+    };
+  });
+}
+
+/** Redacted patch between base and HEAD (optionally for one file), truncated to MAX_PATCH_BYTES. */
+async function redactedPatch(cwd, base, file = null) {
+  const args = ["diff", "--no-color", base, "HEAD"];
+  if (file) args.push("--", file);
+  const { stdout } = await git(cwd, args, 30_000);
+  const patch = redactSecrets(stdout).clean;
+  return Buffer.byteLength(patch) > MAX_PATCH_BYTES
+    ? Buffer.from(patch).subarray(0, MAX_PATCH_BYTES).toString("utf-8") + "\n… (gekürzt)\n"
+    : patch;
+}
+
+/** Select menu option label: the path, shortened from the left to Discord's 100 characters. */
+function fileLabel(path) {
+  return path.length > 100 ? "…" + path.slice(-99) : path;
+}
+
+function fileStats(f) {
+  return f.added === null ? "binär" : `+${f.added} −${f.deleted}`;
+}
+
+/** Reply ephemerally with one file's diff; long diffs are attached. */
+async function replyFileDiff(interaction, cwd, base, file) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+  let patch;
+  try {
+    patch = await redactedPatch(cwd, base, file);
+  } catch (err) {
+    await interaction.editReply(`🥀 Diff für \`${file}\` nicht verfügbar: ${err.message}`).catch(() => {});
+    return;
+  }
+  if (!patch.trim()) {
+    await interaction.editReply(`\`${file}\`: keine Änderungen.`).catch(() => {});
+    return;
+  }
+  if (patch.length <= 1900) {
+    await interaction.editReply(`\`\`\`diff\n${patch.replaceAll("```", "`\u200b``")}\n\`\`\``).catch(() => {});
+    return;
+  }
+  const name = `${file.split("/").pop()}.diff`;
+  await interaction.editReply({
+    content: `\`${file}\` — Diff im Anhang.`,
+    files: [new AttachmentBuilder(Buffer.from(patch, "utf-8"), { name })],
+  }).catch(() => {});
+}
+
+// ── Push Rules & Quorum ─────────────────────────────────────────────────────
+
+function branchMatches(pattern, branch) {
+  return pattern === branch || (pattern.includes("*") && globToRegExp(pattern).test(branch));
+}
+
+/** First entry for the branch: entries for the repo win over plain entries. */
+function findBranchEntry(entries, projectName, branch) {
+  return (
+    entries.find((e) => e.repo === projectName && branchMatches(e.branch, branch)) ??
+    entries.find((e) => !e.repo && branchMatches(e.branch, branch))
+  );
+}
+
+const RULE_STRICTNESS = { allow: 0, ask: 1, deny: 2 };
+
+/**
+ * What to do with a push (PUSH_RULES): the strictest action over all its
+ * destinations. Branches no entry matches follow AUTO_APPROVE_PUSH; unknown
+ * destinations always need an approval.
+ * @param {string} projectName - Project name of the channel's repo
+ * @param {Array<{ remote: string|null, branch: string|null }>} destinations - From the policy engine
+ * @returns {{ action: "allow"|"ask"|"deny", branch: string|null }} branch — the destination that decided
+ */
+export function getPushRule(projectName, destinations) {
+  let result = null;
+  for (const { branch } of destinations.length > 0 ? destinations : [{ branch: null }]) {
+    const action = branch
+      ? findBranchEntry(PUSH_RULES, projectName, branch)?.action ?? (AUTO_APPROVE_PUSH ? "allow" : "ask")
+      : "ask";
+    if (!result || RULE_STRICTNESS[action] > RULE_STRICTNESS[result.action]) result = { action, branch };
+  }
+  return result;
+}
+
+/**
+ * How many distinct approvals a push needs (PUSH_QUORUM): the highest over
+ * the base branch it lands on — the channel's base branch, else origin's
+ * default branch — and the branches it is pushed to.
+ * @param {string} projectName - Project name of the channel's repo
+ * @param {string|null} baseBranch - The channel's base branch (null = remote default)
+ * @param {Array<string|null>} [targetBranches] - Remote branches the push targets
+ * @returns {Promise<{ branch: string|null, approvals: number }>}
+ */
+export async function getPushQuorum(workspacePath, projectName, baseBranch, targetBranches = []) {
+  let base = baseBranch;
+  if (!base) {
     try {
-      const { stdout } = await execFileAsync("git", ["diff", "--stat"], {
-        cwd: workspacePath,
-        encoding: "utf-8",
-        timeout: 10_000,
-      });
-      diffSummary = redactSecrets(stdout.slice(0, 900)).clean;
-    } catch {
-      diffSummary = "(diff unavailable)";
+      const { stdout } = await git(workspacePath, ["symbolic-ref", "--short", "refs/remotes/origin/HEAD"], 5_000);
+      base = stdout.trim().replace(/^origin\//, "") || null;
+    } catch { /* no remote default known */ }
+  }
+  let result = { branch: base, approvals: 1 };
+  for (const branch of new Set([base, ...targetBranches])) {
+    if (!branch) continue;
+    const approvals = findBranchEntry(PUSH_QUORUM, projectName, branch)?.approvals ?? 1;
+    if (approvals > result.approvals) result = { branch, approvals };
+  }
+  return result;
+}
+
+// ── Verification ────────────────────────────────────────────────────────────
+
+/** One-line verdict of a pre-push verification run (see push-verify.mjs). */
+function verificationVerdict(result) {
+  const secs = Math.round(result.durationMs / 1000);
+  const cmd = result.command.slice(0, 200);
+  if (result.ok) return `✅ Bestanden — \`${cmd}\` (${secs} s)`;
+  if (result.timedOut) return `❌ Zeitüberschreitung — \`${cmd}\` (${secs} s)`;
+  return `❌ Fehlgeschlagen — \`${cmd}\` (Exit ${result.exitCode ?? "?"}, ${secs} s)`;
+}
+
+/** Last lines of the run's output, fitting an embed field next to the verdict. */
+function verificationTail(result, maxLen = 700) {
+  const tail = result.output.trim().slice(-maxLen).replaceAll("```", "`\u200b``");
+  return tail ? `\n\`\`\`\n${tail}\n\`\`\`` : "";
+}
+
+function verificationLog(result) {
+  return new AttachmentBuilder(Buffer.from(`$ ${result.command}\n${result.output}`, "utf-8"), {
+    name: "verify.log",
+    description: "Ausgabe der Pre-Push-Verifikation",
+  });
+}
+
+/**
+ * Post that a push was rejected because its verification failed, with the
+ * log attached (used when the repo's verification auto-rejects).
+ */
+export async function createVerificationNotice(channel, result) {
+  await channel.send({
+    content: `⛓️ **Push abgelehnt** — die Pre-Push-Verifikation ist fehlgeschlagen.\n${verificationVerdict(result)}${verificationTail(result, 1500)}`.slice(0, 2000),
+    files: [verificationLog(result)],
+  }).catch(() => {});
+}
+
+// ── Restarts ────────────────────────────────────────────────────────────────
+//
+// Collectors die with the process, and so does the task that asked to push.
+// Pending push approvals are kept in SQLite; on startup their embeds are
+// marked expired and the requester is told, so no dead buttons remain.
+
+/** Custom IDs of push approval components (buttons and the file menu). */
+const PUSH_COMPONENT_RE = /^push_(approve|confirm|reject|feedback|file)$/;
+
+function expiredEmbed(message) {
+  const embed = message.embeds?.[0];
+  if (!embed) return [];
+  return [EmbedBuilder.from(embed).setColor(0x71797e).setFooter({ text: "⌛ Abgelaufen — Nyx wurde neugestartet" })];
+}
+
+/**
+ * Expire push approvals left pending by a previous process: edit their
+ * embeds, notify the requester and record them in the audit log.
+ * @returns {Promise<number>} Number of expired approvals
+ */
+export async function expirePendingPushApprovals(client) {
+  const rows = getAllPendingPush();
+  for (const row of rows) {
+    deletePendingPush(row.message_id);
+    recordApproval(row.session_id ?? row.channel_id, row.task_id, "push", row.command, { approved: false, user: "(expired)" }, "bot restarted while waiting");
+    try {
+      const channel = await client.channels.fetch(row.channel_id);
+      const msg = await channel.messages.fetch(row.message_id);
+      await msg.edit({ embeds: expiredEmbed(msg), components: [] });
+      await channel.send(
+        `${row.user_id ? `<@${row.user_id}> ` : ""}⌛ Die Push-Freigabe für \`${row.command.slice(0, 200)}\` ist abgelaufen — ` +
+        "Nyx wurde neugestartet und der Task unterbrochen. Stoß ihn erneut an, um wieder pushen zu können."
+      );
+    } catch (err) {
+      log.warn("Could not expire pending push approval", { messageId: row.message_id, channelId: row.channel_id, error: err.message });
     }
   }
+  if (rows.length > 0) log.info("Expired pending push approvals", { count: rows.length });
+  return rows.length;
+}
 
+/**
+ * Answer a click on a push approval no collector listens to (e.g. one the
+ * startup pass could not edit): remove its buttons and tell the user.
+ * @returns {Promise<boolean>} True if the interaction was handled here
+ */
+export async function handleOrphanedApproval(interaction) {
+  if (!PUSH_COMPONENT_RE.test(interaction.customId ?? "")) return false;
+  if (!interaction.message || _liveApprovals.has(interaction.message.id)) return false;
+  deletePendingPush(interaction.message.id);
   try {
-    const { stdout } = await execFileAsync("git", ["log", "--oneline", "-5"], {
-      cwd: workspacePath,
-      encoding: "utf-8",
-      timeout: 5_000,
+    await interaction.update({ embeds: expiredEmbed(interaction.message), components: [] });
+    await interaction.followUp({
+      content: "⌛ Diese Push-Freigabe ist abgelaufen (Neustart) — der Task muss neu angestoßen werden.",
+      flags: MessageFlags.Ephemeral,
     });
-    logSummary = redactSecrets(stdout.slice(0, 500)).clean;
-  } catch {
-    logSummary = "(log unavailable)";
+  } catch {}
+  return true;
+}
+
+/**
+ * Collects git info and posts a push-approval embed with buttons. The diff is
+ * taken against the upstream or merge-base of the pushed branch; the full
+ * redacted patch is attached and a select menu shows single files.
+ * Returns a Promise that resolves to { approved: boolean, user: string, feedback?: string }
+ * (user lists all approvers when a quorum is required; feedback is the
+ * reviewer's text when rejected with feedback).
+ * @param {string} [channelId] - Channel ID for collector tracking
+ * @param {string[]|null} [highRisk] - Why the push is high-risk (force, delete); needs stricter approval
+ * @param {object} [opts]
+ * @param {string|null} [opts.baseBranch] - The channel's base branch, compared against if the branch has no upstream
+ * @param {{ branch: string|null, approvals: number }|null} [opts.quorum] - From getPushQuorum; approvals > 1 needs distinct approvers
+ * @param {object|null} [opts.verification] - Result of runVerification, shown on the embed with its log attached
+ * @param {number|null} [opts.taskId] - Task asking to push, kept with the pending approval for restarts
+ */
+export async function createPushApprovalRequest(channel, workspacePath, command, channelId, highRisk = null, { baseBranch = null, quorum = null, verification = null, taskId = null } = {}) {
+  const diffBase = await resolveDiffBase(workspacePath, baseBranch);
+  let diffName = "Diff";
+  let diffSummary = "(diff unavailable)";
+  let logName = "Commits";
+  let logSummary = "(log unavailable)";
+  let files = [];
+  const attachments = [];
+
+  if (diffBase) {
+    try {
+      files = await diffFiles(workspacePath, diffBase.base);
+      const stat = (await git(workspacePath, ["diff", "--stat=60", diffBase.base, "HEAD"])).stdout.trim();
+      diffSummary = stat
+        ? redactSecrets(stat.length > 900 ? stat.slice(0, 900) + "\n… (gekürzt)" : stat).clean
+        : "(keine Änderungen)";
+      const added = files.reduce((n, f) => n + (f.added ?? 0), 0);
+      const deleted = files.reduce((n, f) => n + (f.deleted ?? 0), 0);
+      diffName = `Diff gegen ${diffBase.label} (${files.length} Dateien, +${added} −${deleted})`.slice(0, 256);
+    } catch { /* keep "(diff unavailable)" */ }
+
+    try {
+      const { stdout } = await git(workspacePath, ["log", "--oneline", "-10", `${diffBase.base}..HEAD`], 5_000);
+      const { stdout: count } = await git(workspacePath, ["rev-list", "--count", `${diffBase.base}..HEAD`], 5_000);
+      logName = `Commits (${count.trim()})`;
+      logSummary = redactSecrets(stdout.slice(0, 500)).clean.trim() || "(keine neuen Commits)";
+    } catch { /* keep "(log unavailable)" */ }
+
+    if (files.length > 0) {
+      try {
+        const patch = await redactedPatch(workspacePath, diffBase.base);
+        attachments.push(new AttachmentBuilder(Buffer.from(patch, "utf-8"), {
+          name: "push.patch",
+          description: `Diff gegen ${diffBase.label}`,
+        }));
+      } catch { /* the embed still shows the stat */ }
+    }
   }
 
   const cleanCmd = redactSecrets(command.slice(0, 200)).clean;
@@ -82,71 +396,409 @@ export async function createPushApprovalRequest(channel, workspacePath, command,
       `Nyx will ausführen:\n\`\`\`\n${cleanCmd}\n\`\`\``
     )
     .addFields(
-      { name: "Letzte Commits", value: `\`\`\`\n${logSummary}\n\`\`\``, inline: false },
-      { name: "Diff", value: `\`\`\`\n${diffSummary}\n\`\`\``, inline: false },
+      { name: logName, value: `\`\`\`\n${logSummary}\n\`\`\``, inline: false },
+      { name: diffName, value: `\`\`\`\n${diffSummary}\n\`\`\``, inline: false },
       { name: "Branch", value: await getBranch(workspacePath), inline: true },
       { name: "Workspace", value: workspacePath, inline: true }
     )
     .setTimestamp();
 
+  if (verification) {
+    embed.spliceFields(0, 0, {
+      name: "Verifikation",
+      value: `${verificationVerdict(verification)}${verification.ok ? "" : verificationTail(verification)}`.slice(0, 1024),
+      inline: false,
+    });
+    if (!verification.ok) embed.setColor(0xb8860b);
+    attachments.push(verificationLog(verification));
+  }
+
+  if (highRisk?.length) highlightHighRisk(embed, highRisk);
+
+  const extraRows = [];
+  if (files.length > 0) {
+    const shown = files.slice(0, MAX_FILE_OPTIONS);
+    const placeholder = files.length > shown.length
+      ? `Datei ansehen (${shown.length} von ${files.length}, Rest im Patch)`
+      : "Datei ansehen…";
+    extraRows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId("push_file")
+        .setPlaceholder(placeholder)
+        .addOptions(shown.map((f, i) => ({ label: fileLabel(f.path), description: fileStats(f), value: String(i) })))
+    ));
+  }
+
+  return awaitApproval(channel, embed, channelId, {
+    prefix: "push",
+    title: "Push",
+    permission: "Push-Approval",
+    highRisk: !!highRisk?.length,
+    quorum: quorum?.approvals ?? 1,
+    quorumLabel: quorum?.branch ? `für \`${quorum.branch}\`` : "",
+    feedback: true,
+    files: attachments,
+    extraRows,
+    persist: { command: redactSecrets(command).clean, taskId },
+    timeoutMs: PUSH_APPROVAL_TIMEOUT_MS,
+    reminders: PUSH_APPROVAL_REMINDERS,
+    onTimeout: PUSH_APPROVAL_ON_TIMEOUT,
+    onSelect: (interaction) => replyFileDiff(interaction, workspacePath, diffBase.base, files[Number(interaction.values[0])].path),
+  });
+}
+
+/**
+ * Posts an approval embed for a single dangerous tool call (the "ask" gate).
+ * The agent blocks until an admin approves or rejects this exact command.
+ * Returns a Promise that resolves to { approved: boolean }.
+ * @param {string} reason - Why the command needs approval
+ * @param {string} [channelId] - Channel ID for collector tracking
+ * @param {string[]|null} [highRisk] - Why the command is high-risk (history rewrite); needs stricter approval
+ */
+export async function createCommandApprovalRequest(channel, workspacePath, command, reason, channelId, highRisk = null) {
+  const cleanCmd = redactSecrets(
+    command.length > 1800 ? command.slice(0, 1800) + "\n… (gekürzt)" : command
+  ).clean;
+
+  const embed = new EmbedBuilder()
+    .setTitle("🗡️ Command Approval")
+    .setColor(0x71797e)
+    .setDescription(
+      `Nyx will ausführen:\n\`\`\`\n${cleanCmd}\n\`\`\``
+    )
+    .addFields(
+      { name: "Grund", value: redactSecrets(reason.slice(0, 1000)).clean, inline: false },
+      { name: "Branch", value: await getBranch(workspacePath), inline: true },
+      { name: "Workspace", value: workspacePath || "(unknown)", inline: true }
+    )
+    .setTimestamp();
+
+  if (highRisk?.length) highlightHighRisk(embed, highRisk);
+
+  return awaitApproval(channel, embed, channelId, {
+    prefix: "ask",
+    title: "Command",
+    permission: "Befehls-Freigabe",
+    highRisk: !!highRisk?.length,
+  });
+}
+
+/**
+ * Posts a prompt when a task exhausted its tool budget. The agent blocks
+ * until an admin continues or aborts the task; unanswered prompts abort.
+ * Returns a Promise that resolves to { approved: boolean } (approved = continue).
+ * @param {string} reason - Which limit was hit
+ * @param {string[]} usage - Usage summary lines
+ * @param {string} [channelId] - Channel ID for collector tracking
+ */
+export async function createBudgetPrompt(channel, reason, usage, channelId) {
+  const embed = new EmbedBuilder()
+    .setTitle("⏸️ Task-Budget erreicht")
+    .setColor(0xb8860b)
+    .setDescription(`Nyx wurde angehalten: ${redactSecrets(reason.slice(0, 1000)).clean}`)
+    .addFields({ name: "Verbrauch", value: usage.join("\n").slice(0, 1024), inline: false })
+    .setFooter({ text: "Weiter erhöht das Budget um die konfigurierten Limits (siehe /budget)." })
+    .setTimestamp();
+
+  return awaitApproval(channel, embed, channelId, {
+    prefix: "budget",
+    title: "Task",
+    permission: "Budget-Freigabe",
+    approveLabel: "▶️ Weiter",
+    rejectLabel: "💀 Abbrechen",
+    decidedLabels: ["continued", "aborted"],
+  });
+}
+
+/** Lifetime of grants issued from a denial message, in minutes. */
+export const GRANT_REQUEST_TTL_MIN = 30;
+
+/** How long a denial message waits for a grant decision. */
+const GRANT_REQUEST_TIMEOUT_MS = 600_000;
+
+/**
+ * Posts an outside-workspace denial with buttons to grant the denied path
+ * read-only or read-write for GRANT_REQUEST_TTL_MIN minutes, or to deny it.
+ * The agent blocks until an admin decides; unanswered requests are denied
+ * after 10 minutes, or earlier when cancelPushApproval() runs on /stop,
+ * /reset or the task timeout. The caller adds the grant.
+ * Returns a Promise that resolves to { mode: "ro"|"rw"|null, user: string }.
+ * @param {string} content - Denial message (already redacted)
+ * @param {string} [channelId] - Channel ID for collector tracking
+ */
+export async function createGrantRequest(channel, content, channelId) {
+  const ids = { grant_ro: "ro", grant_rw: "rw", grant_deny: null };
   const row = new ActionRowBuilder().addComponents(
     new ButtonBuilder()
-      .setCustomId("push_approve")
-      .setLabel("💜 Approve")
-      .setStyle(ButtonStyle.Success),
+      .setCustomId("grant_ro")
+      .setLabel(`📖 Grant ro ${GRANT_REQUEST_TTL_MIN} min`)
+      .setStyle(ButtonStyle.Primary),
     new ButtonBuilder()
-      .setCustomId("push_reject")
-      .setLabel("🩸 Reject")
+      .setCustomId("grant_rw")
+      .setLabel(`✍️ Grant rw ${GRANT_REQUEST_TTL_MIN} min`)
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId("grant_deny")
+      .setLabel("🩸 Deny")
       .setStyle(ButtonStyle.Danger)
   );
 
   let msg;
   try {
-    msg = await channel.send({ embeds: [embed], components: [row] });
+    msg = await channel.send({ content, components: [row] });
+  } catch (err) {
+    return { mode: null, user: `(send failed: ${err.message})` };
+  }
+
+  return new Promise((resolve) => {
+    let decided = false;
+    const collector = msg.createMessageComponentCollector({
+      filter: (i) => i.customId in ids && canApprove(i, "Grant-Freigabe", ADMIN_ROLE_IDS),
+      time: GRANT_REQUEST_TIMEOUT_MS,
+    });
+
+    trackCollector(channelId, collector);
+
+    collector.on("collect", async (interaction) => {
+      decided = true;
+      const mode = ids[interaction.customId];
+      const label = mode
+        ? `💜 ${mode}-Grant für ${GRANT_REQUEST_TTL_MIN} min von ${interaction.user.tag}`
+        : `🩸 Verweigert von ${interaction.user.tag}`;
+      try {
+        await interaction.update({ content: `${content}\n\n${label}`.slice(0, 2000), components: [] });
+      } catch {}
+      collector.stop("decided");
+      resolve({ mode, user: interaction.user.tag });
+    });
+
+    collector.on("end", (_, reason) => {
+      untrackCollector(channelId, collector);
+      if (!decided) {
+        const cancelled = reason === "reset";
+        const label = cancelled ? "🌑 Task beendet — verweigert." : "⌛ Keine Entscheidung — verweigert.";
+        msg.edit({ content: `${content}\n\n${label}`.slice(0, 2000), components: [] }).catch(() => {});
+        resolve({ mode: null, user: cancelled ? "(cancelled)" : "(timeout)" });
+      }
+    });
+  });
+}
+
+// ── Shared approval flow ────────────────────────────────────────────────────
+
+/** How long a reviewer has to fill in the feedback modal. */
+const FEEDBACK_MODAL_TIMEOUT_MS = 300_000;
+
+/** Who may decide a request, as a mention: the approver roles, else the admin user. */
+function approverMention(roleIds) {
+  if (roleIds) return { content: [...roleIds].map((id) => `<@&${id}>`).join(" "), allowedMentions: { roles: [...roleIds] } };
+  if (ADMIN_USER_ID) return { content: `<@${ADMIN_USER_ID}>`, allowedMentions: { users: [ADMIN_USER_ID] } };
+  return { content: "", allowedMentions: { parse: [] } };
+}
+
+/** Ping the escalation roles under the request, or DM ADMIN_USER_ID a link to it. */
+async function escalate(msg, text) {
+  if (PUSH_ESCALATION_ROLE_IDS) {
+    const { content, allowedMentions } = approverMention(PUSH_ESCALATION_ROLE_IDS);
+    await msg.reply({ content: `${content} ${text}`, allowedMentions });
+  } else if (ADMIN_USER_ID) {
+    const admin = await msg.client.users.fetch(ADMIN_USER_ID);
+    await admin.send(`${text}\n${msg.url}`);
+  }
+}
+
+function buildFeedbackModal(customId) {
+  return new ModalBuilder()
+    .setCustomId(customId)
+    .setTitle("Ablehnen mit Feedback")
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("feedback")
+          .setLabel("Was soll Nyx ändern?")
+          .setPlaceholder("z.B. Commits squashen, Lockfile-Änderung entfernen")
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(1000)
+      )
+    );
+}
+
+/**
+ * RBAC check for approval buttons. Replies ephemerally and returns false if
+ * the clicking user may not decide.
+ * @param {Set<string>|null} roleIds - Roles allowed to decide (besides ADMIN_USER_ID)
+ */
+function canApprove(i, permission, roleIds) {
+  // Deny-by-default: if neither ADMIN_USER_ID nor approver roles are configured,
+  // nobody is allowed to approve.
+  if (!ADMIN_USER_ID && !roleIds) {
+    i.reply({ content: `\u26d3\ufe0f Kein Admin konfiguriert — ${permission} deaktiviert. Setze ADMIN_USER_ID oder ADMIN_ROLE_IDS.`, flags: MessageFlags.Ephemeral }).catch(() => {});
+    return false;
+  }
+  // In DMs (no member/roles), fall back to ADMIN_USER_ID check
+  const isAdminUser = ADMIN_USER_ID && i.user.id === ADMIN_USER_ID;
+  if (!isAdminUser && roleIds) {
+    const roles = i.member?.roles?.cache;
+    if (!roles || ![...roleIds].some((id) => roles.has(id))) {
+      i.reply({ content: `\u26d3\ufe0f Keine Berechtigung für ${permission}.`, flags: MessageFlags.Ephemeral }).catch(() => {});
+      return false;
+    }
+  }
+  if (!isAdminUser && !roleIds) {
+    i.reply({ content: `\u26d3\ufe0f Keine Berechtigung für ${permission}.`, flags: MessageFlags.Ephemeral }).catch(() => {});
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Send an approval embed with Approve/Reject buttons and wait for an admin.
+ * Unanswered requests are rejected after `timeoutMs` (10 minutes by default)
+ * unless `onTimeout` parks them; see `reminders` below.
+ *
+ * High-risk requests can only be approved by HIGH_RISK_ROLE_IDS if configured;
+ * otherwise an approval must be confirmed with a second click (or by a second
+ * approver when a quorum is required).
+ *
+ * With a quorum, the request is approved once that many distinct users
+ * approved; the embed shows the running tally. Any reject is a veto.
+ *
+ * With `feedback`, a third button rejects via a modal; the reviewer's text is
+ * returned as `feedback` so the agent can address it and ask again.
+ *
+ * With `reminders`, approvers are pinged halfway to the timeout and the request
+ * is escalated at three quarters. With `onTimeout: "park"` the request stays
+ * open after the timeout until someone decides or it is cancelled.
+ * @param {{ prefix: string, title: string, permission: string, highRisk?: boolean, quorum?: number, quorumLabel?: string, feedback?: boolean, approveLabel?: string, rejectLabel?: string, decidedLabels?: [string, string], files?: AttachmentBuilder[], extraRows?: ActionRowBuilder[], onSelect?: function, persist?: { command: string, taskId: number|null }, timeoutMs?: number, reminders?: boolean, onTimeout?: "reject"|"park" }} opts
+ *   prefix — button custom ID prefix, title — footer label, permission — RBAC message label,
+ *   quorum — distinct approvals needed, quorumLabel — shown next to the tally,
+ *   feedback — offer "reject with feedback",
+ *   approveLabel/rejectLabel — button labels, decidedLabels — footer verbs for approve/reject,
+ *   files — attachments, extraRows — component rows below the buttons,
+ *   onSelect — handles select menu interactions from extraRows (anyone may use them),
+ *   persist — { command, taskId } to keep the request in SQLite while it is pending (push only),
+ *   timeoutMs — how long to wait, reminders — remind and escalate before the timeout,
+ *   onTimeout — "reject" resolves as timed out, "park" keeps waiting
+ */
+async function awaitApproval(channel, embed, channelId, {
+  prefix, title, permission, highRisk = false, quorum = 1, quorumLabel = "", feedback = false,
+  approveLabel = "💜 Approve", rejectLabel = "🩸 Reject", decidedLabels = ["approved", "rejected"],
+  files = [], extraRows = [], onSelect = null, persist = null,
+  timeoutMs = 600_000, reminders = false, onTimeout = "reject",
+}) {
+  const approveId = `${prefix}_approve`;
+  const confirmId = `${prefix}_confirm`;
+  const rejectId = `${prefix}_reject`;
+  const feedbackId = `${prefix}_feedback`;
+  const roleIds = highRisk && HIGH_RISK_ROLE_IDS ? HIGH_RISK_ROLE_IDS : ADMIN_ROLE_IDS;
+  // Without approver roles only ADMIN_USER_ID can decide — a larger quorum could never be reached
+  if (!roleIds && quorum > 1) {
+    log.warn("Quorum capped at 1, no approver roles configured", { channelId, quorum });
+    quorum = 1;
+  }
+  const needsConfirm = highRisk && !HIGH_RISK_ROLE_IDS && quorum < 2;
+  /** Approvers so far: user ID → tag */
+  const approvers = new Map();
+
+  /** The embed with the running tally when a quorum is required. */
+  const tallied = () => {
+    const e = EmbedBuilder.from(embed);
+    if (quorum < 2) return e;
+    const names = [...approvers.values()].join(", ");
+    return e.addFields({
+      name: `Freigaben ${approvers.size}/${quorum}${quorumLabel ? ` ${quorumLabel}` : ""}`.slice(0, 256),
+      value: names ? `💜 ${names}`.slice(0, 1024) : "Noch keine — jede Ablehnung ist ein Veto.",
+      inline: false,
+    });
+  };
+
+  const rejectButton = new ButtonBuilder()
+    .setCustomId(rejectId)
+    .setLabel(rejectLabel)
+    .setStyle(ButtonStyle.Danger);
+  const feedbackButtons = feedback
+    ? [new ButtonBuilder().setCustomId(feedbackId).setLabel("✏️ Ablehnen mit Feedback").setStyle(ButtonStyle.Secondary)]
+    : [];
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(approveId)
+      .setLabel(approveLabel)
+      .setStyle(ButtonStyle.Success),
+    rejectButton,
+    ...feedbackButtons
+  );
+  const confirmRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(confirmId)
+      .setLabel("⚠️ Wirklich ausführen")
+      .setStyle(ButtonStyle.Danger),
+    rejectButton,
+    ...feedbackButtons
+  );
+
+  let msg;
+  try {
+    msg = await channel.send({ embeds: [tallied()], components: [row, ...extraRows], files });
   } catch (err) {
     return { approved: false, user: `(send failed: ${err.message})` };
   }
 
+  _liveApprovals.add(msg.id);
+  if (persist) {
+    try {
+      insertPendingPush(msg.id, msg.channelId, channelId, persist.taskId, persist.command);
+    } catch (err) {
+      log.warn("Could not persist pending push approval", { messageId: msg.id, error: err.message });
+    }
+  }
+
   return new Promise((resolve) => {
+    let decided = false;
     const collector = msg.createMessageComponentCollector({
       filter: (i) => {
-        if (i.customId !== "push_approve" && i.customId !== "push_reject") return false;
-        // RBAC: admins can approve/reject pushes
-        // Deny-by-default: if neither ADMIN_USER_ID nor ADMIN_ROLE_IDS are configured,
-        // nobody is allowed to approve pushes.
-        if (!ADMIN_USER_ID && !ADMIN_ROLE_IDS) {
-          i.reply({ content: "\u26d3\ufe0f Kein Admin konfiguriert — Push-Approval deaktiviert. Setze ADMIN_USER_ID oder ADMIN_ROLE_IDS.", flags: MessageFlags.Ephemeral }).catch(() => {});
-          return false;
-        }
-        // In DMs (no member/roles), fall back to ADMIN_USER_ID check
-        const isAdminUser = ADMIN_USER_ID && i.user.id === ADMIN_USER_ID;
-        if (!isAdminUser && ADMIN_ROLE_IDS) {
-          const roles = i.member?.roles?.cache;
-          if (!roles || ![...ADMIN_ROLE_IDS].some((id) => roles.has(id))) {
-            i.reply({ content: "\u26d3\ufe0f Keine Berechtigung für Push-Approval.", flags: MessageFlags.Ephemeral }).catch(() => {});
-            return false;
-          }
-        }
-        if (!isAdminUser && !ADMIN_ROLE_IDS) {
-          i.reply({ content: "\u26d3\ufe0f Keine Berechtigung für Push-Approval.", flags: MessageFlags.Ephemeral }).catch(() => {});
-          return false;
-        }
-        return true;
+        if (i.isStringSelectMenu()) return !!onSelect;
+        if (![approveId, confirmId, rejectId, feedbackId].includes(i.customId)) return false;
+        return canApprove(i, permission, roleIds);
       },
-      max: 1,
-      time: 600_000, // 10 min timeout
+      // Parked requests have no collector timeout; the timer below marks them instead
+      ...(onTimeout === "park" ? {} : { time: timeoutMs }),
     });
 
-    if (channelId) _activeCollectors.set(channelId, collector);
+    trackCollector(channelId, collector);
 
-    collector.on("collect", async (interaction) => {
-      const approved = interaction.customId === "push_approve";
-      const label = approved ? "💜 Push approved" : "🩸 Push rejected";
+    const minutes = (ms) => Math.round(ms / 60_000);
+    const timers = [];
+    if (reminders) {
+      timers.push(setTimeout(() => {
+        const { content, allowedMentions } = approverMention(roleIds);
+        const next = onTimeout === "park" ? `in ${minutes(timeoutMs / 2)} min wird sie geparkt` : `läuft in ${minutes(timeoutMs / 2)} min ab`;
+        msg.reply({ content: `${content} ⏰ Diese ${title}-Freigabe wartet noch auf eine Entscheidung — ${next}.`.trim(), allowedMentions }).catch(() => {});
+      }, timeoutMs / 2));
+      timers.push(setTimeout(() => {
+        escalate(msg, `🚨 Eine ${title}-Freigabe in <#${msg.channelId}> wartet seit ${minutes(timeoutMs * 0.75)} min ohne Entscheidung.`)
+          .catch((err) => log.warn("Approval escalation failed", { messageId: msg.id, error: err.message }));
+      }, timeoutMs * 0.75));
+    }
+    if (onTimeout === "park") {
+      timers.push(setTimeout(() => {
+        msg.edit({ embeds: [tallied().setFooter({ text: `⏸️ Geparkt nach ${minutes(timeoutMs)} min — wartet weiter auf eine Entscheidung` })] }).catch(() => {});
+      }, timeoutMs));
+    }
+
+    /** Finish the request: update the message, stop collecting and resolve. */
+    const decide = async (interaction, approved, feedbackText = null) => {
+      decided = true;
+      const label = approved ? `💜 ${title} ${decidedLabels[0]}` : `🩸 ${title} ${decidedLabels[1]}`;
       const color = approved ? 0x2d1b4e : 0x8b0000;
+      const user = approved && quorum > 1 ? [...approvers.values()].join(", ") : interaction.user.tag;
 
-      const updatedEmbed = EmbedBuilder.from(embed)
+      const updatedEmbed = tallied()
         .setColor(color)
-        .setFooter({ text: `${label} by ${interaction.user.tag}` });
+        .setFooter({ text: `${label} by ${user}` });
+      if (feedbackText) {
+        updatedEmbed.addFields({ name: "Feedback", value: redactSecrets(feedbackText).clean.slice(0, 1024), inline: false });
+      }
 
       try {
         await interaction.update({
@@ -155,13 +807,82 @@ export async function createPushApprovalRequest(channel, workspacePath, command,
         });
       } catch {}
 
-      resolve({ approved, user: interaction.user.tag });
+      collector.stop("decided");
+      resolve({ approved, user, ...(feedbackText ? { feedback: feedbackText } : {}) });
+    };
+
+    collector.on("collect", async (interaction) => {
+      if (interaction.isStringSelectMenu()) {
+        try {
+          await onSelect(interaction);
+        } catch {}
+        return;
+      }
+
+      // Reject with feedback: the request stays open until the modal is submitted
+      if (interaction.customId === feedbackId) {
+        const modalId = `${feedbackId}_${interaction.id}`;
+        let submitted;
+        try {
+          await interaction.showModal(buildFeedbackModal(modalId));
+          submitted = await interaction.awaitModalSubmit({
+            filter: (m) => m.customId === modalId,
+            time: FEEDBACK_MODAL_TIMEOUT_MS,
+          });
+        } catch {
+          return; // modal dismissed or timed out
+        }
+        if (decided || collector.ended) {
+          await submitted.reply({ content: "⌛ Die Anfrage ist schon entschieden oder abgelaufen.", flags: MessageFlags.Ephemeral }).catch(() => {});
+          return;
+        }
+        await decide(submitted, false, submitted.fields.getTextInputValue("feedback").trim());
+        return;
+      }
+
+      // First approval of a high-risk request: ask for confirmation
+      if (interaction.customId === approveId && needsConfirm) {
+        const pendingEmbed = EmbedBuilder.from(embed)
+          .setFooter({ text: `⚠️ Freigabe durch ${interaction.user.tag} — bitte bestätigen` });
+        try {
+          await interaction.update({ embeds: [pendingEmbed], components: [confirmRow, ...extraRows] });
+        } catch {}
+        return;
+      }
+
+      const approved = interaction.customId !== rejectId;
+      if (approved && quorum > 1) {
+        if (approvers.has(interaction.user.id)) {
+          await interaction.reply({
+            content: `⛓️ Du hast schon freigegeben — es braucht ${quorum} verschiedene Personen.`,
+            flags: MessageFlags.Ephemeral,
+          }).catch(() => {});
+          return;
+        }
+        approvers.set(interaction.user.id, interaction.user.tag);
+        if (approvers.size < quorum) {
+          try {
+            await interaction.update({ embeds: [tallied()] });
+          } catch {}
+          return;
+        }
+      }
+
+      await decide(interaction, approved);
     });
 
-    collector.on("end", (collected) => {
-      if (channelId) _activeCollectors.delete(channelId);
-      if (collected.size === 0) {
-        msg.edit({ components: [] }).catch(() => {});
+    collector.on("end", () => {
+      for (const timer of timers) clearTimeout(timer);
+      untrackCollector(channelId, collector);
+      _liveApprovals.delete(msg.id);
+      if (persist) {
+        try { deletePendingPush(msg.id); } catch { /* expired on next startup */ }
+      }
+      if (!decided) {
+        const edit = approvers.size > 0
+          ? { embeds: [tallied().setFooter({ text: `⌛ Quorum nicht erreicht (${approvers.size}/${quorum})` })], components: [] }
+          : { components: [] };
+        msg.edit(edit).catch(() => {});
         resolve({ approved: false, user: "(timeout)" });
       }
     });
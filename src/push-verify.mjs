@@ -0,0 +1,133 @@
+import { spawn } from "node:child_process";
+import { PUSH_VERIFY_COMMAND, PUSH_VERIFY_AUTO_REJECT, PUSH_VERIFY_TIMEOUT_MS } from "./config.mjs";
+import { upsertPushVerify, deletePushVerify, getAllPushVerify } from "./state.mjs";
+import { redactSecrets } from "./secret-scanner.mjs";
+import { createLogger } from "./logger.mjs";
+
+const log = createLogger("verify");
+
+// ── Settings ────────────────────────────────────────────────────────────────
+//
+// A verification command (tests, lint, build) runs in the worktree before a
+// push approval is posted. PUSH_VERIFY_COMMAND is the default; /verify sets a
+// command per repo (project name). With autoReject, a failing run rejects
+// the push without asking anyone.
+
+/**
+ * In-memory repo settings, backed by SQLite.
+ * Map< projectName, { command: string, autoReject: boolean, updatedBy: string|null } >
+ */
+const settings = new Map();
+
+// Restore settings from DB on startup
+for (const row of getAllPushVerify()) {
+  settings.set(row.project_name, { command: row.command, autoReject: !!row.auto_reject, updatedBy: row.updated_by });
+}
+
+/**
+ * Effective verification for a repo, or null if none is configured.
+ * @returns {{ command: string, autoReject: boolean, source: "repo"|"default" } | null}
+ */
+export function getVerifyConfig(projectName) {
+  const own = settings.get(projectName);
+  if (own) return { command: own.command, autoReject: own.autoReject, source: "repo" };
+  if (PUSH_VERIFY_COMMAND) return { command: PUSH_VERIFY_COMMAND, autoReject: PUSH_VERIFY_AUTO_REJECT, source: "default" };
+  return null;
+}
+
+/** Set a repo's verification command. */
+export function setVerifyConfig(projectName, command, autoReject, updatedBy = null) {
+  settings.set(projectName, { command, autoReject, updatedBy });
+  upsertPushVerify(projectName, command, autoReject, updatedBy);
+  log.info("Push verification set", { projectName, command, autoReject, updatedBy });
+  return getVerifyConfig(projectName);
+}
+
+/** Drop a repo's own command (the default applies again). Returns true if it had one. */
+export function clearVerifyConfig(projectName) {
+  const had = settings.delete(projectName);
+  deletePushVerify(projectName);
+  if (had) log.info("Push verification cleared", { projectName });
+  return had;
+}
+
+// ── Run ─────────────────────────────────────────────────────────────────────
+
+/** Output kept per run (UTF-16 chars); older output is dropped from the start. */
+const MAX_OUTPUT_CHARS = 4 * 1024 * 1024;
+
+// The command runs code from the agent's worktree — keep the bot's secrets out of its env
+const SECRET_ENV_RE = /TOKEN|SECRET|KEY|PASSWORD|CREDENTIAL/i;
+
+function verifyEnv() {
+  const env = {};
+  for (const [key, val] of Object.entries(process.env)) {
+    if (!SECRET_ENV_RE.test(key)) env[key] = val;
+  }
+  env.CI = "true";
+  return env;
+}
+
+/**
+ * Run a verification command in the worktree.
+ * @returns {Promise<{ command: string, ok: boolean, exitCode: number|null, timedOut: boolean, durationMs: number, output: string }>}
+ *   output is the combined stdout/stderr, redacted
+ */
+export function runVerification(workspacePath, command) {
+  const started = Date.now();
+  return new Promise((resolve) => {
+    let output = "";
+    let timedOut = false;
+    const detached = process.platform !== "win32";
+    let child;
+    try {
+      child = spawn(command, { cwd: workspacePath, shell: true, env: verifyEnv(), detached, stdio: ["ignore", "pipe", "pipe"] });
+    } catch (err) {
+      resolve({ command, ok: false, exitCode: null, timedOut: false, durationMs: 0, output: err.message });
+      return;
+    }
+
+    const append = (chunk) => {
+      output += chunk.toString("utf-8");
+      if (output.length > MAX_OUTPUT_CHARS) output = "… (gekürzt)\n" + output.slice(-MAX_OUTPUT_CHARS);
+    };
+    child.stdout.on("data", append);
+    child.stderr.on("data", append);
+
+    // Kill the whole process group — test runners spawn workers
+    const kill = () => {
+      try {
+        if (detached) process.kill(-child.pid, "SIGKILL");
+        else child.kill("SIGKILL");
+      } catch { /* already gone */ }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, PUSH_VERIFY_TIMEOUT_MS);
+
+    let finished = false;
+    const finish = (exitCode, error = null) => {
+      if (finished) return; // "error" can be followed by "close"
+      finished = true;
+      clearTimeout(timer);
+      if (error) append(`\n${error.message}\n`);
+      const result = {
+        command,
+        ok: !timedOut && !error && exitCode === 0,
+        exitCode,
+        timedOut,
+        durationMs: Date.now() - started,
+        output: redactSecrets(output).clean,
+      };
+      log.info("Push verification finished", { command, ok: result.ok, exitCode, timedOut, durationMs: result.durationMs });
+      resolve(result);
+    };
+    // Workers or servers the command left in the background would hold the
+    // output pipes open, so "close" would only come with the timeout
+    child.on("exit", () => { if (detached) kill(); });
+    child.on("error", (err) => finish(null, err));
+    child.on("close", (code) => finish(code));
+  });
+}
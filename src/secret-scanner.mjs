@@ -28,6 +28,10 @@ for (const [key, val] of Object.entries(process.env)) {
     envValues.add(val);
   }
 }
+// The git auth header built from GITHUB_TOKEN (session-manager's _gitAuthEnv)
+if (process.env.GITHUB_TOKEN) {
+  envValues.add(Buffer.from(`x-access-token:${process.env.GITHUB_TOKEN}`).toString("base64"));
+}
 
 const REDACTED = "[REDACTED]";
 
@@ -2,7 +2,7 @@ import { execFile } from "node:child_process";
 import { mkdirSync, existsSync, rmSync, readdirSync } from "node:fs";
 import { join } from "node:path";
 import { promisify } from "node:util";
-import { WORKSPACES_ROOT, REPOS_ROOT, PROJECT_NAME, REPO_PATH, GITHUB_TOKEN, TASK_TIMEOUT_MS, MAX_QUEUE_SIZE, MAX_PROMPT_LENGTH, ADMIN_USER_ID, ADMIN_ROLE_IDS, ALLOWED_DM_USERS, DEFAULT_MODEL, AUTO_APPROVE_PUSH, DEFAULT_BRANCH, PAUSE_GRACE_MS, SESSION_KEEPALIVE_MS } from "./config.mjs";
+import { WORKSPACES_ROOT, REPOS_ROOT, PROJECT_NAME, REPO_PATH, GITHUB_TOKEN, TASK_TIMEOUT_MS, MAX_QUEUE_SIZE, MAX_PROMPT_LENGTH, ADMIN_USER_ID, ADMIN_ROLE_IDS, ALLOWED_DM_USERS, DEFAULT_MODEL, DEFAULT_BRANCH, PAUSE_GRACE_MS, SESSION_KEEPALIVE_MS, STARTUP_CHANNEL_ID, UNKNOWN_TOOL_MODE } from "./config.mjs";
 import {
   upsertSession,
   getSession,
@@ -17,6 +17,8 @@ import {
   getResponders as dbGetResponders,
   deleteRespondersByChannel,
   pruneOldTasks,
+  pruneOldAudit,
+  pruneOldGrantEvents,
   getRecentTasks,
   upsertRepoOverride,
   deleteRepoOverride,
@@ -24,16 +26,25 @@ import {
   upsertBranchOverride,
   deleteBranchOverride as dbDeleteBranchOverride,
   getAllBranchOverrides,
+  insertSeenTool,
 } from "./state.mjs";
 import { createAgentSession } from "./copilot-client.mjs";
+import { toolCategory } from "./policy-engine.mjs";
 import {
   getActiveGrants,
+  addGrant,
+  recordGrantUse,
+  consumeOnceGrants,
+  revokeTaskGrants,
   restoreGrants,
   revokeAllGrants,
 } from "./grants.mjs";
 import { DiscordOutput } from "./discord-output.mjs";
-import { createPushApprovalRequest, cancelPushApproval } from "./push-approval.mjs";
+import { createPushApprovalRequest, createVerificationNotice, getPushRule, getPushQuorum, createCommandApprovalRequest, createBudgetPrompt, createGrantRequest, GRANT_REQUEST_TTL_MIN, cancelPushApproval } from "./push-approval.mjs";
 import { redactSecrets } from "./secret-scanner.mjs";
+import { getVerifyConfig, runVerification } from "./push-verify.mjs";
+import { recordPolicyDecision, recordApproval } from "./audit.mjs";
+import { BUDGET_LABELS, getBudgetLimits, createTaskUsage, callKey, recordToolCall, recordCallResult, startCall, finishCall, checkBudget, extendBudget, describeUsage } from "./task-budget.mjs";
 import { createLogger } from "./logger.mjs";
 
 const execFileAsync = promisify(execFile);
@@ -348,6 +359,7 @@ export async function clearChannelBranch(channelId) {
  * @property {DiscordOutput|null} output
  * @property {number|null} taskId
  * @property {string|null} model
+ * @property {string|null} guildId - Guild the session was created in (for guild grant templates)
  * @property {boolean} paused
  * @property {boolean} _aborted
  */
@@ -446,29 +458,188 @@ async function createWorktree(channelId) {
   return { workspacePath: worktreePath, branch: branchName };
 }
 
+// ── Unclassified Tools ──────────────────────────────────────────────────────
+
+/** Unclassified tools already handled this run (the seen_tools table covers restarts). */
+const _seenTools = new Set();
+
+/**
+ * Alert admins (startup channel, else the session's channel) the first time a
+ * tool without a category shows up — it runs under UNKNOWN_TOOL_MODE.
+ */
+function _noteUnknownTool(channelId, toolName) {
+  if (_seenTools.has(toolName)) return;
+  _seenTools.add(toolName);
+  let isNew;
+  try {
+    isNew = insertSeenTool(toolName, channelId);
+  } catch (err) {
+    log.warn("Failed to record unclassified tool", { tool: toolName, error: err.message });
+    return;
+  }
+  if (!isNew) return;
+  log.warn("Unclassified tool used for the first time", { channelId, tool: toolName, mode: UNKNOWN_TOOL_MODE });
+  if (_notifyChannel) {
+    _notifyChannel(
+      STARTUP_CHANNEL_ID || channelId,
+      `🧩 **Neues Tool** \`${toolName}\` in <#${channelId}> — keiner Kategorie zugeordnet, es gilt \`UNKNOWN_TOOL_MODE\` (**${UNKNOWN_TOOL_MODE}**).\n` +
+      "In `TOOL_CATEGORIES` als `read`, `write`, `shell`, `network` oder `internal` eintragen oder per `/policy` regeln~"
+    ).catch(() => {});
+  }
+}
+
 // ── Shared Hook Builder ─────────────────────────────────────────────────────
 
+/** What an admin can do about a denied tool use, by policy gate. */
+const DENIAL_HINTS = {
+  outside: "Nutze `/grant path:<pfad> mode:ro ttl:30` für Zugriff~",
+  egress: "Host in `EGRESS_ALLOWED_HOSTS` eintragen oder per `/policy` erlauben~",
+  protected: "Geschützter Pfad — `PROTECTED_PATHS` anpassen oder per `/policy` erlauben~",
+  unknown: "Unbekanntes Tool — in `TOOL_CATEGORIES` zuordnen oder per `/policy` erlauben~",
+  credentials: "Zugangsdaten sind für den Agenten nie lesbar — auch nicht per `/grant` oder `/policy`~",
+};
+
 /**
  * Build the common set of Copilot session hooks for a channel.
  * Shared between _createSession and changeModel to avoid duplication.
  */
 function _buildSessionHooks(channelId, channel) {
   return {
-    onPushRequest: async (command) => {
-      if (AUTO_APPROVE_PUSH) return { approved: true };
+    onPushRequest: async (command, highRisk, destinations = []) => {
+      const ctx = sessions.get(channelId);
+      const target = ctx?.output?.channel || ctx?._parentChannel || channel;
+      const { projectName } = getEffectiveRepo(channelId);
+      const rule = getPushRule(projectName, destinations);
+      if (rule.action === "deny") {
+        const outcome = { approved: false, user: "(policy)", reason: `pushes to ${rule.branch} are not allowed (PUSH_RULES)` };
+        log.warn("Push denied by push rule", { channelId, branch: rule.branch, command });
+        target.send(`⛓️ **Push blockiert** — Pushes nach \`${rule.branch}\` sind nicht erlaubt (\`PUSH_RULES\`).`).catch(() => {});
+        recordApproval(channelId, ctx?.taskId, "push", command, outcome, outcome.reason);
+        return outcome;
+      }
+      const verify = getVerifyConfig(projectName);
+      let verification = null;
+      if (verify && ctx?.workspacePath) {
+        target.send(`🧪 Prüfe vor dem Push: \`${verify.command}\` …`).catch(() => {});
+        verification = await runVerification(ctx.workspacePath, verify.command);
+        if (!verification.ok && verify.autoReject) {
+          const outcome = { approved: false, user: "(verification)", verification };
+          log.warn("Push rejected by failed verification", { channelId, command, exitCode: verification.exitCode, timedOut: verification.timedOut });
+          await createVerificationNotice(target, verification);
+          recordApproval(channelId, ctx?.taskId, "push", command, outcome, `verification failed: ${verify.command}`);
+          return outcome;
+        }
+      }
+      const baseBranch = getEffectiveBranch(channelId);
+      const quorum = await getPushQuorum(ctx?.workspacePath || "", projectName, baseBranch, destinations.map((d) => d.branch));
+      // High-risk pushes (force, delete), pushes that need a quorum and pushes
+      // that failed verification always need an explicit approval
+      const outcome = rule.action === "allow" && !highRisk && quorum.approvals < 2 && (!verification || verification.ok)
+        ? { approved: true, user: "(auto)" }
+        : await createPushApprovalRequest(target, ctx?.workspacePath || "", command, channelId, highRisk, { baseBranch, quorum, verification, taskId: ctx?.taskId });
+      if (verification) outcome.verification = verification;
+      const note = [
+        highRisk?.join("; "),
+        verification && !verification.ok && `verification failed: ${verification.command}`,
+        outcome.feedback && `Feedback: ${outcome.feedback}`,
+      ].filter(Boolean).join(" — ");
+      recordApproval(channelId, ctx?.taskId, "push", command, outcome, note || null);
+      return outcome;
+    },
+
+    onAskRequest: async (command, reason, highRisk) => {
       const ctx = sessions.get(channelId);
-      return createPushApprovalRequest(ctx?.output?.channel || ctx?._parentChannel || channel, ctx?.workspacePath || "", command, channelId);
+      const outcome = await createCommandApprovalRequest(ctx?.output?.channel || ctx?._parentChannel || channel, ctx?.workspacePath || "", command, reason, channelId, highRisk);
+      recordApproval(channelId, ctx?.taskId, "ask", command, outcome, reason);
+      return outcome;
     },
 
-    onOutsideRequest: (reason) => {
+    onPolicyDecision: (toolName, toolArgs, result) => {
+      const ctx = sessions.get(channelId);
+      recordPolicyDecision(channelId, ctx?.taskId, toolName, toolArgs, result);
+      if (toolCategory(toolName) === "other") _noteUnknownTool(channelId, toolName);
+      if (result.grants) {
+        recordGrantUse(channelId, result.grants, toolName, ctx?.taskId);
+        consumeOnceGrants(channelId, result.grants, toolName);
+      }
+      // A denied call counts as a failure for the repeated-failure limit
+      if (result.decision === "deny" && ctx?.budget) {
+        recordCallResult(ctx.budget, callKey(toolName, toolArgs), false);
+      }
+    },
+
+    onBudgetCheck: async (toolName, toolArgs) => {
+      const ctx = sessions.get(channelId);
+      if (!ctx?.budget || ctx._keepalivePing) return { proceed: true };
+      const usage = ctx.budget;
+      if (usage.aborted) return { proceed: false };
+
+      // Parallel tool calls share one prompt
+      while (usage.prompt) {
+        await usage.prompt;
+        if (usage.aborted) return { proceed: false };
+      }
+
+      const key = callKey(toolName, toolArgs);
+      const limits = getBudgetLimits(channelId);
+      const exceeded = checkBudget(usage, limits, key);
+      if (exceeded) {
+        const reason = exceeded.key === "repeatedFailures"
+          ? `\`${toolName}\` ist ${exceeded.used}× mit denselben Argumenten fehlgeschlagen.`
+          : `Limit für ${BUDGET_LABELS[exceeded.key]} erreicht (${exceeded.limit}).`;
+        log.warn("Task budget exhausted", { channelId, taskId: ctx.taskId, limit: exceeded.key, used: exceeded.used });
+        const target = ctx.output?.channel || ctx._parentChannel || channel;
+        usage.prompt = createBudgetPrompt(target, reason, describeUsage(usage, limits), channelId);
+        const { approved, user } = await usage.prompt;
+        usage.prompt = null;
+        if (!approved) {
+          log.info("Task aborted at budget prompt", { channelId, taskId: ctx.taskId, user });
+          usage.aborted = true;
+          hardStop(channelId, false).catch(() => {});
+          return { proceed: false };
+        }
+        log.info("Task budget extended", { channelId, taskId: ctx.taskId, user });
+        extendBudget(usage, exceeded, key);
+      }
+      return { proceed: true };
+    },
+
+    // Counted once the policy allowed the call — denied calls do not use up the budget
+    onToolAllowed: (toolName, toolArgs) => {
+      const ctx = sessions.get(channelId);
+      if (!ctx?.budget || ctx._keepalivePing) return;
+      recordToolCall(ctx.budget, toolName, toolArgs, ctx.workspacePath);
+    },
+
+    onOutsideRequest: async (reason, gate = "outside", path = null) => {
       const ctx = sessions.get(channelId);
       const target = ctx?.output?.channel || ctx?._parentChannel || channel;
-      target
-        .send(
-          `⛓️ **Zugriff verweigert**\n${redactSecrets(reason).clean}\n\n` +
-            `Nutze \`/grant path:<pfad> mode:ro ttl:30\` für Zugriff~`
-        )
-        .catch(() => {});
+      const hint = DENIAL_HINTS[gate] ?? DENIAL_HINTS.outside;
+      if (gate !== "outside" || !path) {
+        target
+          .send(`⛓️ **Zugriff verweigert**\n${redactSecrets(reason).clean}\n\n${hint}`)
+          .catch(() => {});
+        return { granted: null };
+      }
+
+      // Known path: an admin can grant it right from the message, Nyx waits.
+      // Parallel denials of the same path wait on the same message.
+      const pending = ctx?._grantRequests.get(path);
+      if (pending) return pending;
+      const request = (async () => {
+        const content = `⛓️ **Zugriff verweigert**\n${redactSecrets(reason).clean}\n\nPfad per Button freigeben — Nyx wartet und versucht es dann erneut~`;
+        const { mode, user } = await createGrantRequest(target, content, channelId);
+        if (!mode) return { granted: null };
+        addGrant(channelId, path, mode, GRANT_REQUEST_TTL_MIN, { grantedBy: user });
+        log.info("Grant added from denial", { channelId, path, mode, user });
+        return { granted: { path, mode, ttl: GRANT_REQUEST_TTL_MIN } };
+      })();
+      ctx?._grantRequests.set(path, request);
+      try {
+        return await request;
+      } finally {
+        if (ctx?._grantRequests.get(path) === request) ctx._grantRequests.delete(path);
+      }
     },
 
     onDelta: (text) => {
@@ -477,18 +648,20 @@ function _buildSessionHooks(channelId, channel) {
       ctx?.output?.append(text);
     },
 
-    onToolStart: (toolName) => {
+    onToolStart: (toolName, toolCallId, toolArgs) => {
       const ctx = sessions.get(channelId);
       if (!ctx || ctx._keepalivePing) return;
+      if (ctx.budget) startCall(ctx.budget, toolCallId, toolName, toolArgs);
       const count = ctx._toolsCompleted || 0;
       const suffix = count > 0 ? `  · ${count} fertig` : "";
       ctx.output?.status(`⚔️ \`${toolName}\`…${suffix}`);
     },
 
-    onToolComplete: (toolName, success, error) => {
+    onToolComplete: (toolName, success, error, toolCallId) => {
       const ctx = sessions.get(channelId);
       if (!ctx || ctx._keepalivePing) return;
       ctx._toolsCompleted = (ctx._toolsCompleted || 0) + 1;
+      if (ctx.budget) finishCall(ctx.budget, toolCallId, success);
       if (!success && error) {
         ctx.output?.append(`\n🩸 \`${toolName}\`: ${error}\n`);
       }
@@ -584,6 +757,8 @@ async function getOrCreateSession(channelId, channel) {
 }
 
 async function _createSession(channelId, channel) {
+  // Guild-bound grant templates apply to the session's whole lifetime
+  const guildId = channel?.guildId ?? null;
 
   // Check DB for existing session
   const dbRow = getSession(channelId);
@@ -609,6 +784,7 @@ async function _createSession(channelId, channel) {
       const botName = channel.client?.user?.username || "Nyx";
       copilotSession = await createAgentSession({
     channelId,
+    guildId,
     workspacePath,
     model,
     botInfo: { botName, branch, baseBranch: getEffectiveBranch(channelId), recentTasks },
@@ -651,6 +827,7 @@ async function _createSession(channelId, channel) {
     currentPrompt: null,
     awaitingQuestion: false,
     _toolsCompleted: 0,
+    budget: null,
     _lastActivity: Date.now(),
     _taskGen: 0,
     _changingModel: false,
@@ -658,6 +835,9 @@ async function _createSession(channelId, channel) {
     _sessionRetried: false,
     _keepalivePing: false,
     _parentChannel: channel,
+    guildId,
+    /** Open grant requests by denied path, shared by parallel tool calls */
+    _grantRequests: new Map(),
   };
 
   sessions.set(channelId, ctx);
@@ -746,6 +926,7 @@ async function processQueue(channelId) {
   ctx.status = "working";
   ctx.currentPrompt = prompt;
   ctx._toolsCompleted = 0;
+  ctx.budget = createTaskUsage();
   ctx._taskGen++;
   const taskGen = ctx._taskGen;
 
@@ -780,6 +961,7 @@ async function processQueue(channelId) {
         const recentTasks = getRecentTasks(channelId, 10);
         ctx.copilotSession = await createAgentSession({
           channelId,
+          guildId: ctx.guildId,
           workspacePath: ctx.workspacePath,
           model: ctx.model,
           botInfo: { botName, branch: ctx.branch, baseBranch: getEffectiveBranch(channelId), recentTasks },
@@ -819,6 +1001,8 @@ async function processQueue(channelId) {
     } else if (err.message?.includes("Timeout") && err.message?.includes("session.idle")) {
       log.warn("Task timed out", { channelId, taskId: localTaskId, timeoutMs: TASK_TIMEOUT_MS });
       try { ctx.copilotSession.abort(); } catch {}
+      // A parked push approval must not outlive its task
+      try { cancelPushApproval(channelId); } catch {}
       if (localTaskId) completeTask(localTaskId, "aborted");
       if (ctx._taskGen === taskGen) {
         ctx.status = "idle";
@@ -841,6 +1025,7 @@ async function processQueue(channelId) {
     if (ctx._taskGen === taskGen) {
       ctx.output = null;
       ctx.currentPrompt = null;
+      revokeTaskGrants(channelId);
     }
     ctx._lastActivity = Date.now();
     // Continue queue unless paused (use setImmediate to avoid stack overflow)
@@ -856,12 +1041,16 @@ export function getSessionStatus(channelId) {
   const ctx = sessions.get(channelId);
   if (!ctx) return null;
 
-  const grants = getActiveGrants(channelId);
+  const grants = getActiveGrants(channelId, ctx.guildId);
   const grantList = [];
   for (const [p, g] of grants) {
     grantList.push({
       path: p,
       mode: g.mode,
+      excludes: g.excludes ?? [],
+      grantedBy: g.grantedBy ?? null,
+      scope: g.scope ?? "ttl",
+      template: g.template ?? null,
       expiresIn: Math.max(0, Math.round((g.expiry - Date.now()) / 60_000)),
     });
   }
@@ -875,6 +1064,7 @@ export function getSessionStatus(channelId) {
     queueLength: ctx.queue.length,
     grants: grantList,
     currentPrompt: ctx.currentPrompt,
+    budget: ctx.status === "working" ? ctx.budget : null,
   };
 }
 
@@ -942,6 +1132,7 @@ export async function hardStop(channelId, clearQueue = true) {
   if (wasWorking) {
     ctx._aborted = true;
     try { ctx.copilotSession.abort(); } catch {}
+    try { cancelPushApproval(channelId); } catch {}
     if (ctx.taskId) {
       completeTask(ctx.taskId, "aborted");
       ctx.taskId = null;
@@ -1013,6 +1204,7 @@ export async function changeModel(channelId, channel, newModel) {
     const botName = channel.client?.user?.username || "Nyx";
     newSession = await createAgentSession({
       channelId,
+      guildId: ctx.guildId,
       workspacePath: ctx.workspacePath,
       model: newModel,
       botInfo: { botName, branch: ctx.branch, baseBranch: getEffectiveBranch(channelId) },
@@ -1124,6 +1316,7 @@ function _startKeepalive(channelId) {
           const recentTasks = getRecentTasks(channelId, 10);
           ctx.copilotSession = await createAgentSession({
             channelId,
+            guildId: ctx.guildId,
             workspacePath: ctx.workspacePath,
             model: ctx.model,
             botInfo: { botName, branch: ctx.branch, baseBranch: getEffectiveBranch(channelId), recentTasks },
@@ -1276,6 +1469,10 @@ const _idleSweep = setInterval(() => {
   // Prune old task history
   const pruned = pruneOldTasks();
   if (pruned > 0) log.info("Pruned old tasks", { count: pruned });
+  const prunedAudit = pruneOldAudit();
+  if (prunedAudit > 0) log.info("Pruned old audit entries", { count: prunedAudit });
+  const prunedGrantEvents = pruneOldGrantEvents();
+  if (prunedGrantEvents > 0) log.info("Pruned old grant events", { count: prunedGrantEvents });
 }, IDLE_SWEEP_MS / 2);
 _idleSweep.unref();
 
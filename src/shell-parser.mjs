@@ -0,0 +1,1051 @@
+import { basename } from "node:path";
+
+// ── Shell Parser ────────────────────────────────────────────────────────────
+//
+// A small POSIX-shell parser for the policy engine. It does not execute or
+// expand anything — it turns a command string into a syntax tree (lists,
+// pipelines, subshells, simple commands with words and redirections) so the
+// policy engine can reason about which programs will actually run.
+//
+// The grammar is intentionally lenient for compound keywords (if/while/for/
+// case are flattened into the commands they contain), but strict about
+// quoting: unterminated quotes or substitutions throw, since the real shell
+// would reject those too.
+
+/**
+ * @typedef {object} Word
+ * @property {string} raw - Source text of the word
+ * @property {string} value - Value after quote removal (expansions kept verbatim)
+ * @property {boolean} quoted - Any part of the word was quoted or escaped
+ * @property {boolean} dynamic - Contains parameter, arithmetic or command expansion
+ * @property {boolean} tilde - Starts with an unquoted `~`
+ * @property {boolean} glob - Contains unquoted glob characters
+ * @property {Array<ShellNode>} substitutions - Parsed `$(...)`, backtick and `<(...)` bodies
+ */
+
+/**
+ * @typedef {object} Redirect
+ * @property {string} op - Redirection operator (`>`, `>>`, `<`, `<<`, `<<<`, `>&`, `&>`, ...)
+ * @property {number|null} fd - Explicit file descriptor, if any
+ * @property {Word} target - Target word (file, fd or heredoc delimiter)
+ * @property {string|null} [body] - Heredoc / here-string content
+ * @property {Array<ShellNode>} [substitutions] - Substitutions found in an unquoted heredoc body
+ */
+
+/**
+ * @typedef {{type: "List", items: Array<{node: ShellNode, op: string|null}>}
+ *   | {type: "Pipeline", commands: ShellNode[]}
+ *   | {type: "Subshell", body: ShellNode, redirects: Redirect[]}
+ *   | {type: "Group", body: ShellNode, redirects: Redirect[]}
+ *   | {type: "Command", assignments: Word[], words: Word[], redirects: Redirect[]}} ShellNode
+ */
+
+const META = new Set([" ", "\t", "\n", ";", "&", "|", "<", ">", "(", ")"]);
+
+const LIST_OPS = new Set(["&&", "||", ";", "&", ";;", ";&"]);
+
+const REDIR_OPS = ["<<<", "<<-", "<<", "<>", "<&", "<", ">>", ">&", ">|", ">"];
+
+const CONTROL_OPS = ["&&", "||", ";;", ";&", ";", "|&", "|", "&", "(", ")"];
+
+// Reserved words that only introduce or close a compound command. Their bodies
+// are flattened into the surrounding list, so the words themselves are skipped.
+const TRANSPARENT_KEYWORDS = new Set(["if", "then", "else", "elif", "fi", "do", "done", "while", "until", "!"]);
+
+const ASSIGNMENT_RE = /^[A-Za-z_][A-Za-z0-9_]*(?:\[[^\]]*\])?\+?=/;
+
+function emptyWord() {
+  return { raw: "", value: "", quoted: false, dynamic: false, tilde: false, glob: false, substitutions: [] };
+}
+
+/** Decode the body of an ANSI-C quoted string (`$'...'`). */
+function decodeAnsiC(body) {
+  return body.replace(/\\(x[0-9A-Fa-f]{1,2}|u[0-9A-Fa-f]{1,4}|U[0-9A-Fa-f]{1,8}|[0-7]{1,3}|c.|.)/gs, (_, esc) => {
+    switch (esc[0]) {
+      case "n": return "\n";
+      case "t": return "\t";
+      case "r": return "\r";
+      case "a": return "\x07";
+      case "b": return "\b";
+      case "e": case "E": return "\x1b";
+      case "f": return "\f";
+      case "v": return "\v";
+      case "x": case "u": case "U": return String.fromCodePoint(parseInt(esc.slice(1), 16));
+      case "c": return String.fromCharCode(esc.charCodeAt(1) & 0x1f);
+      default:
+        if (/^[0-7]/.test(esc)) return String.fromCharCode(parseInt(esc, 8));
+        return esc; // \\ \' \" \? and unknown escapes
+    }
+  });
+}
+
+class Parser {
+  /**
+   * @param {string} src
+   * @param {number} [pos]
+   */
+  constructor(src, pos = 0) {
+    this.src = src;
+    this.pos = pos;
+    this.pendingHeredocs = [];
+    this.caseDepth = 0;
+    this._peeked = null;
+  }
+
+  // ── Lexer ──────────────────────────────────────────────────────────────────
+
+  _skipBlanks() {
+    const { src } = this;
+    while (this.pos < src.length) {
+      const ch = src[this.pos];
+      if (ch === " " || ch === "\t") { this.pos++; continue; }
+      if (ch === "\\" && src[this.pos + 1] === "\n") { this.pos += 2; continue; }
+      if (ch === "#") {
+        while (this.pos < src.length && src[this.pos] !== "\n") this.pos++;
+        continue;
+      }
+      break;
+    }
+  }
+
+  _lex() {
+    this._skipBlanks();
+    const { src } = this;
+    if (this.pos >= src.length) return { type: "eof" };
+    const rest = src.slice(this.pos, this.pos + 3);
+
+    if (rest[0] === "\n") {
+      this.pos++;
+      return { type: "newline" };
+    }
+
+    // Explicit fd before a redirection: 2>, 1>>, 0<
+    const fdMatch = /^(\d+)(?=[<>])/.exec(src.slice(this.pos, this.pos + 12));
+    if (fdMatch) {
+      this.pos += fdMatch[1].length;
+      const redir = this._lexRedirOp();
+      if (redir) return { type: "redir", op: redir, fd: parseInt(fdMatch[1], 10) };
+    }
+
+    if (rest.startsWith("&>>")) { this.pos += 3; return { type: "redir", op: "&>>", fd: null }; }
+    if (rest.startsWith("&>")) { this.pos += 2; return { type: "redir", op: "&>", fd: null }; }
+
+    // Process substitution <(...) / >(...)
+    if ((rest[0] === "<" || rest[0] === ">") && rest[1] === "(") {
+      const word = emptyWord();
+      const start = this.pos;
+      this.pos += 2;
+      word.substitutions.push(this._parseNested(")"));
+      word.dynamic = true;
+      word.raw = word.value = src.slice(start, this.pos);
+      return { type: "word", word };
+    }
+
+    const redir = this._lexRedirOp();
+    if (redir) return { type: "redir", op: redir, fd: null };
+
+    for (const op of CONTROL_OPS) {
+      if (src.startsWith(op, this.pos)) {
+        this.pos += op.length;
+        return { type: "op", value: op };
+      }
+    }
+
+    return { type: "word", word: this._readWord() };
+  }
+
+  _lexRedirOp() {
+    for (const op of REDIR_OPS) {
+      if (this.src.startsWith(op, this.pos)) {
+        this.pos += op.length;
+        return op;
+      }
+    }
+    return null;
+  }
+
+  peek() {
+    if (this._peeked && this._peeked.start === this.pos) return this._peeked.tok;
+    const start = this.pos;
+    const tok = this._lex();
+    this._peeked = { start, tok, end: this.pos };
+    this.pos = start;
+    return tok;
+  }
+
+  next() {
+    const tok = this.peek();
+    this.pos = this._peeked.end;
+    this._peeked = null;
+    if (tok.type === "newline" && this.pendingHeredocs.length > 0) this._readHeredocs();
+    return tok;
+  }
+
+  // ── Words ──────────────────────────────────────────────────────────────────
+
+  _readWord() {
+    const { src } = this;
+    const word = emptyWord();
+    const start = this.pos;
+    if (src[this.pos] === "~") word.tilde = true;
+
+    while (this.pos < src.length) {
+      const ch = src[this.pos];
+      if (META.has(ch)) break;
+      if (ch === "\\") {
+        if (src[this.pos + 1] === "\n") { this.pos += 2; continue; }
+        if (this.pos + 1 >= src.length) { word.value += "\\"; this.pos++; continue; }
+        word.value += src[this.pos + 1];
+        word.quoted = true;
+        this.pos += 2;
+        continue;
+      }
+      if (ch === "'") {
+        const end = src.indexOf("'", this.pos + 1);
+        if (end === -1) throw new Error("Unterminated single quote");
+        word.value += src.slice(this.pos + 1, end);
+        word.quoted = true;
+        this.pos = end + 1;
+        continue;
+      }
+      if (ch === '"') {
+        this.pos++;
+        this._readDoubleQuoted(word, '"');
+        word.quoted = true;
+        continue;
+      }
+      if (ch === "$") { this._readDollar(word, false); continue; }
+      if (ch === "`") { this._readBacktick(word); continue; }
+      if (ch === "*" || ch === "?" || ch === "[") word.glob = true;
+      word.value += ch;
+      this.pos++;
+    }
+
+    word.raw = src.slice(start, this.pos);
+    return word;
+  }
+
+  /**
+   * Read double-quoted content up to `end` (or end of input when `end` is null).
+   * Used for "..." strings and unquoted heredoc bodies.
+   */
+  _readDoubleQuoted(word, end) {
+    const { src } = this;
+    while (true) {
+      if (this.pos >= src.length) {
+        if (end) throw new Error("Unterminated double quote");
+        return;
+      }
+      const ch = src[this.pos];
+      if (end && ch === end) { this.pos++; return; }
+      if (ch === "\\") {
+        const nextCh = src[this.pos + 1];
+        if (nextCh === "\n") { this.pos += 2; continue; }
+        if (nextCh === "$" || nextCh === "`" || nextCh === '"' || nextCh === "\\") {
+          word.value += nextCh;
+          this.pos += 2;
+          continue;
+        }
+        word.value += ch;
+        this.pos++;
+        continue;
+      }
+      if (ch === "$") { this._readDollar(word, true); continue; }
+      if (ch === "`") { this._readBacktick(word); continue; }
+      word.value += ch;
+      this.pos++;
+    }
+  }
+
+  _readDollar(word, inDouble) {
+    const { src } = this;
+    const start = this.pos;
+    const nextCh = src[this.pos + 1];
+
+    // $'...' — ANSI-C quoting
+    if (nextCh === "'" && !inDouble) {
+      let i = this.pos + 2;
+      while (i < src.length && src[i] !== "'") i += src[i] === "\\" ? 2 : 1;
+      if (i >= src.length) throw new Error("Unterminated $'...' string");
+      word.value += decodeAnsiC(src.slice(this.pos + 2, i));
+      word.quoted = true;
+      this.pos = i + 1;
+      return;
+    }
+
+    // $"..." — locale translation, treated as a plain double-quoted string
+    if (nextCh === '"' && !inDouble) {
+      this.pos += 2;
+      this._readDoubleQuoted(word, '"');
+      word.quoted = true;
+      return;
+    }
+
+    // $(( ... )) — arithmetic expansion
+    if (nextCh === "(" && src[this.pos + 2] === "(") {
+      const end = this._findClosing(this.pos + 3, "(", ")", 2);
+      const inner = src.slice(this.pos + 3, end - 2);
+      word.substitutions.push(...scanExpansions(inner));
+      word.dynamic = true;
+      this.pos = end;
+      word.value += src.slice(start, this.pos);
+      return;
+    }
+
+    // $( ... ) — command substitution
+    if (nextCh === "(") {
+      this.pos += 2;
+      word.substitutions.push(this._parseNested(")"));
+      word.dynamic = true;
+      word.value += src.slice(start, this.pos);
+      return;
+    }
+
+    // ${ ... } — parameter expansion (may nest substitutions in the default value)
+    if (nextCh === "{") {
+      const end = this._findClosing(this.pos + 2, "{", "}", 1);
+      word.substitutions.push(...scanExpansions(src.slice(this.pos + 2, end - 1)));
+      word.dynamic = true;
+      this.pos = end;
+      word.value += src.slice(start, this.pos);
+      return;
+    }
+
+    // $NAME, $1, $@, $? ...
+    const m = /^\$(?:[A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/.exec(src.slice(this.pos, this.pos + 256));
+    if (m) {
+      word.dynamic = true;
+      word.value += m[0];
+      this.pos += m[0].length;
+      return;
+    }
+
+    word.value += "$";
+    this.pos++;
+  }
+
+  _readBacktick(word) {
+    const { src } = this;
+    const start = this.pos;
+    let inner = "";
+    let i = this.pos + 1;
+    while (i < src.length && src[i] !== "`") {
+      if (src[i] === "\\" && (src[i + 1] === "`" || src[i + 1] === "$" || src[i + 1] === "\\")) {
+        inner += src[i + 1];
+        i += 2;
+        continue;
+      }
+      inner += src[i];
+      i++;
+    }
+    if (i >= src.length) throw new Error("Unterminated backtick substitution");
+    this.pos = i + 1;
+    word.substitutions.push(parseShell(inner));
+    word.dynamic = true;
+    word.value += src.slice(start, this.pos);
+  }
+
+  /**
+   * Find the index just past the closing delimiter matching an opening one.
+   * Respects quotes; `count` is how many closers are needed at depth 0 (2 for `))`).
+   */
+  _findClosing(from, open, close, count) {
+    const { src } = this;
+    let depth = 0;
+    for (let i = from; i < src.length; i++) {
+      const ch = src[i];
+      if (ch === "\\") { i++; continue; }
+      if (ch === "'") {
+        const end = src.indexOf("'", i + 1);
+        if (end === -1) break;
+        i = end;
+        continue;
+      }
+      if (ch === open) { depth++; continue; }
+      if (ch === close) {
+        if (depth > 0) { depth--; continue; }
+        if (count === 1) return i + 1;
+        if (src[i + 1] === close) return i + 2;
+      }
+    }
+    throw new Error(`Unterminated expansion (missing ${close.repeat(count)})`);
+  }
+
+  /** Parse a nested list (command or process substitution) up to `)`. */
+  _parseNested(terminator) {
+    const sub = new Parser(this.src, this.pos);
+    const body = sub.parseList(terminator);
+    const tok = sub.next();
+    if (tok.type !== "op" || tok.value !== terminator) {
+      throw new Error(`Unterminated substitution (missing ${terminator})`);
+    }
+    this.pos = sub.pos;
+    return body;
+  }
+
+  // ── Heredocs ───────────────────────────────────────────────────────────────
+
+  _readHeredocs() {
+    const { src } = this;
+    for (const redirect of this.pendingHeredocs) {
+      const delimiter = redirect.target.value;
+      const stripTabs = redirect.op === "<<-";
+      const lines = [];
+      while (this.pos < src.length) {
+        let eol = src.indexOf("\n", this.pos);
+        if (eol === -1) eol = src.length;
+        let line = src.slice(this.pos, eol);
+        this.pos = Math.min(eol + 1, src.length);
+        if (stripTabs) line = line.replace(/^\t+/, "");
+        if (line === delimiter) break;
+        lines.push(line);
+      }
+      redirect.body = lines.join("\n");
+      redirect.substitutions = redirect.target.quoted ? [] : scanExpansions(redirect.body);
+    }
+    this.pendingHeredocs = [];
+  }
+
+  // ── Grammar ────────────────────────────────────────────────────────────────
+
+  /**
+   * list := pipeline ((&& | || | ; | & | newline) pipeline)*
+   * @param {")"|"}"|null} terminator
+   */
+  parseList(terminator = null) {
+    const items = [];
+    while (true) {
+      let tok = this.peek();
+      while (tok.type === "newline" || (tok.type === "op" && (tok.value === ";" || tok.value === ";;" || tok.value === ";&"))) {
+        this.next();
+        tok = this.peek();
+      }
+      if (tok.type === "eof") {
+        if (terminator) throw new Error(`Unterminated ${terminator === ")" ? "subshell" : "group"} (missing ${terminator})`);
+        break;
+      }
+      if (terminator === ")" && tok.type === "op" && tok.value === ")") break;
+      if (terminator === "}" && tok.type === "word" && tok.word.raw === "}") break;
+      if (tok.type === "op" && tok.value === ")") throw new Error("Unexpected )");
+
+      const before = this.pos;
+      const node = this.parsePipeline();
+      let op = null;
+      tok = this.peek();
+      if (tok.type === "op" && LIST_OPS.has(tok.value)) {
+        op = tok.value;
+        this.next();
+      } else if (tok.type === "newline") {
+        op = "\n";
+        this.next();
+      }
+      if (node) items.push({ node, op });
+      if (this.pos === before) throw new Error("Unexpected token in shell command");
+    }
+    if (this.pendingHeredocs.length > 0) this._readHeredocs();
+    return { type: "List", items };
+  }
+
+  parsePipeline() {
+    const commands = [];
+    const first = this.parseCommand();
+    if (first) commands.push(first);
+    while (true) {
+      const tok = this.peek();
+      if (tok.type !== "op" || (tok.value !== "|" && tok.value !== "|&")) break;
+      this.next();
+      // A newline may follow a pipe
+      while (this.peek().type === "newline") this.next();
+      const cmd = this.parseCommand();
+      if (cmd) commands.push(cmd);
+    }
+    if (commands.length === 0) return null;
+    return commands.length === 1 ? commands[0] : { type: "Pipeline", commands };
+  }
+
+  parseCommand() {
+    let tok = this.peek();
+
+    if (tok.type === "op" && tok.value === "(") {
+      // (( ... )) — arithmetic command
+      if (this.src.startsWith("((", this.pos)) {
+        const start = this.pos;
+        const end = this._findClosing(this.pos + 2, "(", ")", 2);
+        this.pos = end;
+        this._peeked = null;
+        return {
+          type: "Command",
+          assignments: [],
+          words: [],
+          redirects: [],
+          substitutions: scanExpansions(this.src.slice(start + 2, end - 2)),
+        };
+      }
+      this.next();
+      const body = this.parseList(")");
+      this.next();
+      return { type: "Subshell", body, redirects: this._parseTrailingRedirects() };
+    }
+
+    const cmd = { type: "Command", assignments: [], words: [], redirects: [] };
+    while (true) {
+      tok = this.peek();
+      if (tok.type === "redir") {
+        this.next();
+        cmd.redirects.push(this._parseRedirect(tok));
+        continue;
+      }
+      if (tok.type !== "word") break;
+      const word = tok.word;
+
+      if (cmd.words.length === 0 && !word.quoted) {
+        // case pattern: `pat)` / `a|b)`
+        if (this.caseDepth > 0 && cmd.assignments.length === 0 && this._skipCasePattern()) continue;
+
+        if (word.raw === "{" && cmd.assignments.length === 0) {
+          this.next();
+          const body = this.parseList("}");
+          this.next();
+          return { type: "Group", body, redirects: this._parseTrailingRedirects() };
+        }
+        if (word.raw === "}") break;
+        if (cmd.assignments.length === 0 && TRANSPARENT_KEYWORDS.has(word.raw)) {
+          this.next();
+          continue;
+        }
+        if (cmd.assignments.length === 0 && word.raw === "esac") {
+          this.next();
+          this.caseDepth = Math.max(0, this.caseDepth - 1);
+          continue;
+        }
+        if (cmd.assignments.length === 0 && word.raw === "case") {
+          this.next();
+          const subject = this.next();
+          const words = subject.type === "word" ? [subject.word] : [];
+          const inTok = this.peek();
+          if (inTok.type === "word" && inTok.word.raw === "in") this.next();
+          this.caseDepth++;
+          return { type: "Command", assignments: [], words: [], redirects: [], substitutions: words.flatMap((w) => w.substitutions) };
+        }
+        if (cmd.assignments.length === 0 && (word.raw === "for" || word.raw === "select")) {
+          // for NAME [in WORDS...] — the loop header runs nothing but its substitutions
+          this.next();
+          const substitutions = [];
+          while (this.peek().type === "word") substitutions.push(...this.next().word.substitutions);
+          return { type: "Command", assignments: [], words: [], redirects: [], substitutions };
+        }
+        if (cmd.assignments.length === 0 && word.raw === "function") {
+          this.next();
+          if (this.peek().type === "word") this.next();
+          this._skipFunctionParens();
+          continue;
+        }
+        if (ASSIGNMENT_RE.test(word.raw)) {
+          this.next();
+          cmd.assignments.push(word);
+          continue;
+        }
+      }
+
+      this.next();
+      cmd.words.push(word);
+
+      // NAME () compound-command — function definition; the body is returned
+      // in place of the definition so its commands are still inspected.
+      if (cmd.words.length === 1 && cmd.assignments.length === 0 && this._skipFunctionParens()) {
+        return this.parseCommand();
+      }
+    }
+
+    if (cmd.words.length === 0 && cmd.assignments.length === 0 && cmd.redirects.length === 0) return null;
+    return cmd;
+  }
+
+  _skipFunctionParens() {
+    const m = /^[ \t]*\([ \t]*\)/.exec(this.src.slice(this.pos, this.pos + 64));
+    if (!m) return false;
+    this.pos += m[0].length;
+    this._peeked = null;
+    while (this.peek().type === "newline") this.next();
+    return true;
+  }
+
+  _skipCasePattern() {
+    const save = this.pos;
+    let tok = this.peek();
+    if (tok.type === "op" && tok.value === "(") { this.next(); tok = this.peek(); }
+    while (tok.type === "word") {
+      this.next();
+      tok = this.peek();
+      if (tok.type === "op" && tok.value === ")") { this.next(); return true; }
+      if (tok.type === "op" && tok.value === "|") { this.next(); tok = this.peek(); continue; }
+      break;
+    }
+    this.pos = save;
+    this._peeked = null;
+    return false;
+  }
+
+  _parseRedirect(tok) {
+    const targetTok = this.next();
+    if (targetTok.type !== "word") throw new Error(`Missing target for redirection ${tok.op}`);
+    const redirect = { op: tok.op, fd: tok.fd, target: targetTok.word, body: null };
+    if (tok.op === "<<" || tok.op === "<<-") this.pendingHeredocs.push(redirect);
+    if (tok.op === "<<<") redirect.body = targetTok.word.value;
+    return redirect;
+  }
+
+  _parseTrailingRedirects() {
+    const redirects = [];
+    while (this.peek().type === "redir") redirects.push(this._parseRedirect(this.next()));
+    return redirects;
+  }
+}
+
+/**
+ * Collect command substitutions from text that is subject to expansion but not
+ * word splitting (heredoc bodies, `${...}` and `$((...))` contents).
+ */
+function scanExpansions(text) {
+  const parser = new Parser(text);
+  const word = emptyWord();
+  parser._readDoubleQuoted(word, null);
+  return word.substitutions;
+}
+
+/**
+ * Parse a shell command string into a syntax tree.
+ * Throws on unterminated quotes, substitutions, subshells or groups.
+ * @param {string} command
+ * @returns {ShellNode}
+ */
+export function parseShell(command) {
+  const parser = new Parser(String(command ?? ""));
+  const list = parser.parseList(null);
+  if (parser.peek().type !== "eof") throw new Error("Unexpected trailing input in shell command");
+  return list;
+}
+
+// ── Invocation Extraction ───────────────────────────────────────────────────
+
+/**
+ * @typedef {object} Invocation
+ * @property {string} name - Program basename (`git`, `cat`, ...) or "" for redirect-only nodes
+ * @property {string[]} argv - Word values, starting with the program
+ * @property {Word[]} words - Words matching argv
+ * @property {Word[]} assignments - Leading NAME=value words
+ * @property {Redirect[]} redirects
+ * @property {string[]} wrappers - Wrapper programs that were unwrapped to reach this command
+ * @property {boolean} stdinArgs - Extra arguments come from stdin (xargs)
+ * @property {boolean} opaque - Runs a script that cannot be inspected statically
+ * @property {Word} [script] - Script file run by a shell (`bash x.sh`) or `source`
+ * @property {Array<Word[]|null>} cwds - Possible working directories, each as the
+ *   cd/pushd/`env -C` targets applied since the command started (resolve in order
+ *   against the starting directory); null if the directory cannot be known
+ */
+
+const SHELLS = new Set(["sh", "bash", "zsh", "dash", "ksh", "ash", "mksh", "fish"]);
+
+// Programs that run another program given as their trailing arguments.
+// `argFlags` lists options that consume the following word; `operands` is the
+// number of positional arguments the wrapper itself takes before the command.
+const WRAPPERS = {
+  env: { argFlags: ["-u", "--unset", "-C", "--chdir", "-S", "--split-string"], assignments: true },
+  command: { argFlags: [] },
+  builtin: { argFlags: [] },
+  exec: { argFlags: ["-a"] },
+  nohup: { argFlags: [] },
+  setsid: { argFlags: [] },
+  chronic: { argFlags: [] },
+  unbuffer: { argFlags: [] },
+  time: { argFlags: ["-f", "--format", "-o", "--output"] },
+  nice: { argFlags: ["-n", "--adjustment"] },
+  ionice: { argFlags: ["-c", "--class", "-n", "--classdata", "-t"] },
+  timeout: { argFlags: ["-s", "--signal", "-k", "--kill-after"], operands: 1 },
+  stdbuf: { argFlags: ["-i", "-o", "-e", "--input", "--output", "--error"] },
+  sudo: { argFlags: ["-u", "--user", "-g", "--group", "-C", "--close-from", "-D", "--chdir", "-h", "--host", "-p", "--prompt", "-r", "--role", "-t", "--type", "-U", "--other-user", "-T", "--command-timeout", "-R", "--chroot"] },
+  doas: { argFlags: ["-u", "-C"] },
+  flock: { argFlags: ["-w", "--wait", "--timeout", "-E", "--conflict-exit-code"], operands: 1 },
+  watch: { argFlags: ["-n", "--interval", "-q", "--equexit"] },
+  strace: { argFlags: ["-o", "-e", "-p", "-s", "-u", "-E", "-P"] },
+  ltrace: { argFlags: ["-o", "-e", "-p", "-s", "-u", "-n"] },
+  xargs: {
+    argFlags: ["-a", "--arg-file", "-d", "--delimiter", "-E", "-I", "-L", "--max-lines", "-n", "--max-args", "-P", "--max-procs", "-s", "--max-chars", "--process-slot-var"],
+    stdinArgs: true,
+  },
+};
+
+const FIND_EXEC_FLAGS = new Set(["-exec", "-execdir", "-ok", "-okdir"]);
+
+// Wrapper options that run the wrapped command in another directory
+const CHDIR_FLAGS = { env: ["-C", "--chdir"], sudo: ["-D", "--chdir"] };
+
+/**
+ * Skip a wrapper's own options/operands. Returns the index of the wrapped
+ * command word (may equal words.length), any `env -S` split string and the
+ * directory word of `env -C` / `sudo -D`.
+ */
+function skipWrapperArgs(name, spec, words, i) {
+  const argFlags = new Set(spec.argFlags);
+  const chdirFlags = CHDIR_FLAGS[name] || [];
+  let split = null;
+  let chdir = null;
+  let operands = spec.operands || 0;
+  while (i < words.length) {
+    const v = words[i].value;
+    if (v === "--") { i++; break; }
+    if (v.startsWith("-") && v.length > 1) {
+      if (argFlags.has(v)) {
+        if (v === "-S" || v === "--split-string") split = words[i + 1]?.value ?? "";
+        if (chdirFlags.includes(v) && words[i + 1]) chdir = words[i + 1];
+        i += 2;
+        continue;
+      }
+      if (v.startsWith("--chdir=") && chdirFlags.length > 0) {
+        const dir = v.slice("--chdir=".length);
+        chdir = { ...words[i], raw: dir, value: dir };
+      }
+      if (spec.assignments) {
+        if (v.startsWith("--split-string=")) split = v.slice("--split-string=".length);
+        else if (/^-S./.test(v)) split = v.slice(2);
+      }
+      i++;
+      continue;
+    }
+    if (spec.assignments && ASSIGNMENT_RE.test(v)) { i++; continue; }
+    if (operands > 0) { operands--; i++; continue; }
+    break;
+  }
+  return { index: i, split, chdir };
+}
+
+/**
+ * For a shell interpreter invocation, find the inline script (`-c`) or
+ * decide whether the script comes from stdin or a file.
+ * @returns {{kind: "inline", word: Word} | {kind: "stdin"} | {kind: "file", word: Word} | {kind: "none"}}
+ */
+function shellScriptSource(words) {
+  let inline = false;
+  let readsStdin = false;
+  for (let i = 1; i < words.length; i++) {
+    const v = words[i].value;
+    if (v === "--" || v === "-") {
+      const operand = words[i + 1];
+      if (inline && operand) return { kind: "inline", word: operand };
+      return operand ? { kind: "file", word: operand } : { kind: "stdin" };
+    }
+    if (v === "-o" || v === "+o" || v === "-O" || v === "+O" || v === "--rcfile" || v === "--init-file") { i++; continue; }
+    if (/^[-+][A-Za-z]+$/.test(v)) {
+      if (v.startsWith("-") && v.includes("c")) inline = true;
+      if (v.startsWith("-") && v.includes("s")) readsStdin = true;
+      continue;
+    }
+    if (v.startsWith("--")) continue;
+    if (inline) return { kind: "inline", word: words[i] };
+    return readsStdin ? { kind: "stdin" } : { kind: "file", word: words[i] };
+  }
+  return inline ? { kind: "none" } : { kind: "stdin" };
+}
+
+// ── Working Directory Tracking ──────────────────────────────────────────────
+//
+// While walking, each possible working directory is tracked as a candidate
+// { dirs: Word[], stack: Word[][] } — the cd targets applied since the command
+// started plus the pushd stack — or null once it cannot be known. A `cd` may
+// fail, so after `cd x; y` both the old and the new directory are possible;
+// after `cd x && y` only the new one. Subshells, pipelines and backgrounded
+// lists do not change the directory of what follows them.
+
+const MAX_CWD_CANDIDATES = 16;
+const START_CWDS = [{ dirs: [], stack: [] }];
+
+function cwdKey(c) {
+  if (!c) return "?";
+  const chain = (dirs) => dirs.map((w) => w.raw).join("\0");
+  return chain(c.dirs) + "\u0001" + c.stack.map(chain).join("\u0002");
+}
+
+/** Union of candidate sets, deduplicated; collapses to unknown when too large. */
+function mergeCwds(...sets) {
+  const seen = new Set();
+  const out = [];
+  for (const c of sets.flat()) {
+    const key = cwdKey(c);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    out.push(c);
+  }
+  return out.length > MAX_CWD_CANDIDATES ? [null] : out;
+}
+
+/** Candidates after entering `dir` (env -C, a successful cd). */
+function enterDir(cwds, dir) {
+  return cwds.map((c) => c && { dirs: [...c.dirs, dir], stack: c.stack });
+}
+
+/**
+ * Candidates after a successful cd/pushd/popd, or null if `words` is not a
+ * directory change.
+ */
+function applyDirChange(words, cwds) {
+  const name = words[0].value;
+  if (name !== "cd" && name !== "pushd" && name !== "popd") return null;
+  let i = 1;
+  while (i < words.length && /^-[LPe@n]+$/.test(words[i].value)) i++;
+  if (words[i]?.value === "--") i++;
+  const target = words[i];
+
+  if (name === "popd") {
+    if (target) return cwds.map(() => null); // popd +N / -N
+    return cwds.map((c) => {
+      if (!c || c.stack.length === 0) return null;
+      return { dirs: c.stack[c.stack.length - 1], stack: c.stack.slice(0, -1) };
+    });
+  }
+  // Bare cd (home), `cd -`, bare pushd (swap) and pushd +N cannot be followed
+  if (!target || target.value === "-" || (name === "pushd" && /^[+-]\d+$/.test(target.value))) {
+    return cwds.map(() => null);
+  }
+  if (name === "pushd") {
+    return cwds.map((c) => c && { dirs: [...c.dirs, target], stack: [...c.stack, c.dirs] });
+  }
+  return enterDir(cwds, target);
+}
+
+/**
+ * Walk a syntax tree and return every program invocation it contains,
+ * including commands nested in substitutions, `sh -c` / `eval` strings,
+ * heredocs fed to a shell, and wrapper programs such as `env`, `xargs`,
+ * `timeout` or `find -exec`.
+ * @param {ShellNode} node
+ * @returns {Invocation[]}
+ */
+export function collectInvocations(node) {
+  const out = [];
+  walk(node, out, { wrappers: [], stdinFrom: null, cwds: START_CWDS });
+  return out;
+}
+
+/**
+ * Walk a node, appending its invocations to `out`. Returns the working
+ * directory candidates after the node succeeded (`ok`) or failed (`fail`).
+ */
+function walk(node, out, ctx) {
+  const unchanged = { ok: ctx.cwds, fail: ctx.cwds };
+  if (!node) return unchanged;
+  switch (node.type) {
+    case "List": {
+      let ok = ctx.cwds;
+      let fail = ctx.cwds;
+      let chainStart = ctx.cwds;
+      let prevOp = null;
+      for (const item of node.items) {
+        const input = prevOp === "&&" ? ok : prevOp === "||" ? fail : mergeCwds(ok, fail);
+        if (prevOp !== "&&" && prevOp !== "||") chainStart = input;
+        const r = walk(item.node, out, { ...ctx, stdinFrom: null, cwds: input });
+        if (prevOp === "&&") {
+          ok = r.ok;
+          fail = mergeCwds(fail, r.fail);
+        } else if (prevOp === "||") {
+          ok = mergeCwds(ok, r.ok);
+          fail = r.fail;
+        } else {
+          ok = r.ok;
+          fail = r.fail;
+        }
+        // `a && cd x &` runs the whole and-or list in the background
+        if (item.op === "&") ok = fail = chainStart;
+        prevOp = item.op;
+      }
+      return { ok, fail };
+    }
+    case "Pipeline":
+      node.commands.forEach((cmd, i) => walk(cmd, out, { ...ctx, stdinFrom: i > 0 ? node.commands[i - 1] : null }));
+      return unchanged;
+    case "Subshell":
+    case "Group": {
+      const r = walk(node.body, out, { ...ctx, stdinFrom: null });
+      walkRedirects(node.redirects, out, ctx);
+      if (node.redirects.length > 0) {
+        out.push(makeInvocation([], [], node.redirects, ctx.wrappers, false, false, ctx.cwds));
+      }
+      return node.type === "Group" ? r : unchanged;
+    }
+    case "Command":
+      for (const sub of node.substitutions || []) walk(sub, out, { ...ctx, stdinFrom: null });
+      for (const w of node.assignments) walkWord(w, out, ctx);
+      for (const w of node.words) walkWord(w, out, ctx);
+      walkRedirects(node.redirects, out, ctx);
+      return expandCommand(node.words, node.assignments, node.redirects, out, ctx);
+  }
+  return unchanged;
+}
+
+function walkWord(word, out, ctx) {
+  for (const sub of word.substitutions) walk(sub, out, { ...ctx, stdinFrom: null });
+}
+
+function walkRedirects(redirects, out, ctx) {
+  for (const r of redirects) {
+    walkWord(r.target, out, ctx);
+    for (const sub of r.substitutions || []) walk(sub, out, { ...ctx, stdinFrom: null });
+  }
+}
+
+function makeInvocation(words, assignments, redirects, wrappers, stdinArgs, opaque, cwds) {
+  return {
+    name: words.length > 0 ? basename(words[0].value) : "",
+    argv: words.map((w) => w.value),
+    words,
+    assignments,
+    redirects,
+    wrappers,
+    stdinArgs,
+    opaque,
+    cwds: cwds.map((c) => c && c.dirs),
+  };
+}
+
+/**
+ * Parse a script string found inside a command and walk it as a nested tree.
+ * Returns the directory candidates after it (only kept for `eval`).
+ */
+function walkScript(script, out, ctx) {
+  return walk(parseShell(script), out, { ...ctx, stdinFrom: null });
+}
+
+/**
+ * Expand a simple command into invocations. Returns the directory candidates
+ * after it succeeded or failed (changed by cd/pushd/popd, eval and source).
+ */
+function expandCommand(allWords, assignments, redirects, out, ctx) {
+  let words = allWords;
+  const wrappers = [...ctx.wrappers];
+  let stdinArgs = false;
+  let cwds = ctx.cwds;
+  const unchanged = { ok: ctx.cwds, fail: ctx.cwds };
+
+  // Peel off wrapper programs (env, timeout, xargs, ...)
+  while (words.length > 0 && !words[0].dynamic) {
+    const name = basename(words[0].value);
+    const spec = WRAPPERS[name];
+    if (!spec) break;
+    const { index, split, chdir } = skipWrapperArgs(name, spec, words, 1);
+    // Without a command the wrapper runs on its own (bare `env` prints the environment)
+    if (index >= words.length && split === null) break;
+    wrappers.push(name);
+    if (spec.stdinArgs) stdinArgs = true;
+    if (chdir) cwds = enterDir(cwds, chdir);
+    if (split !== null) {
+      // env -S "cmd args" — the split string becomes the command line
+      const rest = words.slice(index).map((w) => w.raw).join(" ");
+      walkScript(`${split} ${rest}`, out, { ...ctx, wrappers, cwds });
+      return unchanged;
+    }
+    words = words.slice(index);
+  }
+
+  if (words.length === 0) {
+    if (assignments.length > 0 || redirects.length > 0) {
+      out.push(makeInvocation([], assignments, redirects, wrappers, stdinArgs, false, cwds));
+    }
+    return unchanged;
+  }
+
+  const name = words[0].dynamic ? "" : basename(words[0].value);
+  const nested = { ...ctx, wrappers: [...wrappers, name], cwds };
+
+  // sh -c / bash -c / heredoc or pipe into a shell
+  if (SHELLS.has(name)) {
+    const source = shellScriptSource(words);
+    const producer = ctx.stdinFrom?.type === "Command" ? ctx.stdinFrom : null;
+    const producerName = producer?.words[0] ? basename(producer.words[0].value) : "";
+    const echoed = producer && (producerName === "echo" || producerName === "printf")
+      ? producer.words.slice(1).map((w) => w.value).join(" ")
+      : null;
+    let opaque = false;
+    if (source.kind === "inline") {
+      if (source.word.dynamic && source.word.substitutions.length === 0) opaque = true;
+      else walkScript(source.word.value, out, nested);
+    } else if (source.kind === "none" && stdinArgs) {
+      // `... | xargs sh -c` — the script is the first argument read from stdin
+      if (echoed !== null) walkScript(echoed, out, nested);
+      else opaque = true;
+    } else if (source.kind === "stdin") {
+      const heredoc = redirects.find((r) => r.op === "<<" || r.op === "<<-" || r.op === "<<<");
+      if (heredoc) {
+        walkScript(heredoc.body ?? "", out, nested);
+      } else if (echoed !== null) {
+        walkScript(echoed, out, nested);
+      } else if (ctx.stdinFrom || redirects.some((r) => r.op === "<")) {
+        opaque = true;
+      }
+    } else if (source.kind === "file") {
+      opaque = true;
+    }
+    const inv = makeInvocation(words, assignments, redirects, wrappers, stdinArgs, opaque, cwds);
+    if (source.kind === "file") inv.script = source.word;
+    out.push(inv);
+    return unchanged;
+  }
+
+  // eval "..." — the joined arguments are parsed as a script
+  if (name === "eval") {
+    const args = words.slice(1);
+    const opaque = args.some((w) => w.dynamic && w.substitutions.length === 0);
+    out.push(makeInvocation(words, assignments, redirects, wrappers, stdinArgs, opaque, cwds));
+    // eval runs in the current shell, so its directory changes persist
+    if (opaque) return { ok: cwds.map(() => null), fail: cwds.map(() => null) };
+    return walkScript(args.map((w) => w.value).join(" "), out, nested);
+  }
+
+  // source / . — runs a script file that cannot be inspected here
+  if (name === "source" || name === ".") {
+    const inv = makeInvocation(words, assignments, redirects, wrappers, stdinArgs, true, cwds);
+    if (words[1]) inv.script = words[1];
+    out.push(inv);
+    // The script may change directory
+    return { ok: cwds.map(() => null), fail: cwds.map(() => null) };
+  }
+
+  // find ... -exec CMD ... ; / +
+  if (name === "find") {
+    for (let i = 1; i < words.length; i++) {
+      if (!FIND_EXEC_FLAGS.has(words[i].value)) continue;
+      let end = i + 1;
+      while (end < words.length && words[end].value !== ";" && words[end].value !== "+") end++;
+      const inner = words.slice(i + 1, end);
+      // -execdir / -okdir run in the directory of each match
+      const innerCwds = words[i].value.endsWith("dir") ? cwds.map(() => null) : cwds;
+      if (inner.length > 0) expandCommand(inner, [], [], out, { ...ctx, wrappers: [...wrappers, "find"], cwds: innerCwds });
+      i = end;
+    }
+  }
+
+  // git submodule foreach CMD / git rebase --exec CMD / git bisect run CMD
+  if (name === "git") {
+    const values = words.map((w) => w.value);
+    const foreach = values.indexOf("foreach");
+    if (values.includes("submodule") && foreach !== -1) {
+      let i = foreach + 1;
+      while (i < words.length && words[i].value.startsWith("--")) i++;
+      // Runs inside each submodule
+      if (i < words.length) walkScript(words.slice(i).map((w) => w.value).join(" "), out, { ...nested, cwds: cwds.map(() => null) });
+    }
+    for (let i = 1; i < words.length; i++) {
+      const v = values[i];
+      if ((v === "-x" || v === "--exec") && words[i + 1]) walkScript(words[i + 1].value, out, nested);
+      else if (v.startsWith("--exec=")) walkScript(v.slice("--exec=".length), out, nested);
+    }
+    const bisect = values.indexOf("bisect");
+    if (bisect !== -1 && values[bisect + 1] === "run" && words.length > bisect + 2) {
+      expandCommand(words.slice(bisect + 2), [], [], out, nested);
+    }
+  }
+
+  out.push(makeInvocation(words, assignments, redirects, wrappers, stdinArgs, false, cwds));
+
+  // cd / pushd / popd change the directory of what follows — if they succeed
+  const changed = words[0].dynamic ? null : applyDirChange(words, cwds);
+  return changed ? { ok: changed, fail: ctx.cwds } : unchanged;
+}
@@ -59,6 +59,9 @@ db.exec(`
     path        TEXT NOT NULL,
     mode        TEXT NOT NULL DEFAULT 'ro',
     expires_at  TEXT NOT NULL,
+    excludes    TEXT,
+    granted_by  TEXT,
+    scope       TEXT NOT NULL DEFAULT 'ttl',
     UNIQUE(channel_id, path)
   );
 
@@ -192,7 +195,192 @@ function runMigrations() {
     v = 6;
   }
 
-  // Future migrations go here as `if (v < 7) { ... setSchemaVersion(7); }`
+  if (v < 7) {
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS policy_rules (
+          id         INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_id TEXT NOT NULL,
+          rule       TEXT NOT NULL,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_policy_rules_channel ON policy_rules(channel_id, id)`);
+      setSchemaVersion(7);
+    })();
+    v = 7;
+  }
+
+  if (v < 8) {
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id         INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_id TEXT NOT NULL,
+          task_id    INTEGER,
+          event      TEXT NOT NULL,
+          tool       TEXT,
+          args_hash  TEXT,
+          decision   TEXT NOT NULL,
+          gate       TEXT,
+          rule       TEXT,
+          reason     TEXT,
+          approver   TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_channel ON audit_log(channel_id, created_at)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at)`);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_task ON audit_log(task_id)`);
+      setSchemaVersion(8);
+    })();
+    v = 8;
+  }
+
+  if (v < 9) {
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS seen_tools (
+          tool_name     TEXT PRIMARY KEY,
+          channel_id    TEXT NOT NULL,
+          first_seen_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      setSchemaVersion(9);
+    })();
+    v = 9;
+  }
+
+  if (v < 10) {
+    db.transaction(() => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS budget_overrides (
+          channel_id TEXT PRIMARY KEY,
+          limits     TEXT NOT NULL,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      setSchemaVersion(10);
+    })();
+    v = 10;
+  }
+
+  if (v < 11) {
+    db.transaction(() => {
+      // Glob grants keep their pattern in `path`; excludes are a JSON array of globs
+      const cols = db.pragma("table_info(grants)").map((c) => c.name);
+      if (!cols.includes("excludes")) {
+        db.exec(`ALTER TABLE grants ADD COLUMN excludes TEXT`);
+      }
+      setSchemaVersion(11);
+    })();
+    v = 11;
+  }
+
+  if (v < 12) {
+    db.transaction(() => {
+      const cols = db.pragma("table_info(grants)").map((c) => c.name);
+      if (!cols.includes("granted_by")) {
+        db.exec(`ALTER TABLE grants ADD COLUMN granted_by TEXT`);
+      }
+      // Grant lifecycle: created, extended, expired, revoked — and tool calls that used a grant
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS grant_events (
+          id         INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_id TEXT NOT NULL,
+          path       TEXT NOT NULL,
+          event      TEXT NOT NULL,
+          mode       TEXT,
+          actor      TEXT,
+          tool       TEXT,
+          detail     TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_grant_events_channel ON grant_events(channel_id, created_at)`);
+      setSchemaVersion(12);
+    })();
+    v = 12;
+  }
+
+  if (v < 13) {
+    db.transaction(() => {
+      // ttl = until expiry, once = consumed by the first tool call that uses it, task = until the task ends
+      const cols = db.pragma("table_info(grants)").map((c) => c.name);
+      if (!cols.includes("scope")) {
+        db.exec(`ALTER TABLE grants ADD COLUMN scope TEXT NOT NULL DEFAULT 'ttl'`);
+      }
+      setSchemaVersion(13);
+    })();
+    v = 13;
+  }
+
+  if (v < 14) {
+    db.transaction(() => {
+      // Named sets of grant paths; entries is a JSON array of { path, mode, excludes }, excludes the raw exclude globs
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS grant_templates (
+          name       TEXT PRIMARY KEY,
+          entries    TEXT NOT NULL,
+          excludes   TEXT,
+          ttl_min    INTEGER NOT NULL DEFAULT 0,
+          created_by TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      // Where a template applies: a channel, a guild or everywhere (target_id '')
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS grant_template_bindings (
+          template   TEXT NOT NULL,
+          scope      TEXT NOT NULL,
+          target_id  TEXT NOT NULL DEFAULT '',
+          expires_at TEXT,
+          applied_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE(template, scope, target_id)
+        )
+      `);
+      setSchemaVersion(14);
+    })();
+    v = 14;
+  }
+
+  if (v < 15) {
+    db.transaction(() => {
+      // Pre-push verification command per repo (project name)
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS push_verify (
+          project_name TEXT PRIMARY KEY,
+          command      TEXT NOT NULL,
+          auto_reject  INTEGER NOT NULL DEFAULT 0,
+          updated_by   TEXT,
+          updated_at   TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      setSchemaVersion(15);
+    })();
+    v = 15;
+  }
+
+  if (v < 16) {
+    db.transaction(() => {
+      // Push approvals waiting for a decision — expired on restart so no dead buttons remain
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS pending_push_approvals (
+          message_id  TEXT PRIMARY KEY,
+          channel_id  TEXT NOT NULL,
+          session_id  TEXT,
+          task_id     INTEGER,
+          command     TEXT NOT NULL,
+          created_at  TEXT NOT NULL DEFAULT (datetime('now'))
+        )
+      `);
+      setSchemaVersion(16);
+    })();
+    v = 16;
+  }
+
+  // Future migrations go here as `if (v < 17) { ... setSchemaVersion(17); }`
   } catch (migrationErr) {
     log.error("Migration failed — cannot start with inconsistent schema", { error: migrationErr.message });
     try {
@@ -262,13 +450,20 @@ export function deleteSession(channelId) {
 
 // ── Grants ──────────────────────────────────────────────────────────────────
 const stmtUpsertGrant = db.prepare(`
-  INSERT INTO grants (channel_id, path, mode, expires_at)
-  VALUES (@channelId, @path, @mode, @expiresAt)
+  INSERT INTO grants (channel_id, path, mode, expires_at, excludes, granted_by, scope)
+  VALUES (@channelId, @path, @mode, @expiresAt, @excludes, @grantedBy, @scope)
   ON CONFLICT(channel_id, path) DO UPDATE SET
     mode       = excluded.mode,
-    expires_at = excluded.expires_at
+    expires_at = excluded.expires_at,
+    excludes   = excluded.excludes,
+    granted_by = excluded.granted_by,
+    scope      = excluded.scope
 `);
 
+const stmtUpdateGrantExpiry = db.prepare(
+  `UPDATE grants SET expires_at = ? WHERE channel_id = ? AND path = ?`
+);
+
 const stmtGetGrants = db.prepare(
   `SELECT * FROM grants WHERE channel_id = ?`
 );
@@ -285,8 +480,12 @@ const stmtDeleteGrantsByChannel = db.prepare(
   `DELETE FROM grants WHERE channel_id = ?`
 );
 
-export function upsertGrant(channelId, grantPath, mode, expiresAt) {
-  stmtUpsertGrant.run({ channelId, path: grantPath, mode, expiresAt });
+export function upsertGrant(channelId, grantPath, mode, expiresAt, excludes = null, grantedBy = null, scope = "ttl") {
+  stmtUpsertGrant.run({ channelId, path: grantPath, mode, expiresAt, excludes, grantedBy, scope });
+}
+
+export function updateGrantExpiry(channelId, grantPath, expiresAt) {
+  stmtUpdateGrantExpiry.run(expiresAt, channelId, grantPath);
 }
 
 export function getGrants(channelId) {
@@ -414,6 +613,283 @@ export function getAllBranchOverrides() {
   return stmtAllBranchOverrides.all();
 }
 
+// ── Policy Rules (per-channel overrides) ────────────────────────────────────
+const stmtInsertPolicyRule = db.prepare(
+  `INSERT INTO policy_rules (channel_id, rule) VALUES (?, ?)`
+);
+
+const stmtDeletePolicyRule = db.prepare(
+  `DELETE FROM policy_rules WHERE id = ?`
+);
+
+const stmtDeletePolicyRulesByChannel = db.prepare(
+  `DELETE FROM policy_rules WHERE channel_id = ?`
+);
+
+const stmtAllPolicyRules = db.prepare(
+  `SELECT * FROM policy_rules ORDER BY channel_id, id`
+);
+
+export function insertPolicyRule(channelId, ruleJson) {
+  return stmtInsertPolicyRule.run(channelId, ruleJson).lastInsertRowid;
+}
+
+export function deletePolicyRule(id) {
+  stmtDeletePolicyRule.run(id);
+}
+
+export function deletePolicyRulesByChannel(channelId) {
+  return stmtDeletePolicyRulesByChannel.run(channelId).changes;
+}
+
+export function getAllPolicyRules() {
+  return stmtAllPolicyRules.all();
+}
+
+// ── Audit Log ───────────────────────────────────────────────────────────────
+const stmtInsertAuditEntry = db.prepare(`
+  INSERT INTO audit_log (channel_id, task_id, event, tool, args_hash, decision, gate, rule, reason, approver)
+  VALUES (@channelId, @taskId, @event, @tool, @argsHash, @decision, @gate, @rule, @reason, @approver)
+`);
+
+const stmtQueryAuditLog = db.prepare(`
+  SELECT * FROM audit_log
+  WHERE (@channelId IS NULL OR channel_id = @channelId)
+    AND (@taskId IS NULL OR task_id = @taskId)
+    AND (@decision IS NULL OR decision = @decision)
+    AND (@since IS NULL OR created_at >= @since)
+    AND (@until IS NULL OR created_at <= @until)
+  ORDER BY id DESC
+  LIMIT @limit
+`);
+
+const stmtPruneOldAudit = db.prepare(
+  `DELETE FROM audit_log WHERE created_at < datetime('now', '-90 days')`
+);
+
+export function insertAuditEntry(entry) {
+  stmtInsertAuditEntry.run(entry);
+}
+
+/**
+ * Audit entries matching all given filters (null = any), newest first.
+ * `since` / `until` are SQLite datetimes (`YYYY-MM-DD HH:MM:SS`, UTC).
+ */
+export function queryAuditLog({ channelId = null, taskId = null, decision = null, since = null, until = null, limit = 1000 } = {}) {
+  return stmtQueryAuditLog.all({ channelId, taskId, decision, since, until, limit });
+}
+
+/** Remove audit entries older than 90 days. */
+export function pruneOldAudit() {
+  return stmtPruneOldAudit.run().changes;
+}
+
+// ── Grant Templates ─────────────────────────────────────────────────────────
+const stmtUpsertGrantTemplate = db.prepare(`
+  INSERT INTO grant_templates (name, entries, excludes, ttl_min, created_by, updated_at)
+  VALUES (@name, @entries, @excludes, @ttlMin, @createdBy, datetime('now'))
+  ON CONFLICT(name) DO UPDATE SET
+    entries    = excluded.entries,
+    excludes   = excluded.excludes,
+    ttl_min    = excluded.ttl_min,
+    created_by = excluded.created_by,
+    updated_at = excluded.updated_at
+`);
+
+const stmtGetAllGrantTemplates = db.prepare(
+  `SELECT * FROM grant_templates ORDER BY name`
+);
+
+const stmtDeleteGrantTemplate = db.prepare(
+  `DELETE FROM grant_templates WHERE name = ?`
+);
+
+const stmtUpsertTemplateBinding = db.prepare(`
+  INSERT INTO grant_template_bindings (template, scope, target_id, expires_at, applied_by)
+  VALUES (@template, @scope, @targetId, @expiresAt, @appliedBy)
+  ON CONFLICT(template, scope, target_id) DO UPDATE SET
+    expires_at = excluded.expires_at,
+    applied_by = excluded.applied_by
+`);
+
+const stmtGetAllTemplateBindings = db.prepare(
+  `SELECT * FROM grant_template_bindings`
+);
+
+const stmtDeleteTemplateBinding = db.prepare(
+  `DELETE FROM grant_template_bindings WHERE template = ? AND scope = ? AND target_id = ?`
+);
+
+const stmtDeleteTemplateBindings = db.prepare(
+  `DELETE FROM grant_template_bindings WHERE template = ?`
+);
+
+const stmtPurgeExpiredTemplateBindings = db.prepare(
+  `DELETE FROM grant_template_bindings WHERE expires_at IS NOT NULL AND expires_at <= datetime('now')`
+);
+
+export function upsertGrantTemplate({ name, entries, excludes = null, ttlMin = 0, createdBy = null }) {
+  stmtUpsertGrantTemplate.run({ name, entries, excludes, ttlMin, createdBy });
+}
+
+export function getAllGrantTemplates() {
+  return stmtGetAllGrantTemplates.all();
+}
+
+/** Delete a template and everywhere it is applied. Returns true if it existed. */
+export function deleteGrantTemplate(name) {
+  return db.transaction(() => {
+    stmtDeleteTemplateBindings.run(name);
+    return stmtDeleteGrantTemplate.run(name).changes > 0;
+  })();
+}
+
+export function upsertTemplateBinding({ template, scope, targetId = "", expiresAt = null, appliedBy = null }) {
+  stmtUpsertTemplateBinding.run({ template, scope, targetId, expiresAt, appliedBy });
+}
+
+export function getAllTemplateBindings() {
+  return stmtGetAllTemplateBindings.all();
+}
+
+export function deleteTemplateBinding(template, scope, targetId = "") {
+  return stmtDeleteTemplateBinding.run(template, scope, targetId).changes;
+}
+
+export function purgeExpiredTemplateBindings() {
+  return stmtPurgeExpiredTemplateBindings.run().changes;
+}
+
+// ── Grant Events ────────────────────────────────────────────────────────────
+const stmtInsertGrantEvent = db.prepare(`
+  INSERT INTO grant_events (channel_id, path, event, mode, actor, tool, detail)
+  VALUES (@channelId, @path, @event, @mode, @actor, @tool, @detail)
+`);
+
+const stmtQueryGrantEvents = db.prepare(`
+  SELECT * FROM grant_events
+  WHERE channel_id = @channelId
+    AND (@path IS NULL OR path = @path)
+  ORDER BY id DESC
+  LIMIT @limit
+`);
+
+const stmtPruneOldGrantEvents = db.prepare(
+  `DELETE FROM grant_events WHERE created_at < datetime('now', '-90 days')`
+);
+
+export function insertGrantEvent(entry) {
+  stmtInsertGrantEvent.run(entry);
+}
+
+/** Grant events for a channel (optionally one grant path), newest first. */
+export function queryGrantEvents({ channelId, path = null, limit = 20 }) {
+  return stmtQueryGrantEvents.all({ channelId, path, limit });
+}
+
+/** Remove grant events older than 90 days. */
+export function pruneOldGrantEvents() {
+  return stmtPruneOldGrantEvents.run().changes;
+}
+
+// ── Budget Overrides ────────────────────────────────────────────────────────
+const stmtUpsertBudgetOverride = db.prepare(`
+  INSERT INTO budget_overrides (channel_id, limits, updated_at)
+  VALUES (?, ?, datetime('now'))
+  ON CONFLICT(channel_id) DO UPDATE SET limits = excluded.limits, updated_at = datetime('now')
+`);
+
+const stmtDeleteBudgetOverride = db.prepare(
+  `DELETE FROM budget_overrides WHERE channel_id = ?`
+);
+
+const stmtAllBudgetOverrides = db.prepare(
+  `SELECT channel_id, limits FROM budget_overrides`
+);
+
+export function upsertBudgetOverride(channelId, limitsJson) {
+  stmtUpsertBudgetOverride.run(channelId, limitsJson);
+}
+
+export function deleteBudgetOverride(channelId) {
+  return stmtDeleteBudgetOverride.run(channelId).changes;
+}
+
+export function getAllBudgetOverrides() {
+  return stmtAllBudgetOverrides.all();
+}
+
+// ── Push Verification ───────────────────────────────────────────────────────
+const stmtUpsertPushVerify = db.prepare(`
+  INSERT INTO push_verify (project_name, command, auto_reject, updated_by, updated_at)
+  VALUES (?, ?, ?, ?, datetime('now'))
+  ON CONFLICT(project_name) DO UPDATE SET
+    command     = excluded.command,
+    auto_reject = excluded.auto_reject,
+    updated_by  = excluded.updated_by,
+    updated_at  = datetime('now')
+`);
+
+const stmtDeletePushVerify = db.prepare(
+  `DELETE FROM push_verify WHERE project_name = ?`
+);
+
+const stmtAllPushVerify = db.prepare(
+  `SELECT project_name, command, auto_reject, updated_by FROM push_verify`
+);
+
+export function upsertPushVerify(projectName, command, autoReject, updatedBy = null) {
+  stmtUpsertPushVerify.run(projectName, command, autoReject ? 1 : 0, updatedBy);
+}
+
+export function deletePushVerify(projectName) {
+  return stmtDeletePushVerify.run(projectName).changes;
+}
+
+export function getAllPushVerify() {
+  return stmtAllPushVerify.all();
+}
+
+// ── Pending Push Approvals ──────────────────────────────────────────────────
+const stmtInsertPendingPush = db.prepare(
+  `INSERT OR REPLACE INTO pending_push_approvals (message_id, channel_id, session_id, task_id, command) VALUES (?, ?, ?, ?, ?)`
+);
+
+const stmtDeletePendingPush = db.prepare(
+  `DELETE FROM pending_push_approvals WHERE message_id = ?`
+);
+
+// The requester is whoever started the task that asked to push
+const stmtAllPendingPush = db.prepare(
+  `SELECT p.message_id, p.channel_id, p.session_id, p.task_id, p.command, p.created_at, t.user_id
+   FROM pending_push_approvals p LEFT JOIN task_history t ON t.id = p.task_id`
+);
+
+export function insertPendingPush(messageId, channelId, sessionId, taskId, command) {
+  stmtInsertPendingPush.run(messageId, channelId, sessionId ?? null, taskId ?? null, command);
+}
+
+export function deletePendingPush(messageId) {
+  return stmtDeletePendingPush.run(messageId).changes;
+}
+
+export function getAllPendingPush() {
+  return stmtAllPendingPush.all();
+}
+
+// ── Seen Tools ──────────────────────────────────────────────────────────────
+const stmtInsertSeenTool = db.prepare(
+  `INSERT OR IGNORE INTO seen_tools (tool_name, channel_id) VALUES (?, ?)`
+);
+
+/**
+ * Remember that an unclassified tool was used.
+ * @returns {boolean} True if the tool had not been seen before
+ */
+export function insertSeenTool(toolName, channelId) {
+  return stmtInsertSeenTool.run(toolName, channelId).changes > 0;
+}
+
 // ── Stale state recovery ────────────────────────────────────────────────────
 const stmtStaleSessions = db.prepare(
   `SELECT channel_id, project_name, branch FROM sessions WHERE status = 'working'`
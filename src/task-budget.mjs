@@ -0,0 +1,184 @@
+import { TASK_BUDGET_DEFAULTS } from "./config.mjs";
+import { upsertBudgetOverride, deleteBudgetOverride, getAllBudgetOverrides } from "./state.mjs";
+import { toolCategory, writtenPaths } from "./policy-engine.mjs";
+import { hashArgs } from "./audit.mjs";
+import { createLogger } from "./logger.mjs";
+
+const log = createLogger("budget");
+
+// ── Limits ──────────────────────────────────────────────────────────────────
+//
+// Every task gets a budget of tool calls, shell commands, distinct files
+// written and megabytes written by file tools, plus a limit on identical tool
+// calls failing in a row. 0 disables a limit. Channel overrides (set with
+// /budget) replace individual defaults.
+
+export const BUDGET_KEYS = ["toolCalls", "shellCommands", "filesWritten", "writeMb", "repeatedFailures"];
+
+export const BUDGET_LABELS = {
+  toolCalls: "Tool-Aufrufe",
+  shellCommands: "Shell-Befehle",
+  filesWritten: "Geschriebene Dateien",
+  writeMb: "Geschriebene MB",
+  repeatedFailures: "Gleiche Fehlschläge in Folge",
+};
+
+/**
+ * In-memory channel overrides, backed by SQLite.
+ * Map< channelId, Partial<Record<BudgetKey, number>> >
+ */
+const overrides = new Map();
+
+// Restore overrides from DB on startup
+for (const row of getAllBudgetOverrides()) {
+  try {
+    overrides.set(row.channel_id, JSON.parse(row.limits));
+  } catch (err) {
+    log.warn("Stored budget override is invalid, skipping", { channelId: row.channel_id, error: err.message });
+  }
+}
+
+/** Effective limits for a channel: defaults with the channel's overrides applied. */
+export function getBudgetLimits(channelId) {
+  return { ...TASK_BUDGET_DEFAULTS, ...overrides.get(channelId) };
+}
+
+/** The channel's overrides only (empty if it uses the defaults). */
+export function getBudgetOverride(channelId) {
+  return { ...overrides.get(channelId) };
+}
+
+/**
+ * Merge limits into a channel's overrides.
+ * @param {Partial<Record<string, number>>} limits - Non-negative integers, 0 = unlimited
+ */
+export function setBudgetOverride(channelId, limits) {
+  const merged = { ...overrides.get(channelId) };
+  for (const key of BUDGET_KEYS) {
+    if (Number.isInteger(limits[key]) && limits[key] >= 0) merged[key] = limits[key];
+  }
+  overrides.set(channelId, merged);
+  upsertBudgetOverride(channelId, JSON.stringify(merged));
+  log.info("Budget override set", { channelId, limits: merged });
+  return getBudgetLimits(channelId);
+}
+
+/** Drop a channel's overrides. Returns true if there were any. */
+export function clearBudgetOverride(channelId) {
+  const had = overrides.delete(channelId);
+  deleteBudgetOverride(channelId);
+  if (had) log.info("Budget override cleared", { channelId });
+  return had;
+}
+
+// ── Task Usage ──────────────────────────────────────────────────────────────
+
+// Tool arguments that carry file content (write_file, create, edit, ...)
+const CONTENT_KEYS = ["content", "contents", "file_text", "fileText", "new_str", "newString", "newText", "text", "data"];
+
+/** Fresh usage counters for a task. */
+export function createTaskUsage() {
+  return {
+    toolCalls: 0,
+    shellCommands: 0,
+    files: new Set(),
+    bytesWritten: 0,
+    /** Consecutive failures per call (tool name + args hash) */
+    failures: new Map(),
+    /** Call key per running tool call id, to attribute completions of parallel calls */
+    pendingCalls: new Map(),
+    /** How often the budget was extended with "continue" */
+    extensions: 0,
+    /** Pending continue/abort prompt, awaited by parallel tool calls */
+    prompt: null,
+    aborted: false,
+  };
+}
+
+/** Identifies a tool call by tool name and arguments. */
+export function callKey(toolName, toolArgs) {
+  return `${toolName}:${hashArgs(toolArgs)}`;
+}
+
+/**
+ * Count a tool call against the task's usage.
+ * @returns {string} The call key
+ */
+export function recordToolCall(usage, toolName, toolArgs, workspaceRoot) {
+  const key = callKey(toolName, toolArgs);
+  usage.toolCalls++;
+  const category = toolCategory(toolName);
+  if (category === "shell") usage.shellCommands++;
+  if (category === "write" || category === "shell") {
+    for (const p of writtenPaths(toolName, toolArgs, workspaceRoot)) usage.files.add(p);
+  }
+  if (category === "write") {
+    for (const k of CONTENT_KEYS) {
+      if (typeof toolArgs?.[k] === "string") usage.bytesWritten += Buffer.byteLength(toolArgs[k]);
+    }
+  }
+  return key;
+}
+
+/** Record the outcome of a call (a policy denial counts as a failure). */
+export function recordCallResult(usage, key, success) {
+  if (!key) return;
+  if (success) usage.failures.delete(key);
+  else usage.failures.set(key, (usage.failures.get(key) || 0) + 1);
+}
+
+/** Remember the call key of a started tool call by its tool call id. */
+export function startCall(usage, toolCallId, toolName, toolArgs) {
+  if (toolCallId) usage.pendingCalls.set(toolCallId, callKey(toolName, toolArgs));
+}
+
+/** Record the outcome of a started tool call by its tool call id. */
+export function finishCall(usage, toolCallId, success) {
+  const key = usage.pendingCalls.get(toolCallId);
+  usage.pendingCalls.delete(toolCallId);
+  recordCallResult(usage, key, success);
+}
+
+/**
+ * First exhausted limit for the next call, or null. Limits scale with the
+ * number of extensions; the failure limit applies to the upcoming call.
+ * @returns {{ key: string, limit: number, used: number } | null}
+ */
+export function checkBudget(usage, limits, nextKey) {
+  const scale = usage.extensions + 1;
+  const used = {
+    toolCalls: usage.toolCalls,
+    shellCommands: usage.shellCommands,
+    filesWritten: usage.files.size,
+    writeMb: usage.bytesWritten / 1_048_576,
+  };
+  for (const key of ["toolCalls", "shellCommands", "filesWritten", "writeMb"]) {
+    const limit = limits[key] * scale;
+    if (limit > 0 && used[key] >= limit) return { key, limit, used: used[key] };
+  }
+  const failures = usage.failures.get(nextKey) || 0;
+  if (limits.repeatedFailures > 0 && failures >= limits.repeatedFailures) {
+    return { key: "repeatedFailures", limit: limits.repeatedFailures, used: failures };
+  }
+  return null;
+}
+
+/** Allow the task to continue after a budget prompt. */
+export function extendBudget(usage, exceeded, nextKey) {
+  if (exceeded.key === "repeatedFailures") usage.failures.delete(nextKey);
+  else usage.extensions++;
+}
+
+/** Usage summary lines for Discord, as "label: used / limit". */
+export function describeUsage(usage, limits) {
+  const scale = usage.extensions + 1;
+  const used = {
+    toolCalls: usage.toolCalls,
+    shellCommands: usage.shellCommands,
+    filesWritten: usage.files.size,
+    writeMb: Math.round((usage.bytesWritten / 1_048_576) * 10) / 10,
+  };
+  return Object.entries(used).map(([key, value]) =>
+    `${BUDGET_LABELS[key]}: **${value}** / ${limits[key] > 0 ? limits[key] * scale : "∞"}`
+  );
+}